@@ -0,0 +1,28 @@
+const { DataSource } = require('typeorm');
+
+// -----------------------------------------------------------------------------
+// Database (TypeORM) configuration, shared by the server and the migration CLI
+// -----------------------------------------------------------------------------
+// Required: there is no fallback, credentials live only in the environment
+const databaseUrl = process.env.DATABASE_URL || null;
+
+/**
+ * Create a DataSource for the configured database (not yet initialized).
+ * Throws when DATABASE_URL is not set.
+ * @returns {DataSource}
+ */
+const createDataSource = () => {
+  if (!databaseUrl) {
+    throw new Error('DATABASE_URL is not set');
+  }
+  return new DataSource({
+    type: 'postgres',
+    url: databaseUrl,
+    synchronize: false, // never set to true in production; schema changes go through src/migrations
+    logging: false,
+    entities: [], // using raw SQL for now
+    ssl: { rejectUnauthorized: false }, // Railway requires SSL
+  });
+};
+
+module.exports = { databaseUrl, createDataSource };
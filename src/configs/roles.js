@@ -0,0 +1,71 @@
+// -----------------------------------------------------------------------------
+// Roles and the permissions they grant
+// -----------------------------------------------------------------------------
+// Permissions are `<resource>:<action>` strings. Generic table routers check
+// `<table>:read`, `<table>:write` and `<table>:delete`. A grant of
+// `<resource>:*` covers every action on a resource and `*` covers everything.
+// Platform administration endpoints (/admin) check `admin:<area>` permissions,
+// which only the admin role holds. Customers place orders through /orders
+// (`orders:place`), which prices them on the server; they cannot write the
+// orders and order_list tables directly. They browse restaurants through the
+// public /restaurants endpoints rather than the sellers table, which holds
+// bank, tax and contact details.
+
+const ROLES = {
+  CUSTOMER: 'customer',
+  SELLER: 'seller',
+  SELLER_STAFF: 'seller-staff',
+  ADMIN: 'admin',
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.CUSTOMER]: [
+    'users:read', 'users:write',
+    'menu:read',
+    'orders:read', 'orders:place',
+    'order_list:read',
+    'likes:*',
+    'collection:*',
+    'rating:*',
+  ],
+  [ROLES.SELLER]: [
+    'sellers:read', 'sellers:write',
+    'addresses:read', 'addresses:write',
+    'menu:*',
+    'orders:read', 'orders:write',
+    'order_list:read', 'order_list:write',
+    'likes:read',
+    'collection:read',
+    'rating:read',
+    'offers:*',
+    'uploads:write',
+    'profile:write',
+    'staff:manage',
+    'sessions:manage',
+  ],
+  [ROLES.SELLER_STAFF]: [
+    'sellers:read',
+    'addresses:read',
+    'menu:read', 'menu:write',
+    'orders:read', 'orders:write',
+    'order_list:read', 'order_list:write',
+    'rating:read',
+    'offers:read',
+  ],
+  [ROLES.ADMIN]: ['*'],
+};
+
+/**
+ * Check whether a role grants a permission (exact, resource wildcard or `*`)
+ * @param {string} role - Role from the access token
+ * @param {string} permission - Permission such as `menu:write`
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  const granted = ROLE_PERMISSIONS[role];
+  if (!granted) return false;
+  const [resource] = permission.split(':');
+  return granted.includes('*') || granted.includes(permission) || granted.includes(`${resource}:*`);
+};
+
+module.exports = { ROLES, ROLE_PERMISSIONS, hasPermission };
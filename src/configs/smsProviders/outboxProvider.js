@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local outbox configuration (dev/test stand-in for a real SMS gateway)
+const OUTBOX_DIR = path.resolve(process.cwd(), process.env.SMS_OUTBOX_DIR || '.sms-outbox');
+const OUTBOX_FILE = path.join(OUTBOX_DIR, 'outbox.jsonl');
+
+/**
+ * Append a message to the outbox file and note it on the console. OTPs are
+ * only written to the file, never to logs.
+ * @param {object} entry - Message record to persist
+ */
+const writeToOutbox = (entry) => {
+  fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+  fs.appendFileSync(OUTBOX_FILE, `${JSON.stringify(entry)}\n`, 'utf8');
+  console.log(`📬 [SMS-OUTBOX] ${entry.type.toUpperCase()} for ${entry.phoneNumber}${entry.type === 'otp' ? '' : `: ${entry.message}`}`);
+  console.log(`📁 [SMS-OUTBOX] Recorded in ${OUTBOX_FILE}`);
+};
+
+const cleanPhone = (phoneNumber) => phoneNumber.replace(/^\+91/, '').replace(/\D/g, '');
+
+/**
+ * Record an OTP in the local outbox instead of sending it
+ * @param {string} phoneNumber - Phone number the OTP is meant for
+ * @param {string} otp - OTP to record
+ * @returns {Promise<object>} - Send result (no session, verification is done locally)
+ */
+const sendOTP = async (phoneNumber, otp) => {
+  try {
+    const cleanPhoneNumber = cleanPhone(phoneNumber);
+    if (cleanPhoneNumber.length !== 10) {
+      throw new Error('Invalid phone number format. Must be 10 digits.');
+    }
+
+    writeToOutbox({
+      type: 'otp',
+      phoneNumber: cleanPhoneNumber,
+      otp,
+      createdAt: new Date().toISOString()
+    });
+
+    return {
+      success: true,
+      sessionId: null,
+      message: 'OTP recorded in local outbox',
+      phoneNumber: cleanPhoneNumber
+    };
+  } catch (error) {
+    console.error('🚨 SMS outbox error:', error);
+    return {
+      success: false,
+      error: 'Failed to record OTP',
+      details: error.message
+    };
+  }
+};
+
+/**
+ * The outbox never issues sessions, so there is nothing to verify remotely.
+ * Callers fall back to their local OTP hash check.
+ * @returns {Promise<object>} - Always unsuccessful
+ */
+const verifyOTP = async () => ({
+  success: false,
+  error: 'Remote verification not supported by outbox provider',
+  details: 'Use local OTP hash verification'
+});
+
+/**
+ * Record a custom SMS message in the local outbox
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} message - Message body
+ * @returns {Promise<object>} - Send result
+ */
+const sendSMS = async (phoneNumber, message) => {
+  try {
+    const cleanPhoneNumber = cleanPhone(phoneNumber);
+    writeToOutbox({
+      type: 'sms',
+      phoneNumber: cleanPhoneNumber,
+      message,
+      createdAt: new Date().toISOString()
+    });
+    return { success: true, message: 'SMS recorded in local outbox' };
+  } catch (error) {
+    console.error('🚨 SMS outbox error:', error);
+    return {
+      success: false,
+      error: 'Failed to record SMS',
+      details: error.message
+    };
+  }
+};
+
+/**
+ * Read recorded messages, newest last (used by dev tooling and tests)
+ * @param {string} [phoneNumber] - Only return messages for this number
+ * @returns {object[]} - Outbox entries
+ */
+const readOutbox = (phoneNumber = null) => {
+  if (!fs.existsSync(OUTBOX_FILE)) return [];
+  const entries = fs.readFileSync(OUTBOX_FILE, 'utf8')
+    .split(/\r?\n/)
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+  if (!phoneNumber) return entries;
+  const cleanPhoneNumber = cleanPhone(phoneNumber);
+  return entries.filter((entry) => entry.phoneNumber === cleanPhoneNumber);
+};
+
+module.exports = {
+  name: 'outbox',
+  isConfigured: () => true,
+  sendOTP,
+  verifyOTP,
+  sendSMS,
+  readOutbox,
+  OUTBOX_FILE
+};
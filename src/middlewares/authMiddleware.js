@@ -10,12 +10,17 @@ function authMiddleware(req, res, next) {
   const token = match[1];
   try {
     const payload = jwt.verify(token, process.env.JWT_SECRET);
-    // attach userId (or id) to request object
+    // Refresh tokens carry a role too; only access tokens may call the API
+    if (payload.type !== 'access') {
+      return res.status(401).json({ error: 'Invalid token type' });
+    }
+    // attach userId (or id) and the full payload (role, staffId, ...) to request object
     req.userId = payload.userId || payload.id || payload.sub;
+    req.user = payload;
     next();
   } catch (err) {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
 }
 
-module.exports = authMiddleware; 
\ No newline at end of file
+module.exports = authMiddleware; 
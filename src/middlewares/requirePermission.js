@@ -0,0 +1,30 @@
+const { hasPermission } = require('../configs/roles');
+
+/**
+ * Require every listed permission for the token's role. Must run after
+ * authMiddleware or verifyToken so that req.user is populated.
+ * Responds 403 naming the first permission the role is missing.
+ * @param {...string} permissions - Permissions such as `menu:write`
+ */
+const requirePermission = (...permissions) => {
+  const middleware = (req, res, next) => {
+    const role = req.user?.role || null;
+    const missing = permissions.find((permission) => !hasPermission(role, permission));
+
+    if (missing) {
+      console.log(`🚫 [RBAC] ${role || 'no role'} (${req.user?.userId}) denied ${req.method} ${req.originalUrl}: missing ${missing}`);
+      return res.status(403).json({
+        error: `Forbidden: missing permission '${missing}'`,
+        missingPermission: missing,
+        role
+      });
+    }
+
+    next();
+  };
+  // Read by utils/openapi.js to document what each route requires
+  middleware.permissions = permissions;
+  return middleware;
+};
+
+module.exports = requirePermission;
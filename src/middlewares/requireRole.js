@@ -0,0 +1,27 @@
+/**
+ * Require the token's role to be one of the listed roles, for routes that only
+ * make sense for some kinds of account whatever permissions others hold
+ * (admin's `*` included). Must run after authMiddleware or verifyToken.
+ * Responds 403 naming the allowed roles.
+ * @param {...string} roles - Roles from configs/roles.js ROLES
+ */
+const requireRole = (...roles) => {
+  const middleware = (req, res, next) => {
+    const role = req.user?.role || null;
+
+    if (!roles.includes(role)) {
+      console.log(`🚫 [RBAC] ${role || 'no role'} (${req.user?.userId}) denied ${req.method} ${req.originalUrl}: role not in ${roles.join(', ')}`);
+      return res.status(403).json({
+        error: `Forbidden: only ${roles.join(', ')} accounts can use this endpoint`,
+        role
+      });
+    }
+
+    next();
+  };
+  // Read by utils/openapi.js to document who can call each route
+  middleware.roles = roles;
+  return middleware;
+};
+
+module.exports = requireRole;
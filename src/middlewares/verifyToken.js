@@ -0,0 +1,28 @@
+const jwt = require('jsonwebtoken');
+
+// Middleware to verify an access token and expose its payload as req.user
+const verifyToken = (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization || '';
+    const match = authHeader.match(/^Bearer\s+(.*)$/i);
+    
+    if (!match) {
+      return res.status(401).json({ error: 'Missing Bearer token' });
+    }
+
+    const token = match[1];
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (payload.type !== 'access') {
+      return res.status(401).json({ error: 'Invalid token type' });
+    }
+
+    req.user = payload;
+    next();
+  } catch (error) {
+    console.error('🚨 Token verification error:', error);
+    res.status(401).json({ error: 'Invalid or expired token' });
+  }
+};
+
+module.exports = verifyToken;
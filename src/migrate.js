@@ -0,0 +1,71 @@
+require('dotenv/config');
+require('reflect-metadata');
+const fs = require('fs');
+const path = require('path');
+const { createDataSource } = require('./configs/database');
+const { MIGRATIONS_DIR, loadMigrations, migrationStatus, migrateUp, migrateDown } = require('./utils/migrationRunner');
+
+// -----------------------------------------------------------------------------
+// Migration CLI
+//   npm run migrate                  apply all pending migrations
+//   npm run migrate -- --to 3        apply up to and including version 3
+//   npm run migrate:down             revert the last migration
+//   npm run migrate:down -- 2        revert the last two migrations
+//   npm run migrate:status           list applied and pending migrations
+//   npm run migrate:create -- name   create empty up/down files for a new migration
+// -----------------------------------------------------------------------------
+
+function createMigrationFiles(name) {
+  if (!/^[a-z0-9_]+$/.test(name || '')) {
+    throw new Error('Migration name must be lowercase letters, digits and underscores');
+  }
+  const migrations = loadMigrations();
+  const next = (migrations.length > 0 ? migrations[migrations.length - 1].version : 0) + 1;
+  const prefix = `${String(next).padStart(4, '0')}_${name}`;
+
+  fs.writeFileSync(path.join(MIGRATIONS_DIR, `${prefix}.up.sql`), `-- ${name}\n`);
+  fs.writeFileSync(path.join(MIGRATIONS_DIR, `${prefix}.down.sql`), `-- revert ${name}\n`);
+  console.log(`📝 [MIGRATION] Created src/migrations/${prefix}.up.sql and .down.sql`);
+}
+
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  if (command === 'create') {
+    createMigrationFiles(args[0]);
+    return;
+  }
+
+  const dataSource = createDataSource();
+  await dataSource.initialize();
+  try {
+    if (command === 'up') {
+      const toIndex = args.indexOf('--to');
+      const to = toIndex >= 0 ? parseInt(args[toIndex + 1], 10) : undefined;
+      const applied = await migrateUp(dataSource, { to });
+      console.log(applied.length > 0 ? `🎉 [MIGRATION] Applied ${applied.length} migration(s)` : '✅ [MIGRATION] Database is up to date');
+    } else if (command === 'down') {
+      const steps = args[0] ? parseInt(args[0], 10) : 1;
+      const reverted = await migrateDown(dataSource, { steps });
+      console.log(`↩️ [MIGRATION] Reverted ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+      const { applied, pending } = await migrationStatus(dataSource);
+      for (const m of applied) {
+        const flags = [m.checksumMismatch && 'CHECKSUM MISMATCH', m.missingFile && 'FILE MISSING'].filter(Boolean);
+        console.log(`  ✅ ${String(m.version).padStart(4, '0')}_${m.name}  ${new Date(m.appliedAt).toISOString()}${flags.length ? `  ⚠️ ${flags.join(', ')}` : ''}`);
+      }
+      for (const m of pending) {
+        console.log(`  ⏳ ${String(m.version).padStart(4, '0')}_${m.name}  pending`);
+      }
+    } else {
+      throw new Error(`Unknown command '${command}' (use up, down, status or create)`);
+    }
+  } finally {
+    await dataSource.destroy();
+  }
+}
+
+main().catch((err) => {
+  console.error('🚨 [MIGRATION-ERROR]', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,228 @@
+-- Baseline: the tables, functions and triggers the routes relied on before
+-- migrations were tracked in the repo. Every statement is a no-op on a database
+-- that already has them, so this can be applied to production as-is.
+-- There is no down migration for the baseline.
+
+CREATE TABLE IF NOT EXISTS sellers (
+  seller_id VARCHAR(255) PRIMARY KEY,
+  owner_name VARCHAR(255),
+  restaurant_name VARCHAR(255),
+  rest_phone VARCHAR(20) UNIQUE,
+  phone_verified BOOLEAN DEFAULT FALSE,
+  account_status VARCHAR(20) DEFAULT 'active',
+  address_id INTEGER,
+  menu_id INTEGER,
+  restaurant_image TEXT,
+  operating_hours VARCHAR(100),
+  service_type VARCHAR(50),
+  opening_time TIME,
+  closing_time TIME,
+  service_types TEXT[],
+  pan_no VARCHAR(20),
+  gst_no VARCHAR(20),
+  fssai_license VARCHAR(50),
+  bank_acc_no VARCHAR(30),
+  ifsc_code VARCHAR(20),
+  account_holder_name VARCHAR(255),
+  bank_name VARCHAR(255),
+  email VARCHAR(255),
+  special_offers TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  last_login TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS addresses (
+  address_id INTEGER PRIMARY KEY,
+  rest_id VARCHAR(255),
+  address_type VARCHAR(50),
+  country VARCHAR(100),
+  state VARCHAR(100),
+  city VARCHAR(100),
+  pincode INTEGER,
+  house_ad TEXT,
+  colony_name VARCHAR(255),
+  landmark VARCHAR(255),
+  rest_ad TEXT,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION
+);
+
+CREATE TABLE IF NOT EXISTS users (
+  user_id INTEGER PRIMARY KEY,
+  phone VARCHAR(20) UNIQUE,
+  name VARCHAR(255),
+  email VARCHAR(255),
+  gender VARCHAR(20),
+  dob DATE,
+  preference VARCHAR(50),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS menu (
+  item_id INTEGER PRIMARY KEY,
+  rest_id VARCHAR(255),
+  item_name VARCHAR(255),
+  item_desc TEXT,
+  item_cat VARCHAR(100),
+  item_price NUMERIC(10, 2),
+  image TEXT,
+  is_veg BOOLEAN
+);
+
+CREATE TABLE IF NOT EXISTS orders (
+  order_id SERIAL PRIMARY KEY,
+  user_id INTEGER,
+  rest_id VARCHAR(255),
+  order_status VARCHAR(30),
+  total_amount NUMERIC(10, 2),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS order_list (
+  order_id INTEGER,
+  rest_id VARCHAR(255),
+  item_id INTEGER,
+  quantity INTEGER,
+  price NUMERIC(10, 2)
+);
+
+CREATE TABLE IF NOT EXISTS likes (
+  user_id INTEGER,
+  rest_id VARCHAR(255)
+);
+
+CREATE TABLE IF NOT EXISTS collection (
+  user_id INTEGER,
+  rest_id VARCHAR(255)
+);
+
+CREATE TABLE IF NOT EXISTS rating (
+  user_id INTEGER,
+  rest_id VARCHAR(255),
+  rating NUMERIC(2, 1),
+  review TEXT
+);
+
+CREATE TABLE IF NOT EXISTS admin (
+  admin VARCHAR(255) PRIMARY KEY
+);
+
+CREATE TABLE IF NOT EXISTS offers (
+  offer_id SERIAL PRIMARY KEY,
+  seller_id VARCHAR(255) NOT NULL REFERENCES sellers(seller_id) ON DELETE CASCADE,
+  offer_title VARCHAR(255),
+  offer_description TEXT,
+  offer_image TEXT,
+  offer_image_public_id VARCHAR(255),
+  discount_type VARCHAR(20),
+  discount_value NUMERIC(10, 2),
+  min_order_amount NUMERIC(10, 2),
+  max_discount_amount NUMERIC(10, 2),
+  valid_from TIMESTAMP,
+  valid_until TIMESTAMP,
+  is_active BOOLEAN DEFAULT TRUE,
+  usage_limit INTEGER,
+  used_count INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  session_id SERIAL PRIMARY KEY,
+  seller_id VARCHAR(255) NOT NULL REFERENCES sellers(seller_id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL,
+  device_info TEXT,
+  ip_address VARCHAR(64),
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_used TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS auth_logs (
+  id SERIAL PRIMARY KEY,
+  seller_id VARCHAR(255),
+  phone_number VARCHAR(20),
+  event_type VARCHAR(50),
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  success BOOLEAN,
+  error_message TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS otp_attempts (
+  id SERIAL PRIMARY KEY,
+  phone_number VARCHAR(20) NOT NULL,
+  otp_hash VARCHAR(64) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  ip_address VARCHAR(64),
+  is_signup BOOLEAN DEFAULT FALSE,
+  session_id VARCHAR(255),
+  sms_provider VARCHAR(50),
+  sms_status VARCHAR(50),
+  attempts INTEGER DEFAULT 0,
+  verified_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Seller signup reserves an address id before inserting the seller
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'get_next_address_id') THEN
+    CREATE FUNCTION get_next_address_id() RETURNS INTEGER AS $fn$
+      SELECT COALESCE(MAX(address_id), 0) + 1 FROM addresses;
+    $fn$ LANGUAGE sql;
+  END IF;
+END $$;
+
+-- New sellers get an empty address row for the address_id they were given.
+-- Only installed when no existing trigger on sellers already writes addresses.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_trigger t
+    JOIN pg_proc p ON p.oid = t.tgfoid
+    WHERE t.tgrelid = 'sellers'::regclass AND NOT t.tgisinternal AND p.prosrc ILIKE '%addresses%'
+  ) THEN
+    CREATE OR REPLACE FUNCTION create_seller_address() RETURNS TRIGGER AS $fn$
+    BEGIN
+      IF NEW.address_id IS NOT NULL THEN
+        INSERT INTO addresses (address_id, rest_id)
+        VALUES (NEW.address_id, NEW.seller_id)
+        ON CONFLICT (address_id) DO NOTHING;
+      END IF;
+      RETURN NEW;
+    END;
+    $fn$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER trg_sellers_create_address
+      AFTER INSERT ON sellers
+      FOR EACH ROW EXECUTE FUNCTION create_seller_address();
+  END IF;
+END $$;
+
+-- Keep the legacy operating_hours text in sync with opening_time/closing_time.
+-- Only installed when no existing trigger on sellers already maintains it.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_trigger t
+    JOIN pg_proc p ON p.oid = t.tgfoid
+    WHERE t.tgrelid = 'sellers'::regclass AND NOT t.tgisinternal AND p.prosrc ILIKE '%operating_hours%'
+  ) THEN
+    CREATE OR REPLACE FUNCTION sync_operating_hours() RETURNS TRIGGER AS $fn$
+    BEGIN
+      IF NEW.opening_time IS NOT NULL AND NEW.closing_time IS NOT NULL THEN
+        NEW.operating_hours := to_char(NEW.opening_time, 'HH12:MI AM') || ' - ' || to_char(NEW.closing_time, 'HH12:MI AM');
+      END IF;
+      RETURN NEW;
+    END;
+    $fn$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER trg_sellers_sync_operating_hours
+      BEFORE INSERT OR UPDATE OF opening_time, closing_time ON sellers
+      FOR EACH ROW EXECUTE FUNCTION sync_operating_hours();
+  END IF;
+END $$;
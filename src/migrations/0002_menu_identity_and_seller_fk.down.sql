@@ -0,0 +1,2 @@
+ALTER TABLE menu DROP CONSTRAINT IF EXISTS fk_menu_rest;
+ALTER TABLE menu ALTER COLUMN item_id DROP IDENTITY IF EXISTS;
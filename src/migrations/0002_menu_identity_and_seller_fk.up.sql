@@ -0,0 +1,30 @@
+-- menu.item_id is generated by the database and menu rows belong to a seller
+-- (previously applied on every boot by applyMenuFix in src/index.js)
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'menu'
+      AND column_name = 'item_id'
+      AND identity_generation IS NOT NULL
+  ) THEN
+    ALTER TABLE menu ALTER COLUMN item_id DROP DEFAULT;
+    ALTER TABLE menu ALTER COLUMN item_id ADD GENERATED BY DEFAULT AS IDENTITY;
+    -- Continue numbering after existing rows
+    PERFORM setval(pg_get_serial_sequence('menu', 'item_id'), COALESCE((SELECT MAX(item_id) FROM menu), 0) + 1, false);
+  END IF;
+END $$;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE constraint_type = 'FOREIGN KEY'
+      AND table_name = 'menu'
+      AND constraint_name = 'fk_menu_rest'
+  ) THEN
+    ALTER TABLE menu
+      ADD CONSTRAINT fk_menu_rest FOREIGN KEY (rest_id) REFERENCES sellers(seller_id) ON DELETE CASCADE;
+  END IF;
+END $$;
@@ -0,0 +1,14 @@
+-- Sessions that do not belong to a seller cannot survive seller_id becoming NOT NULL again
+DELETE FROM auth_sessions WHERE seller_id IS NULL;
+
+DROP INDEX IF EXISTS idx_auth_sessions_user;
+DROP INDEX IF EXISTS idx_auth_sessions_family;
+
+ALTER TABLE auth_sessions ALTER COLUMN seller_id SET NOT NULL;
+
+ALTER TABLE auth_sessions
+  DROP COLUMN IF EXISTS revoked_reason,
+  DROP COLUMN IF EXISTS revoked_at,
+  DROP COLUMN IF EXISTS rotated_at,
+  DROP COLUMN IF EXISTS family_id,
+  DROP COLUMN IF EXISTS user_id;
@@ -0,0 +1,14 @@
+-- Customer sessions and refresh-token rotation metadata on auth_sessions
+-- (previously ensureSessionSchema in src/utils/sessionStore.js)
+
+ALTER TABLE auth_sessions
+  ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(user_id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS family_id UUID,
+  ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS revoked_reason VARCHAR(50);
+
+ALTER TABLE auth_sessions ALTER COLUMN seller_id DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_family ON auth_sessions (family_id);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions (user_id);
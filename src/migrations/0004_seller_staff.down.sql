@@ -0,0 +1,2 @@
+ALTER TABLE auth_sessions DROP COLUMN IF EXISTS staff_id;
+DROP TABLE IF EXISTS seller_staff;
@@ -0,0 +1,16 @@
+-- Staff log in with their own phone number and act on behalf of the restaurant
+-- that added them (previously ensureStaffSchema in src/utils/staffStore.js)
+
+CREATE TABLE IF NOT EXISTS seller_staff (
+  staff_id SERIAL PRIMARY KEY,
+  seller_id VARCHAR(255) NOT NULL REFERENCES sellers(seller_id) ON DELETE CASCADE,
+  name VARCHAR(100),
+  phone_number VARCHAR(20) NOT NULL UNIQUE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_login TIMESTAMP
+);
+
+-- Staff sessions are stored under the restaurant's seller_id and tagged with the staff member
+ALTER TABLE auth_sessions
+  ADD COLUMN IF NOT EXISTS staff_id INTEGER REFERENCES seller_staff(staff_id) ON DELETE CASCADE;
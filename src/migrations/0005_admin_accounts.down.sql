@@ -0,0 +1,11 @@
+DELETE FROM auth_sessions WHERE admin_id IS NOT NULL;
+ALTER TABLE auth_sessions DROP COLUMN IF EXISTS admin_id;
+
+ALTER TABLE users DROP COLUMN IF EXISTS account_status;
+
+ALTER TABLE admin
+  DROP COLUMN IF EXISTS last_login,
+  DROP COLUMN IF EXISTS created_at,
+  DROP COLUMN IF EXISTS is_active,
+  DROP COLUMN IF EXISTS phone_number,
+  DROP COLUMN IF EXISTS name;
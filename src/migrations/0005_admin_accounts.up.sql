@@ -0,0 +1,19 @@
+-- Admin logins, suspendable customer accounts and admin sessions
+-- (previously ensureAdminSchema in src/utils/adminStore.js)
+
+CREATE TABLE IF NOT EXISTS admin (
+  admin VARCHAR(255) PRIMARY KEY
+);
+
+ALTER TABLE admin
+  ADD COLUMN IF NOT EXISTS name VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS phone_number VARCHAR(20) UNIQUE,
+  ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS last_login TIMESTAMP;
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS account_status VARCHAR(20) NOT NULL DEFAULT 'active';
+
+ALTER TABLE auth_sessions
+  ADD COLUMN IF NOT EXISTS admin_id VARCHAR(255);
@@ -0,0 +1,12 @@
+-- Rows still in the trash are removed rather than silently coming back
+DELETE FROM offers WHERE deleted_at IS NOT NULL;
+DELETE FROM menu WHERE deleted_at IS NOT NULL;
+DELETE FROM sellers WHERE deleted_at IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_offers_deleted_at;
+DROP INDEX IF EXISTS idx_menu_deleted_at;
+DROP INDEX IF EXISTS idx_sellers_deleted_at;
+
+ALTER TABLE offers DROP COLUMN IF EXISTS deleted_by, DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE menu DROP COLUMN IF EXISTS deleted_by, DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE sellers DROP COLUMN IF EXISTS deleted_by, DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,18 @@
+-- Soft delete for sellers, menu items and offers: rows stay in the trash
+-- (deleted_at set) until restored or purged after the retention window
+
+ALTER TABLE sellers
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(255);
+
+ALTER TABLE menu
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(255);
+
+ALTER TABLE offers
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_sellers_deleted_at ON sellers (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_menu_deleted_at ON menu (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_offers_deleted_at ON offers (deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,28 @@
+-- Rows held in <table>_key_conflicts go back to their table. A primary key
+-- that the up migration replaced on order_list is not recreated.
+
+ALTER TABLE collection DROP CONSTRAINT IF EXISTS pk_collection;
+ALTER TABLE likes DROP CONSTRAINT IF EXISTS pk_likes;
+ALTER TABLE rating DROP CONSTRAINT IF EXISTS pk_rating;
+
+DO $$
+DECLARE
+  t TEXT;
+  holding TEXT;
+  cols TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['collection', 'likes', 'rating'] LOOP
+    holding := t || '_key_conflicts';
+    IF to_regclass(holding) IS NOT NULL THEN
+      SELECT string_agg(quote_ident(column_name), ', ' ORDER BY ordinal_position) INTO cols
+      FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = t;
+      EXECUTE format('INSERT INTO %I (%s) SELECT %s FROM %I', t, cols, cols, holding);
+      EXECUTE format('DROP TABLE %I', holding);
+    END IF;
+  END LOOP;
+END $$;
+
+DROP INDEX IF EXISTS idx_order_list_order;
+ALTER TABLE order_list DROP CONSTRAINT IF EXISTS pk_order_list;
+ALTER TABLE order_list DROP COLUMN IF EXISTS line_id;
@@ -0,0 +1,64 @@
+-- collection, likes and rating hold one row per (user_id, rest_id) but had no
+-- primary key. Rows that stand in the way of the composite key (missing either
+-- column, or an older copy of a duplicated pair) are moved, not deleted, into
+-- <table>_key_conflicts with the time they were held, for an admin to review;
+-- the down migration puts them back.
+--
+-- order_list had no column identifying a single line (order_id repeats across
+-- an order's lines), so each line gets a serial line_id as its primary key.
+
+DO $$
+DECLARE
+  t TEXT;
+  holding TEXT;
+  held BIGINT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['collection', 'likes', 'rating'] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM information_schema.table_constraints
+      WHERE constraint_type = 'PRIMARY KEY' AND table_name = t
+    ) THEN
+      holding := t || '_key_conflicts';
+      EXECUTE format('CREATE TABLE IF NOT EXISTS %I (LIKE %I)', holding, t);
+      EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS held_at TIMESTAMP NOT NULL DEFAULT NOW()', holding);
+      -- Of each duplicated pair the physically last row stays
+      EXECUTE format(
+        'WITH moved AS (
+           DELETE FROM %I a
+           WHERE a.user_id IS NULL OR a.rest_id IS NULL
+              OR EXISTS (SELECT 1 FROM %I b WHERE b.user_id = a.user_id AND b.rest_id = a.rest_id AND a.ctid < b.ctid)
+           RETURNING a.*
+         )
+         INSERT INTO %I SELECT * FROM moved',
+        t, t, holding
+      );
+      GET DIAGNOSTICS held = ROW_COUNT;
+      IF held > 0 THEN
+        RAISE NOTICE '% row(s) of % conflict with its primary key and were moved to %', held, t, holding;
+      ELSE
+        EXECUTE format('DROP TABLE %I', holding);
+      END IF;
+      EXECUTE format('ALTER TABLE %I ADD CONSTRAINT %I PRIMARY KEY (user_id, rest_id)', t, 'pk_' || t);
+    END IF;
+  END LOOP;
+END $$;
+
+ALTER TABLE order_list ADD COLUMN IF NOT EXISTS line_id SERIAL;
+
+DO $$
+DECLARE
+  pk TEXT;
+BEGIN
+  SELECT constraint_name INTO pk
+  FROM information_schema.table_constraints
+  WHERE constraint_type = 'PRIMARY KEY' AND table_name = 'order_list';
+  IF pk IS DISTINCT FROM 'pk_order_list' THEN
+    -- A key on order_id alone would allow only one line per order
+    IF pk IS NOT NULL THEN
+      EXECUTE format('ALTER TABLE order_list DROP CONSTRAINT %I', pk);
+    END IF;
+    ALTER TABLE order_list ADD CONSTRAINT pk_order_list PRIMARY KEY (line_id);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_order_list_order ON order_list (order_id);
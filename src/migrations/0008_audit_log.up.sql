@@ -0,0 +1,22 @@
+-- Change history: one row per write with before/after snapshots, who made it
+-- and through which route
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  audit_id BIGSERIAL PRIMARY KEY,
+  table_name VARCHAR(64) NOT NULL,
+  record_id TEXT NOT NULL,
+  action VARCHAR(20) NOT NULL,
+  changed_columns TEXT[],
+  before_data JSONB,
+  after_data JSONB,
+  actor_id VARCHAR(255),
+  actor_role VARCHAR(30),
+  staff_id INTEGER,
+  ip_address VARCHAR(64),
+  route TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log (table_name, record_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at DESC);
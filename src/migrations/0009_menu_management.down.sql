@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS idx_menu_rest_sort;
+
+ALTER TABLE menu
+  DROP COLUMN IF EXISTS updated_at,
+  DROP COLUMN IF EXISTS created_at,
+  DROP COLUMN IF EXISTS image_public_id,
+  DROP COLUMN IF EXISTS sort_order;
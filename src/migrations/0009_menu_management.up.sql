@@ -0,0 +1,19 @@
+-- Seller menu management (/menu): display order, the Cloudinary public id of
+-- each item's image, and timestamps
+
+ALTER TABLE menu
+  ADD COLUMN IF NOT EXISTS sort_order INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS image_public_id TEXT,
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+
+-- Existing items keep their current (item_id) order within each restaurant
+UPDATE menu m
+SET sort_order = ranked.position
+FROM (
+  SELECT item_id, ROW_NUMBER() OVER (PARTITION BY rest_id ORDER BY item_id) AS position
+  FROM menu
+) ranked
+WHERE m.item_id = ranked.item_id;
+
+CREATE INDEX IF NOT EXISTS idx_menu_rest_sort ON menu (rest_id, sort_order);
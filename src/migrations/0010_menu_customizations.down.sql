@@ -0,0 +1,7 @@
+ALTER TABLE order_list
+  DROP COLUMN IF EXISTS customizations,
+  DROP COLUMN IF EXISTS variant_id;
+
+DROP TABLE IF EXISTS menu_addons;
+DROP TABLE IF EXISTS menu_addon_groups;
+DROP TABLE IF EXISTS menu_variants;
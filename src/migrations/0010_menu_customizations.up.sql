@@ -0,0 +1,44 @@
+-- Menu item customizations: sizes (variants) and add-on groups with min/max
+-- selections, each priced as a delta on the item price. Order lines keep the
+-- chosen variant and a snapshot of the chosen options.
+
+CREATE TABLE IF NOT EXISTS menu_variants (
+  variant_id SERIAL PRIMARY KEY,
+  item_id INTEGER NOT NULL REFERENCES menu(item_id) ON DELETE CASCADE,
+  variant_name VARCHAR(100) NOT NULL,
+  price_delta NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  sort_order INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_variants_item ON menu_variants (item_id);
+-- At most one default size per item
+CREATE UNIQUE INDEX IF NOT EXISTS uq_menu_variants_default ON menu_variants (item_id) WHERE is_default;
+
+CREATE TABLE IF NOT EXISTS menu_addon_groups (
+  group_id SERIAL PRIMARY KEY,
+  item_id INTEGER NOT NULL REFERENCES menu(item_id) ON DELETE CASCADE,
+  group_name VARCHAR(100) NOT NULL,
+  min_select INTEGER NOT NULL DEFAULT 0,
+  -- NULL: no upper limit
+  max_select INTEGER,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  CONSTRAINT chk_menu_addon_groups_select CHECK (min_select >= 0 AND (max_select IS NULL OR max_select >= min_select))
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_addon_groups_item ON menu_addon_groups (item_id);
+
+CREATE TABLE IF NOT EXISTS menu_addons (
+  addon_id SERIAL PRIMARY KEY,
+  group_id INTEGER NOT NULL REFERENCES menu_addon_groups(group_id) ON DELETE CASCADE,
+  addon_name VARCHAR(100) NOT NULL,
+  price_delta NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  is_veg BOOLEAN,
+  sort_order INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_addons_group ON menu_addons (group_id);
+
+ALTER TABLE order_list
+  ADD COLUMN IF NOT EXISTS variant_id INTEGER,
+  ADD COLUMN IF NOT EXISTS customizations JSONB;
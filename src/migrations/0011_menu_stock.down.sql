@@ -0,0 +1,10 @@
+DROP TABLE IF EXISTS menu_stock_resets;
+
+ALTER TABLE menu DROP CONSTRAINT IF EXISTS chk_menu_stock;
+
+ALTER TABLE menu
+  DROP COLUMN IF EXISTS stock_remaining,
+  DROP COLUMN IF EXISTS daily_stock,
+  DROP COLUMN IF EXISTS sold_out_at,
+  DROP COLUMN IF EXISTS sold_out_today,
+  DROP COLUMN IF EXISTS is_available;
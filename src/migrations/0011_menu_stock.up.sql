@@ -0,0 +1,33 @@
+-- Item availability and daily stock. is_available is the seller's standing
+-- switch; sold_out_today is set when the seller marks an item out of stock for
+-- the day or its stock runs out, and is cleared by the daily reset, which also
+-- refills stock_remaining from daily_stock (NULL: stock is not counted).
+
+ALTER TABLE menu
+  ADD COLUMN IF NOT EXISTS is_available BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS sold_out_today BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS sold_out_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS daily_stock INTEGER,
+  ADD COLUMN IF NOT EXISTS stock_remaining INTEGER;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.table_constraints
+    WHERE table_name = 'menu' AND constraint_name = 'chk_menu_stock'
+  ) THEN
+    ALTER TABLE menu
+      ADD CONSTRAINT chk_menu_stock CHECK (
+        (daily_stock IS NULL OR daily_stock >= 0)
+        AND (stock_remaining IS NULL OR stock_remaining >= 0)
+      );
+  END IF;
+END $$;
+
+-- One row per local day on which the reset has run, so several server
+-- instances (or a restart) never reset the same day twice
+CREATE TABLE IF NOT EXISTS menu_stock_resets (
+  reset_date DATE PRIMARY KEY,
+  reset_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  items_reset INTEGER NOT NULL DEFAULT 0
+);
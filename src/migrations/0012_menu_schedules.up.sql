@@ -0,0 +1,24 @@
+-- Time-slotted menus. A schedule row is one availability window on some days
+-- of the week, for either a menu item or one of a seller's categories
+-- (menu.item_cat). An item or category without rows follows the seller's
+-- opening hours; with rows it can be ordered inside any of its windows.
+-- A NULL start_time/end_time stands for the seller's opening_time/closing_time.
+-- A window that ends earlier than it starts runs past midnight and belongs to
+-- the day it starts on.
+
+CREATE TABLE IF NOT EXISTS menu_schedules (
+  schedule_id SERIAL PRIMARY KEY,
+  rest_id VARCHAR(255) NOT NULL REFERENCES sellers(seller_id) ON DELETE CASCADE,
+  item_id INTEGER REFERENCES menu(item_id) ON DELETE CASCADE,
+  category VARCHAR(100),
+  -- 0 = Sunday ... 6 = Saturday
+  days SMALLINT[] NOT NULL DEFAULT '{0,1,2,3,4,5,6}',
+  start_time TIME,
+  end_time TIME,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  CONSTRAINT chk_menu_schedules_target CHECK ((item_id IS NULL) <> (category IS NULL)),
+  CONSTRAINT chk_menu_schedules_days CHECK (cardinality(days) > 0 AND days <@ '{0,1,2,3,4,5,6}'::SMALLINT[])
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_schedules_rest ON menu_schedules (rest_id);
+CREATE INDEX IF NOT EXISTS idx_menu_schedules_item ON menu_schedules (item_id) WHERE item_id IS NOT NULL;
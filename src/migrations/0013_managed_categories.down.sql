@@ -0,0 +1,37 @@
+-- Section schedules go back to category (item_cat) schedules; item_cat keeps
+-- the section names it mirrors. Schedules held in menu_schedules_unmapped go back.
+ALTER TABLE menu_schedules ADD COLUMN IF NOT EXISTS category VARCHAR(100);
+
+UPDATE menu_schedules ms
+SET category = s.name
+FROM menu_sections s
+WHERE ms.section_id = s.section_id;
+
+ALTER TABLE menu_schedules DROP CONSTRAINT IF EXISTS chk_menu_schedules_target;
+ALTER TABLE menu_schedules DROP COLUMN IF EXISTS section_id;
+ALTER TABLE menu_schedules
+  ADD CONSTRAINT chk_menu_schedules_target CHECK ((item_id IS NULL) <> (category IS NULL));
+
+DO $$
+DECLARE
+  cols TEXT;
+BEGIN
+  IF to_regclass('menu_schedules_unmapped') IS NOT NULL THEN
+    SELECT string_agg(quote_ident(column_name), ', ' ORDER BY ordinal_position) INTO cols
+    FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'menu_schedules';
+    EXECUTE format('INSERT INTO menu_schedules (%s) SELECT %s FROM menu_schedules_unmapped', cols, cols);
+    DROP TABLE menu_schedules_unmapped;
+  END IF;
+END $$;
+
+DROP TRIGGER IF EXISTS trg_menu_sections_sync_item_cat ON menu_sections;
+DROP FUNCTION IF EXISTS sync_section_item_cat();
+DROP TRIGGER IF EXISTS trg_menu_sync_item_cat ON menu;
+DROP FUNCTION IF EXISTS sync_menu_item_cat();
+
+DROP INDEX IF EXISTS idx_menu_section;
+ALTER TABLE menu DROP COLUMN IF EXISTS section_id;
+
+DROP TABLE IF EXISTS menu_sections;
+DROP TABLE IF EXISTS categories;
@@ -0,0 +1,170 @@
+-- Managed categories instead of free-text menu.item_cat.
+--   categories:    platform categories for the home screen, managed by admins
+--                  (name, icon, display order, active flag)
+--   menu_sections: a seller's own menu sections in display order, each
+--                  optionally filed under a platform category
+-- Existing item_cat values are mapped: spellings that differ only in case or
+-- spacing become one category (named after the most used spelling) and one
+-- section per seller. menu.item_cat stays as a mirror of the section name for
+-- older clients; section schedules replace the category schedules. Category
+-- schedules whose category matches no section are moved, not deleted, into
+-- menu_schedules_unmapped with the time they were held, for an admin to review;
+-- the down migration puts them back.
+
+CREATE TABLE IF NOT EXISTS categories (
+  category_id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  slug VARCHAR(120) NOT NULL UNIQUE,
+  icon TEXT,
+  -- Set only for icons uploaded to Cloudinary, which are removed when replaced
+  icon_public_id TEXT,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_categories_name ON categories (lower(name));
+
+CREATE TABLE IF NOT EXISTS menu_sections (
+  section_id SERIAL PRIMARY KEY,
+  rest_id VARCHAR(255) NOT NULL REFERENCES sellers(seller_id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  category_id INTEGER REFERENCES categories(category_id) ON DELETE SET NULL,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_menu_sections_name ON menu_sections (rest_id, lower(name));
+CREATE INDEX IF NOT EXISTS idx_menu_sections_category ON menu_sections (category_id);
+
+ALTER TABLE menu
+  ADD COLUMN IF NOT EXISTS section_id INTEGER REFERENCES menu_sections(section_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_menu_section ON menu (section_id);
+
+-- Platform categories from the item_cat values in use; the newest item image
+-- becomes the initial icon, as GET /categories/public used to show
+WITH used AS (
+  SELECT regexp_replace(btrim(item_cat), '\s+', ' ', 'g') AS label, image, item_id
+  FROM menu
+  WHERE item_cat IS NOT NULL AND btrim(item_cat) <> ''
+),
+grouped AS (
+  SELECT lower(label) AS key,
+         mode() WITHIN GROUP (ORDER BY label) AS name,
+         (array_agg(image ORDER BY item_id DESC) FILTER (WHERE image IS NOT NULL))[1] AS icon
+  FROM used
+  GROUP BY lower(label)
+),
+slugged AS (
+  SELECT name, icon,
+         COALESCE(NULLIF(btrim(regexp_replace(key, '[^a-z0-9]+', '-', 'g'), '-'), ''), 'category') AS slug
+  FROM grouped
+),
+numbered AS (
+  SELECT name, icon, slug, row_number() OVER (PARTITION BY slug ORDER BY name) AS n
+  FROM slugged
+)
+INSERT INTO categories (name, slug, icon, sort_order)
+SELECT name,
+       CASE WHEN n = 1 THEN slug ELSE slug || '-' || n END,
+       icon,
+       row_number() OVER (ORDER BY name)
+FROM numbered
+ON CONFLICT DO NOTHING;
+
+-- One section per seller and category, ordered by where its items sit on the menu
+WITH used AS (
+  SELECT rest_id, regexp_replace(btrim(item_cat), '\s+', ' ', 'g') AS label, sort_order, item_id
+  FROM menu
+  WHERE rest_id IN (SELECT seller_id FROM sellers) AND item_cat IS NOT NULL AND btrim(item_cat) <> ''
+),
+grouped AS (
+  SELECT rest_id, lower(label) AS key,
+         mode() WITHIN GROUP (ORDER BY label) AS name,
+         MIN(sort_order) AS first_position,
+         MIN(item_id) AS first_item
+  FROM used
+  GROUP BY rest_id, lower(label)
+)
+INSERT INTO menu_sections (rest_id, name, category_id, sort_order)
+SELECT g.rest_id, g.name, c.category_id,
+       row_number() OVER (PARTITION BY g.rest_id ORDER BY g.first_position, g.first_item)
+FROM grouped g
+LEFT JOIN categories c ON lower(c.name) = g.key
+ON CONFLICT DO NOTHING;
+
+UPDATE menu m
+SET section_id = s.section_id, item_cat = s.name
+FROM menu_sections s
+WHERE m.section_id IS NULL
+  AND m.item_cat IS NOT NULL
+  AND s.rest_id = m.rest_id
+  AND lower(s.name) = lower(regexp_replace(btrim(m.item_cat), '\s+', ' ', 'g'));
+
+-- item_cat follows the section: the section name while the item has one,
+-- cleared when it leaves its section
+CREATE OR REPLACE FUNCTION sync_menu_item_cat() RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.section_id IS NOT NULL THEN
+    SELECT name INTO NEW.item_cat FROM menu_sections WHERE section_id = NEW.section_id;
+  ELSIF TG_OP = 'UPDATE' AND OLD.section_id IS NOT NULL THEN
+    NEW.item_cat := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_menu_sync_item_cat ON menu;
+CREATE TRIGGER trg_menu_sync_item_cat
+  BEFORE INSERT OR UPDATE OF section_id, item_cat ON menu
+  FOR EACH ROW EXECUTE FUNCTION sync_menu_item_cat();
+
+CREATE OR REPLACE FUNCTION sync_section_item_cat() RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE menu SET item_cat = NEW.name WHERE section_id = NEW.section_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_menu_sections_sync_item_cat ON menu_sections;
+CREATE TRIGGER trg_menu_sections_sync_item_cat
+  AFTER UPDATE OF name ON menu_sections
+  FOR EACH ROW EXECUTE FUNCTION sync_section_item_cat();
+
+-- Category schedules become section schedules
+ALTER TABLE menu_schedules
+  ADD COLUMN IF NOT EXISTS section_id INTEGER REFERENCES menu_sections(section_id) ON DELETE CASCADE;
+
+UPDATE menu_schedules ms
+SET section_id = s.section_id
+FROM menu_sections s
+WHERE ms.category IS NOT NULL
+  AND s.rest_id = ms.rest_id
+  AND lower(s.name) = lower(regexp_replace(btrim(ms.category), '\s+', ' ', 'g'));
+
+DO $$
+DECLARE
+  held BIGINT;
+BEGIN
+  CREATE TABLE IF NOT EXISTS menu_schedules_unmapped (LIKE menu_schedules);
+  ALTER TABLE menu_schedules_unmapped ADD COLUMN IF NOT EXISTS held_at TIMESTAMP NOT NULL DEFAULT NOW();
+  WITH moved AS (
+    DELETE FROM menu_schedules WHERE item_id IS NULL AND section_id IS NULL
+    RETURNING *
+  )
+  INSERT INTO menu_schedules_unmapped SELECT * FROM moved;
+  GET DIAGNOSTICS held = ROW_COUNT;
+  IF held > 0 THEN
+    RAISE NOTICE '% category schedule(s) match no menu section and were moved to menu_schedules_unmapped', held;
+  ELSE
+    DROP TABLE menu_schedules_unmapped;
+  END IF;
+END $$;
+
+ALTER TABLE menu_schedules DROP CONSTRAINT IF EXISTS chk_menu_schedules_target;
+ALTER TABLE menu_schedules DROP COLUMN IF EXISTS category;
+ALTER TABLE menu_schedules
+  ADD CONSTRAINT chk_menu_schedules_target CHECK ((item_id IS NULL) <> (section_id IS NULL));
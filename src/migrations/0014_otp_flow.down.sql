@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_otp_attempts_phone_flow;
+
+ALTER TABLE otp_attempts DROP COLUMN IF EXISTS flow;
@@ -0,0 +1,8 @@
+-- Which login flow (seller, customer or admin) sent each OTP, so a code sent
+-- by one flow cannot be redeemed through another. Codes issued before this
+-- column existed match no flow and simply expire.
+
+ALTER TABLE otp_attempts
+  ADD COLUMN IF NOT EXISTS flow VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_otp_attempts_phone_flow ON otp_attempts (phone_number, flow, created_at DESC);
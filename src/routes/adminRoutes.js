@@ -0,0 +1,667 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { getSmsProvider, sendOTP, verifyOTP } = require('../configs/smsService');
+const { ROLES } = require('../configs/roles');
+const verifyToken = require('../middlewares/verifyToken');
+const requirePermission = require('../middlewares/requirePermission');
+const { findActiveAdminByPhone, findActiveAdminById } = require('../utils/adminStore');
+const { refreshSchema, getSchemaTables } = require('../utils/schemaLoader');
+const { planCascadeDelete, executeCascadeDelete } = require('../utils/deletePlanner');
+const { SOFT_DELETE_TABLES, listTrash, restoreRow, purgeRow } = require('../utils/softDelete');
+const { ACTIONS, searchAudit } = require('../utils/auditLog');
+const { jsonBody } = require('../utils/openapi');
+const {
+  createSession,
+  rotateSession,
+  revokeByToken,
+  revokeAllSessions
+} = require('../utils/sessionStore');
+
+const router = express.Router();
+
+// Get AppDataSource dynamically to avoid circular dependency
+const getDataSource = () => {
+  const { AppDataSource } = require('../index');
+  return AppDataSource;
+};
+
+// Helper functions
+const generateOTP = () => Math.floor(100000 + Math.random() * 900000).toString();
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getClientInfo = (req) => ({
+  ip: req.ip || req.connection.remoteAddress,
+  userAgent: req.get('User-Agent') || 'Unknown'
+});
+
+const logAuthEvent = async (eventType, phoneNumber, adminId = null, success = true, error = null, req) => {
+  const { ip, userAgent } = getClientInfo(req);
+  try {
+    const AppDataSource = getDataSource();
+    await AppDataSource.query(
+      `INSERT INTO auth_logs (seller_id, phone_number, event_type, ip_address, user_agent, success, error_message)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [adminId ? `ADMIN_${adminId}` : null, phoneNumber, `ADMIN_${eventType}`, ip, userAgent, success, error]
+    );
+    console.log(`📝 Admin Auth Log: ${eventType} for ${phoneNumber || adminId} - ${success ? 'SUCCESS' : 'FAILED'}`);
+  } catch (err) {
+    console.error('Failed to log admin auth event:', err);
+  }
+};
+
+const signAdminTokens = (admin, familyId) => ({
+  accessToken: jwt.sign(
+    {
+      userId: admin.admin,
+      phone: admin.phone_number,
+      name: admin.name,
+      role: ROLES.ADMIN,
+      sid: familyId,
+      type: 'access'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '15m' }
+  ),
+  refreshToken: jwt.sign(
+    {
+      userId: admin.admin,
+      role: ROLES.ADMIN,
+      sid: familyId,
+      jti: crypto.randomUUID(),
+      type: 'refresh'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '7d' }
+  )
+});
+
+const formatAdmin = (admin) => ({
+  id: admin.admin,
+  name: admin.name,
+  phone: admin.phone_number,
+  lastLogin: admin.last_login
+});
+
+// Parse limit/offset query params with sane bounds
+const parsePaging = (query) => ({
+  limit: Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200),
+  offset: Math.max(parseInt(query.offset, 10) || 0, 0)
+});
+
+// -----------------------------------------------------------------------------
+// Admin authentication (OTP to a phone number registered in the admin table)
+// -----------------------------------------------------------------------------
+
+// POST /admin/auth/send-otp
+router.post('/auth/send-otp', async (req, res) => {
+  const { phoneNumber } = req.body;
+  const { ip } = getClientInfo(req);
+
+  console.log(`\n🔐 [ADMIN-OTP-REQUEST] Admin OTP request for ${phoneNumber} from ${ip}`);
+
+  if (!phoneNumber || phoneNumber.length < 10) {
+    return res.status(400).json({ error: 'Valid phone number required' });
+  }
+
+  try {
+    const AppDataSource = getDataSource();
+    const admin = await findActiveAdminByPhone(AppDataSource, phoneNumber);
+
+    // Same response for unknown numbers so admin phones cannot be enumerated
+    const genericResponse = { success: true, message: 'If this number belongs to an admin, an OTP has been sent', expiresIn: 300 };
+
+    if (!admin) {
+      await logAuthEvent('otp_request', phoneNumber, null, false, 'Not an admin', req);
+      return res.json(genericResponse);
+    }
+
+    const recentAttempts = await AppDataSource.query(
+      'SELECT COUNT(*) as count FROM otp_attempts WHERE phone_number = $1 AND created_at > NOW() - INTERVAL \'1 hour\'',
+      [phoneNumber]
+    );
+    if (parseInt(recentAttempts[0].count) >= 5) {
+      await logAuthEvent('otp_request', phoneNumber, admin.admin, false, 'Rate limit exceeded', req);
+      return res.status(429).json({ error: 'Too many OTP requests. Try again later.' });
+    }
+
+    const otp = generateOTP();
+    const provider = getSmsProvider();
+    const smsResult = await sendOTP(phoneNumber, otp);
+
+    if (!smsResult.success) {
+      console.log(`⚠️ [ADMIN-SMS-FALLBACK] ${provider.name} SMS failed, falling back to console mode`);
+      console.log(`🔐 [ADMIN-CONSOLE-OTP] FALLBACK - OTP for ${phoneNumber}: ${otp}`);
+    }
+
+    await AppDataSource.query(
+      `INSERT INTO otp_attempts (phone_number, otp_hash, expires_at, ip_address, is_signup, session_id, sms_provider, sms_status, attempts, flow)
+       VALUES ($1, $2, NOW() + INTERVAL '5 minutes', $3, FALSE, $4, $5, $6, 0, 'admin')`,
+      [phoneNumber, hashToken(otp), ip, smsResult.sessionId || null, smsResult.success ? provider.name : 'console', smsResult.success ? 'sent' : 'fallback']
+    );
+
+    await logAuthEvent('otp_sent', phoneNumber, admin.admin, smsResult.success, smsResult.success ? null : smsResult.error, req);
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('🚨 [ADMIN-OTP-ERROR] Send OTP error:', error);
+    res.status(500).json({ error: 'Failed to send OTP' });
+  }
+});
+
+// POST /admin/auth/verify-otp
+router.post('/auth/verify-otp', async (req, res) => {
+  const { phoneNumber, otp } = req.body;
+  const { ip } = getClientInfo(req);
+
+  if (!phoneNumber || !otp) {
+    return res.status(400).json({ error: 'Phone number and OTP required' });
+  }
+
+  try {
+    const AppDataSource = getDataSource();
+    const admin = await findActiveAdminByPhone(AppDataSource, phoneNumber);
+
+    const otpAttempts = await AppDataSource.query(
+      `SELECT * FROM otp_attempts
+       WHERE phone_number = $1 AND flow = 'admin' AND expires_at > NOW() AND verified_at IS NULL
+       ORDER BY created_at DESC LIMIT 1`,
+      [phoneNumber]
+    );
+
+    if (!admin || otpAttempts.length === 0) {
+      await logAuthEvent('otp_verify', phoneNumber, admin?.admin, false, 'No valid OTP found', req);
+      return res.status(400).json({ error: 'No valid OTP found or OTP expired' });
+    }
+
+    const otpRecord = otpAttempts[0];
+    if (otpRecord.attempts >= 3) {
+      await logAuthEvent('otp_verify', phoneNumber, admin.admin, false, 'Too many attempts', req);
+      return res.status(400).json({ error: 'Too many failed attempts' });
+    }
+
+    let otpVerified = false;
+    if (otpRecord.session_id) {
+      const providerResult = await verifyOTP(otpRecord.sms_provider, otpRecord.session_id, otp);
+      otpVerified = providerResult.success;
+    }
+    if (!otpVerified) {
+      otpVerified = otpRecord.otp_hash === hashToken(otp);
+    }
+
+    if (!otpVerified) {
+      await AppDataSource.query('UPDATE otp_attempts SET attempts = attempts + 1 WHERE id = $1', [otpRecord.id]);
+      await logAuthEvent('otp_verify', phoneNumber, admin.admin, false, 'Invalid OTP', req);
+      return res.status(400).json({ error: 'Invalid OTP' });
+    }
+
+    await AppDataSource.query(
+      'UPDATE otp_attempts SET verified_at = NOW(), sms_status = $2 WHERE id = $1',
+      [otpRecord.id, 'verified_admin']
+    );
+    await AppDataSource.query('UPDATE admin SET last_login = NOW() WHERE admin = $1', [admin.admin]);
+
+    const familyId = crypto.randomUUID();
+    const tokens = signAdminTokens(admin, familyId);
+    await createSession(AppDataSource, {
+      principal: 'admin',
+      principalId: admin.admin,
+      refreshToken: tokens.refreshToken,
+      familyId,
+      deviceInfo: req.get('User-Agent'),
+      ipAddress: ip
+    });
+
+    await logAuthEvent('login', phoneNumber, admin.admin, true, null, req);
+    console.log(`✅ [ADMIN-LOGIN] Admin ${admin.admin} logged in`);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      tokens: { ...tokens, expiresIn: 900 },
+      admin: formatAdmin(admin)
+    });
+
+  } catch (error) {
+    console.error('🚨 [ADMIN-VERIFY-ERROR] Verify OTP error:', error);
+    res.status(500).json({ error: 'Failed to verify OTP' });
+  }
+});
+
+// POST /admin/auth/refresh (single-use refresh tokens, same rotation as customers)
+router.post('/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  const { ip } = getClientInfo(req);
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token required' });
+  }
+
+  try {
+    const payload = jwt.verify(refreshToken, process.env.JWT_SECRET);
+    if (payload.type !== 'refresh' || payload.role !== ROLES.ADMIN) {
+      return res.status(400).json({ error: 'Invalid token type' });
+    }
+
+    const AppDataSource = getDataSource();
+    const admin = await findActiveAdminById(AppDataSource, payload.userId);
+    if (!admin) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const tokens = signAdminTokens(admin, payload.sid);
+    const rotation = await rotateSession(AppDataSource, {
+      principal: 'admin',
+      principalId: admin.admin,
+      refreshToken,
+      newRefreshToken: tokens.refreshToken,
+      deviceInfo: req.get('User-Agent'),
+      ipAddress: ip
+    });
+
+    if (rotation.status === 'reused') {
+      await logAuthEvent('refresh_reuse', null, admin.admin, false, 'Refresh token reuse detected', req);
+      return res.status(401).json({ error: 'Refresh token has already been used. Please log in again.' });
+    }
+    if (rotation.status !== 'rotated') {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({ success: true, tokens: { ...tokens, expiresIn: 900 }, admin: formatAdmin(admin) });
+
+  } catch (error) {
+    console.error('🚨 [ADMIN-REFRESH-ERROR] Token refresh error:', error);
+    res.status(401).json({ error: 'Invalid or expired refresh token' });
+  }
+});
+
+// POST /admin/auth/logout
+router.post('/auth/logout', async (req, res) => {
+  const { refreshToken } = req.body;
+  try {
+    if (refreshToken) {
+      await revokeByToken(getDataSource(), refreshToken, 'logout');
+    }
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('🚨 [ADMIN-LOGOUT-ERROR] Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// GET /admin/auth/me
+router.get('/auth/me', verifyToken, requirePermission('admin:access'), async (req, res) => {
+  try {
+    const admin = await findActiveAdminById(getDataSource(), req.user.userId);
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+    res.json({ success: true, admin: formatAdmin(admin) });
+  } catch (error) {
+    console.error('🚨 [ADMIN-ME-ERROR] Get admin error:', error);
+    res.status(500).json({ error: 'Failed to retrieve admin' });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Platform administration (admin role only)
+// -----------------------------------------------------------------------------
+
+// GET /admin/sellers?q=&status=&limit=&offset=
+router.get('/sellers', verifyToken, requirePermission('admin:sellers'), async (req, res) => {
+  try {
+    const { q, status } = req.query;
+    const { limit, offset } = parsePaging(req.query);
+    // Deleted sellers are listed under /admin/trash
+    const conditions = ['deleted_at IS NULL'];
+    const values = [];
+
+    if (q) {
+      values.push(`%${q}%`);
+      conditions.push(`(seller_id ILIKE $${values.length} OR owner_name ILIKE $${values.length} OR restaurant_name ILIKE $${values.length} OR rest_phone ILIKE $${values.length} OR email ILIKE $${values.length})`);
+    }
+    if (status) {
+      values.push(status);
+      conditions.push(`account_status = $${values.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const AppDataSource = getDataSource();
+    const totalResult = await AppDataSource.query(`SELECT COUNT(*) AS count FROM sellers ${where}`, values);
+    const sellers = await AppDataSource.query(
+      `SELECT seller_id, owner_name, restaurant_name, rest_phone, email, account_status, created_at, last_login
+       FROM sellers ${where}
+       ORDER BY created_at DESC NULLS LAST
+       LIMIT ${limit} OFFSET ${offset}`,
+      values
+    );
+
+    res.json({ success: true, sellers, count: sellers.length, total: parseInt(totalResult[0].count), limit, offset });
+
+  } catch (error) {
+    console.error('🚨 [ADMIN-SELLERS-ERROR] Search sellers error:', error);
+    res.status(500).json({ error: 'Failed to search sellers' });
+  }
+});
+
+// GET /admin/users?q=&status=&limit=&offset=
+router.get('/users', verifyToken, requirePermission('admin:users'), async (req, res) => {
+  try {
+    const { q, status } = req.query;
+    const { limit, offset } = parsePaging(req.query);
+    const conditions = [];
+    const values = [];
+
+    if (q) {
+      values.push(`%${q}%`);
+      conditions.push(`(name ILIKE $${values.length} OR phone ILIKE $${values.length} OR email ILIKE $${values.length} OR user_id::text = $${values.length + 1})`);
+      values.push(q);
+    }
+    if (status) {
+      values.push(status);
+      conditions.push(`account_status = $${values.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const AppDataSource = getDataSource();
+    const totalResult = await AppDataSource.query(`SELECT COUNT(*) AS count FROM users ${where}`, values);
+    const users = await AppDataSource.query(
+      `SELECT user_id, name, phone, email, account_status
+       FROM users ${where}
+       ORDER BY user_id DESC
+       LIMIT ${limit} OFFSET ${offset}`,
+      values
+    );
+
+    res.json({ success: true, users, count: users.length, total: parseInt(totalResult[0].count), limit, offset });
+
+  } catch (error) {
+    console.error('🚨 [ADMIN-USERS-ERROR] Search users error:', error);
+    res.status(500).json({ error: 'Failed to search users' });
+  }
+});
+
+// Suspend / reactivate an account and, when suspending, end all of its sessions
+const setAccountStatus = (table, idColumn, principal, status) => async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body || {};
+  try {
+    const AppDataSource = getDataSource();
+    const rows = await AppDataSource.query(
+      `WITH updated AS (
+         UPDATE ${table} SET account_status = $1 WHERE ${idColumn} = $2 RETURNING ${idColumn}, account_status
+       ) SELECT * FROM updated`,
+      [status, id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: `${principal === 'seller' ? 'Seller' : 'User'} not found` });
+    }
+
+    let revokedSessions = 0;
+    if (status === 'suspended') {
+      revokedSessions = await revokeAllSessions(AppDataSource, principal, id, 'suspended');
+    }
+
+    await logAuthEvent(status === 'suspended' ? `${principal}_suspended` : `${principal}_reactivated`, null, req.user.userId, true, reason || null, req);
+    console.log(`✅ [ADMIN-ACCOUNT] ${table}.${id} set to ${status} by ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: `Account ${status === 'suspended' ? 'suspended' : 'reactivated'} successfully`,
+      account: { id: rows[0][idColumn], accountStatus: rows[0].account_status },
+      revokedSessions
+    });
+
+  } catch (error) {
+    console.error('🚨 [ADMIN-ACCOUNT-ERROR] Account status update error:', error);
+    res.status(500).json({ error: 'Failed to update account status' });
+  }
+};
+
+router.post('/sellers/:id/suspend', verifyToken, requirePermission('admin:sellers'), setAccountStatus('sellers', 'seller_id', 'seller', 'suspended'));
+router.post('/sellers/:id/reactivate', verifyToken, requirePermission('admin:sellers'), setAccountStatus('sellers', 'seller_id', 'seller', 'active'));
+router.post('/users/:id/suspend', verifyToken, requirePermission('admin:users'), setAccountStatus('users', 'user_id', 'customer', 'suspended'));
+router.post('/users/:id/reactivate', verifyToken, requirePermission('admin:users'), setAccountStatus('users', 'user_id', 'customer', 'active'));
+
+// GET /admin/orders?rest_id=&user_id=&limit=&offset= - Platform-wide orders
+router.get('/orders', verifyToken, requirePermission('admin:orders'), async (req, res) => {
+  try {
+    const { limit, offset } = parsePaging(req.query);
+    const conditions = [];
+    const values = [];
+
+    for (const column of ['rest_id', 'user_id']) {
+      if (req.query[column] !== undefined) {
+        values.push(req.query[column]);
+        conditions.push(`${column} = $${values.length}`);
+      }
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const AppDataSource = getDataSource();
+    const totalResult = await AppDataSource.query(`SELECT COUNT(*) AS count FROM orders ${where}`, values);
+    const orders = await AppDataSource.query(
+      `SELECT * FROM orders ${where} ORDER BY order_id DESC LIMIT ${limit} OFFSET ${offset}`,
+      values
+    );
+
+    res.json({ success: true, orders, count: orders.length, total: parseInt(totalResult[0].count), limit, offset });
+
+  } catch (error) {
+    console.error('🚨 [ADMIN-ORDERS-ERROR] List orders error:', error);
+    res.status(500).json({ error: 'Failed to retrieve orders' });
+  }
+});
+
+// POST /admin/schema/refresh - Reload table metadata (after a migration) without restarting
+router.post('/schema/refresh', verifyToken, requirePermission('admin:schema'), async (req, res) => {
+  try {
+    const schema = await refreshSchema(getDataSource());
+    console.log(`🔄 [ADMIN-SCHEMA] Schema refreshed by ${req.user.userId} from ${schema.source}`);
+
+    res.json({
+      success: true,
+      source: schema.source,
+      loadedAt: schema.loadedAt,
+      tables: Object.keys(schema.tables).sort(),
+      count: Object.keys(schema.tables).length
+    });
+
+  } catch (error) {
+    console.error('🚨 [ADMIN-SCHEMA-ERROR] Schema refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh schema' });
+  }
+});
+
+// Cascade deletes work on tables with a single-column primary key known to the schema
+const resolveCascadeTarget = (req, res) => {
+  const tableSchema = getSchemaTables()[req.params.table];
+  if (!tableSchema) {
+    res.status(404).json({ error: `Table '${req.params.table}' not found in schema` });
+    return null;
+  }
+  if (tableSchema.primaryKeys.length !== 1) {
+    res.status(400).json({ error: `Table '${req.params.table}' does not have a single-column primary key` });
+    return null;
+  }
+  return { table: req.params.table, key: tableSchema.primaryKeys[0] };
+};
+
+// GET /admin/cascade/:table/:id - Dry run: rows per table that deleting this row would remove
+router.get('/cascade/:table/:id', verifyToken, requirePermission('admin:delete'), async (req, res) => {
+  try {
+    const target = resolveCascadeTarget(req, res);
+    if (!target) return;
+
+    const plan = await planCascadeDelete(getDataSource(), target.table, req.params.id, target.key);
+    if (!plan.found) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    res.json({ success: true, dryRun: true, ...plan });
+
+  } catch (error) {
+    console.error('🚨 [ADMIN-CASCADE-ERROR] Delete preview error:', error);
+    res.status(500).json({ error: 'Failed to plan delete' });
+  }
+});
+
+// DELETE /admin/cascade/:table/:id - Delete the row and everything depending on it
+router.delete('/cascade/:table/:id', verifyToken, requirePermission('admin:delete'), async (req, res) => {
+  try {
+    const target = resolveCascadeTarget(req, res);
+    if (!target) return;
+
+    const result = await executeCascadeDelete(getDataSource(), target.table, req.params.id, target.key);
+    if (!result.found) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    console.log(`🗑️ [ADMIN-CASCADE] ${req.user.userId} deleted ${target.table}/${req.params.id} (${result.total} rows)`);
+    res.json({ success: true, dryRun: false, ...result });
+
+  } catch (error) {
+    console.error('🚨 [ADMIN-CASCADE-ERROR] Cascade delete error:', error);
+    res.status(500).json({ error: 'Failed to delete record' });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Trash: soft-deleted sellers, menu items and offers
+// -----------------------------------------------------------------------------
+
+const resolveTrashTable = (table, res) => {
+  if (!SOFT_DELETE_TABLES[table]) {
+    res.status(400).json({ error: `Table must be one of: ${Object.keys(SOFT_DELETE_TABLES).join(', ')}` });
+    return null;
+  }
+  return table;
+};
+
+// GET /admin/trash?table=&limit=&offset=
+router.get('/trash', verifyToken, requirePermission('admin:trash'), async (req, res) => {
+  try {
+    const table = resolveTrashTable(req.query.table, res);
+    if (!table) return;
+    const { limit, offset } = parsePaging(req.query);
+
+    const { rows, total } = await listTrash(getDataSource(), table, { limit, offset });
+    res.json({ success: true, table, data: rows, count: rows.length, total, limit, offset });
+
+  } catch (error) {
+    console.error('🚨 [ADMIN-TRASH-ERROR] List trash error:', error);
+    res.status(500).json({ error: 'Failed to list trash' });
+  }
+});
+
+// POST /admin/trash/:table/:id/restore
+router.post('/trash/:table/:id/restore', verifyToken, requirePermission('admin:trash'), async (req, res) => {
+  try {
+    const table = resolveTrashTable(req.params.table, res);
+    if (!table) return;
+
+    const restored = await restoreRow(getDataSource(), table, req.params.id);
+    if (!restored) {
+      return res.status(404).json({ error: 'Record not found in trash' });
+    }
+
+    console.log(`♻️ [ADMIN-TRASH] ${req.user.userId} restored ${table}/${req.params.id}`);
+    res.json({ success: true, message: 'Record restored', data: restored });
+
+  } catch (error) {
+    console.error('🚨 [ADMIN-TRASH-ERROR] Restore error:', error);
+    res.status(500).json({ error: 'Failed to restore record' });
+  }
+});
+
+// DELETE /admin/trash/:table/:id - Purge now instead of waiting for the retention window
+router.delete('/trash/:table/:id', verifyToken, requirePermission('admin:trash'), async (req, res) => {
+  try {
+    const table = resolveTrashTable(req.params.table, res);
+    if (!table) return;
+
+    const result = await purgeRow(getDataSource(), table, req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Record not found in trash' });
+    }
+
+    console.log(`🗑️ [ADMIN-TRASH] ${req.user.userId} purged ${table}/${req.params.id} (${result.total} rows)`);
+    res.json({ success: true, message: 'Record purged', ...result });
+
+  } catch (error) {
+    console.error('🚨 [ADMIN-TRASH-ERROR] Purge error:', error);
+    res.status(500).json({ error: 'Failed to purge record' });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Audit trail search
+// -----------------------------------------------------------------------------
+
+// GET /admin/audit?table=&recordId=&actorId=&action=&column=&route=&from=&to=&limit=&offset=
+router.get('/audit', verifyToken, requirePermission('admin:audit'), async (req, res) => {
+  try {
+    const { table, recordId, actorId, action, column, route, from, to } = req.query;
+    const { limit, offset } = parsePaging(req.query);
+
+    if (action && !ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${ACTIONS.join(', ')}` });
+    }
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${name} must be a date or timestamp` });
+      }
+    }
+
+    const { rows, total } = await searchAudit(
+      getDataSource(),
+      { table, recordId, actorId, action, column, route, from, to },
+      { limit, offset }
+    );
+    res.json({ success: true, entries: rows, count: rows.length, total, limit, offset });
+
+  } catch (error) {
+    console.error('🚨 [ADMIN-AUDIT-ERROR] Audit search error:', error);
+    res.status(500).json({ error: 'Failed to search audit trail' });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// OpenAPI annotations (see utils/openapi.js)
+// -----------------------------------------------------------------------------
+const str = { type: 'string' };
+const queryParam = (name, description) => ({ name, in: 'query', required: false, schema: str, description });
+const paging = [queryParam('limit', '1-200, default 50'), queryParam('offset', 'Rows to skip')];
+const accountList = [queryParam('q', 'Search text'), queryParam('status', 'active or suspended'), ...paging];
+
+router.openapi = {
+  'post /auth/send-otp': { summary: 'Send a login OTP to a registered admin phone number', requestBody: jsonBody({ phoneNumber: str }, ['phoneNumber']) },
+  'post /auth/verify-otp': { summary: 'Verify the OTP and issue admin tokens', requestBody: jsonBody({ phoneNumber: str, otp: str }, ['phoneNumber', 'otp']) },
+  'post /auth/refresh': { summary: 'Rotate the admin refresh token', requestBody: jsonBody({ refreshToken: str }, ['refreshToken']) },
+  'post /auth/logout': { summary: 'End the admin session', requestBody: jsonBody({ refreshToken: str }, ['refreshToken']) },
+  'get /auth/me': { summary: 'The logged-in admin' },
+  'get /sellers': { summary: 'Search sellers', parameters: accountList },
+  'get /users': { summary: 'Search customers', parameters: accountList },
+  'post /sellers/:id/suspend': { summary: 'Suspend a seller and end their sessions', requestBody: { ...jsonBody({ reason: str }), required: false } },
+  'post /sellers/:id/reactivate': { summary: 'Reactivate a suspended seller' },
+  'post /users/:id/suspend': { summary: 'Suspend a customer and end their sessions', requestBody: { ...jsonBody({ reason: str }), required: false } },
+  'post /users/:id/reactivate': { summary: 'Reactivate a suspended customer' },
+  'get /orders': { summary: 'Orders across the platform', parameters: [queryParam('rest_id'), queryParam('user_id'), ...paging] },
+  'post /schema/refresh': { summary: 'Reload schema metadata from the database' },
+  'get /cascade/:table/:id': { summary: 'Preview the rows a cascade delete would remove' },
+  'delete /cascade/:table/:id': { summary: 'Delete a row and everything that depends on it' },
+  'get /trash': { summary: 'Soft-deleted rows awaiting purge', parameters: [queryParam('table', 'Limit to one table'), ...paging] },
+  'post /trash/:table/:id/restore': { summary: 'Restore a soft-deleted row' },
+  'delete /trash/:table/:id': { summary: 'Permanently delete a soft-deleted row' },
+  'get /audit': {
+    summary: 'Search the audit trail',
+    parameters: [
+      queryParam('table'), queryParam('recordId'), queryParam('actorId'), queryParam('action', ACTIONS.join(', ')),
+      queryParam('column', 'Entries that changed this column'), queryParam('route'),
+      queryParam('from', 'ISO timestamp'), queryParam('to', 'ISO timestamp'), ...paging,
+    ],
+  },
+};
+
+module.exports = router;
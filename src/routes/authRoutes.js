@@ -1,7 +1,23 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { send2FactorOTP, verify2FactorOTP } = require('../configs/smsService');
+const { getSmsProvider, sendOTP, verifyOTP } = require('../configs/smsService');
+const { createSession, listActiveSessions, revokeSession, revokeAllSessions } = require('../utils/sessionStore');
+const verifyToken = require('../middlewares/verifyToken');
+const requirePermission = require('../middlewares/requirePermission');
+const { ROLES } = require('../configs/roles');
+const { rowEtag, ifMatchSatisfied } = require('../utils/etag');
+const { isId } = require('../utils/rowKey');
+const { recordAudit } = require('../utils/auditLog');
+const { jsonBody, jsonResponse } = require('../utils/openapi');
+const {
+  findActiveStaffByPhone,
+  findActiveStaffById,
+  listStaff,
+  addStaff,
+  deactivateStaff,
+  touchStaffLogin
+} = require('../utils/staffStore');
 
 const router = express.Router();
 
@@ -17,7 +33,7 @@ console.log(`📡 Node Environment: ${process.env.NODE_ENV || 'development'}`);
 console.log(`🔑 JWT Secret: ${process.env.JWT_SECRET ? 'CONFIGURED' : 'NOT SET'}`);
 console.log(`🌐 Backend URL: ${process.env.VITE_BACKEND_URL || 'NOT SET'}`);
 console.log(`🗄️ Database URL: ${process.env.DATABASE_URL ? 'CONFIGURED' : 'NOT SET'}`);
-console.log(`📱 2Factor API Key: ${process.env.TWOFACTOR_API_KEY ? 'CONFIGURED' : 'NOT SET'}`);
+console.log(`📱 SMS Provider: ${getSmsProvider().name}`);
 
 if (!process.env.JWT_SECRET) {
   console.error('🚨 [ENV-ERROR] JWT_SECRET environment variable is not set!');
@@ -39,6 +55,17 @@ const generateOTP = () => Math.floor(1000 + Math.random() * 9000).toString();
 
 const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
+const formatSession = (session, currentFamilyId) => ({
+  id: session.session_id,
+  staffId: session.staff_id || null,
+  deviceInfo: session.device_info,
+  ipAddress: session.ip_address,
+  createdAt: session.created_at,
+  lastUsed: session.last_used,
+  expiresAt: session.expires_at,
+  current: Boolean(currentFamilyId) && session.family_id === currentFamilyId
+});
+
 const getClientInfo = (req) => ({
   ip: req.ip || req.connection.remoteAddress,
   userAgent: req.get('User-Agent') || 'Unknown'
@@ -88,14 +115,20 @@ router.post('/send-otp', async (req, res) => {
     console.log(`🔍 [DB-QUERY] Checking if seller exists for phone: ${phoneNumber}`);
     const dbQueryStart = Date.now();
     const sellers = await AppDataSource.query(
-      'SELECT seller_id, owner_name, restaurant_name, phone_verified, account_status FROM sellers WHERE rest_phone = $1',
+      'SELECT seller_id, owner_name, restaurant_name, phone_verified, account_status, deleted_at FROM sellers WHERE rest_phone = $1',
       [phoneNumber]
     );
     const dbQueryDuration = Date.now() - dbQueryStart;
     console.log(`⏱️ [DB-QUERY] Database query completed in ${dbQueryDuration}ms`);
 
-    const isSignup = sellers.length === 0;
-    const seller = sellers[0] || null;
+    // Staff members log in with their own phone on behalf of their restaurant
+    const staff = sellers.length === 0 ? await findActiveStaffByPhone(AppDataSource, phoneNumber) : null;
+    if (staff) {
+      console.log(`👥 [STAFF-CHECK] Phone ${phoneNumber} belongs to staff ${staff.staff_id} of ${staff.seller_id}`);
+    }
+
+    const isSignup = sellers.length === 0 && !staff;
+    const seller = sellers[0] || staff;
 
     console.log(`📱 [USER-CHECK] Phone ${phoneNumber} - ${isSignup ? 'NEW USER (SIGNUP)' : 'EXISTING USER (LOGIN)'}`);
     if (!isSignup) {
@@ -110,6 +143,13 @@ router.post('/send-otp', async (req, res) => {
       return res.status(403).json({ error: 'Account is suspended' });
     }
 
+    // Deleted accounts stay in the trash until an admin restores or purges them
+    if (!isSignup && seller.deleted_at) {
+      console.log(`🚫 [ACCOUNT-DELETED] Account ${seller.seller_id} is deleted`);
+      await logAuthEvent('otp_request', phoneNumber, seller.seller_id, false, 'Account deleted', req);
+      return res.status(403).json({ error: 'Account has been deleted' });
+    }
+
     // Rate limiting check
     console.log(`⏱️ [RATE-LIMIT-CHECK] Checking recent OTP attempts for ${phoneNumber}`);
     const rateLimitStart = Date.now();
@@ -131,7 +171,7 @@ router.post('/send-otp', async (req, res) => {
     
     console.log(`✅ [RATE-LIMIT-PASSED] Rate limit check passed`);
 
-    // Generate OTP and send via 2Factor API
+    // Generate OTP and send via the configured SMS provider
     console.log(`🎲 [OTP-GENERATION] Generating OTP...`);
     const otpGenStart = Date.now();
     const otp = generateOTP();
@@ -147,10 +187,11 @@ router.post('/send-otp', async (req, res) => {
     const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes
     console.log(`⏰ [OTP-EXPIRY] OTP expires at: ${expiresAt.toISOString()}`);
 
-    // Send OTP via 2Factor API
-    console.log(`📱 [SMS-INITIATE] Attempting to send OTP via 2Factor to: ${phoneNumber}`);
+    // Send OTP via the configured SMS provider
+    const provider = getSmsProvider();
+    console.log(`📱 [SMS-INITIATE] Attempting to send OTP via ${provider.name} to: ${phoneNumber}`);
     const smsStart = Date.now();
-    const smsResult = await send2FactorOTP(phoneNumber, otp);
+    const smsResult = await sendOTP(phoneNumber, otp);
     const smsDuration = Date.now() - smsStart;
     console.log(`📱 [SMS-COMPLETED] SMS process completed in ${smsDuration}ms`);
     
@@ -160,14 +201,14 @@ router.post('/send-otp', async (req, res) => {
     
     console.log(`📋 [SMS-RESULT] Processing SMS delivery result...`);
     if (smsResult.success) {
-      smsProvider = '2factor';
+      smsProvider = provider.name;
       smsStatus = 'sent';
       sessionId = smsResult.sessionId;
-      console.log(`✅ [SMS-SUCCESS] SMS sent via 2Factor successfully!`);
+      console.log(`✅ [SMS-SUCCESS] SMS sent via ${provider.name} successfully!`);
       console.log(`📋 [SMS-SESSION] Session ID: ${sessionId}`);
       console.log(`📱 [SMS-TARGET] Target phone: ${smsResult.phoneNumber}`);
     } else {
-      console.log(`⚠️ [SMS-FALLBACK] 2Factor SMS failed, falling back to console mode`);
+      console.log(`⚠️ [SMS-FALLBACK] ${provider.name} SMS failed, falling back to console mode`);
       console.log(`📋 [SMS-ERROR] Error details: ${smsResult.error}`);
       console.log(`📋 [SMS-DETAILS] Additional details: ${smsResult.details}`);
       smsProvider = 'console';
@@ -180,8 +221,8 @@ router.post('/send-otp', async (req, res) => {
     console.log(`🗄️ [DB-STORE] Storing OTP attempt in database...`);
     const dbStoreStart = Date.now();
     await AppDataSource.query(
-      `INSERT INTO otp_attempts (phone_number, otp_hash, expires_at, ip_address, is_signup, session_id, sms_provider, sms_status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      `INSERT INTO otp_attempts (phone_number, otp_hash, expires_at, ip_address, is_signup, session_id, sms_provider, sms_status, flow)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'seller')`,
       [phoneNumber, otpHash, expiresAt, ip, isSignup, sessionId, smsProvider, smsStatus]
     );
     const dbStoreDuration = Date.now() - dbStoreStart;
@@ -238,7 +279,7 @@ router.post('/verify-otp', async (req, res) => {
     // Get the latest OTP attempt
     const otpAttempts = await AppDataSource.query(
       `SELECT * FROM otp_attempts 
-       WHERE phone_number = $1 AND expires_at > NOW() 
+       WHERE phone_number = $1 AND flow = 'seller' AND expires_at > NOW() AND verified_at IS NULL
        ORDER BY created_at DESC LIMIT 1`,
       [phoneNumber]
     );
@@ -260,22 +301,22 @@ router.post('/verify-otp', async (req, res) => {
     let otpVerified = false;
     let verificationMethod = 'local';
 
-    // Try 2Factor verification first if session_id exists
-    if (otpRecord.session_id && otpRecord.sms_provider === '2factor') {
-      console.log(`🔍 Attempting 2Factor verification for session: ${otpRecord.session_id}`);
-      const factorResult = await verify2FactorOTP(otpRecord.session_id, otp);
+    // Try provider verification first if the provider issued a session
+    if (otpRecord.session_id) {
+      console.log(`🔍 Attempting ${otpRecord.sms_provider} verification for session: ${otpRecord.session_id}`);
+      const providerResult = await verifyOTP(otpRecord.sms_provider, otpRecord.session_id, otp);
       
-      if (factorResult.success) {
+      if (providerResult.success) {
         otpVerified = true;
-        verificationMethod = '2factor';
-        console.log(`✅ OTP verified via 2Factor API`);
+        verificationMethod = otpRecord.sms_provider;
+        console.log(`✅ OTP verified via ${otpRecord.sms_provider} API`);
       } else {
-        console.log(`❌ 2Factor verification failed: ${factorResult.error}`);
+        console.log(`❌ ${otpRecord.sms_provider} verification failed: ${providerResult.error}`);
         // Fall back to local hash verification
       }
     }
 
-    // Fall back to local hash verification if 2Factor failed or not available
+    // Fall back to local hash verification if the provider failed or has no session
     if (!otpVerified) {
       console.log(`🔍 Using local hash verification`);
       const otpHash = hashToken(otp);
@@ -297,14 +338,23 @@ router.post('/verify-otp', async (req, res) => {
       return res.status(400).json({ error: 'Invalid OTP' });
     }
 
-    // Mark OTP as verified
-    await AppDataSource.query(
-      'UPDATE otp_attempts SET verified_at = NOW(), sms_status = $2 WHERE id = $1',
+    // Mark OTP as verified; a concurrent verify of the same code finds it already used
+    const consumed = await AppDataSource.query(
+      `WITH consumed AS (
+         UPDATE otp_attempts SET verified_at = NOW(), sms_status = $2
+         WHERE id = $1 AND verified_at IS NULL
+         RETURNING id
+       ) SELECT * FROM consumed`,
       [otpRecord.id, `verified_${verificationMethod}`]
     );
+    if (consumed.length === 0) {
+      await logAuthEvent('otp_verify', phoneNumber, null, false, 'OTP already used', req);
+      return res.status(400).json({ error: 'No valid OTP found or OTP expired' });
+    }
     console.log(`✅ OTP marked as verified using ${verificationMethod} method`);
 
     let seller;
+    let staff = null;
     let isNewUser = otpRecord.is_signup;
 
     if (isNewUser) {
@@ -351,36 +401,57 @@ router.post('/verify-otp', async (req, res) => {
     } else {
       // LOGIN: Get existing seller
       const sellers = await AppDataSource.query(
-        'SELECT seller_id, owner_name, restaurant_name, rest_phone, address_id, menu_id FROM sellers WHERE rest_phone = $1',
+        'SELECT seller_id, owner_name, restaurant_name, rest_phone, address_id, menu_id, account_status, deleted_at FROM sellers WHERE rest_phone = $1',
         [phoneNumber]
       );
 
-      if (sellers.length === 0) {
-        return res.status(404).json({ error: 'Seller not found' });
-      }
+      if (sellers.length > 0) {
+        seller = sellers[0];
 
-      seller = sellers[0];
+        // The account may have been suspended or deleted after the OTP was sent
+        if (seller.account_status === 'suspended' || seller.deleted_at) {
+          console.log(`🚫 [ACCOUNT-BLOCKED] Account ${seller.seller_id} is ${seller.deleted_at ? 'deleted' : 'suspended'}`);
+          await logAuthEvent('login', phoneNumber, seller.seller_id, false, seller.deleted_at ? 'Account deleted' : 'Account suspended', req);
+          return res.status(403).json({ error: seller.deleted_at ? 'Account has been deleted' : 'Account is suspended' });
+        }
 
-      // Update login info
-      await AppDataSource.query(
-        'UPDATE sellers SET last_login = NOW(), phone_verified = TRUE WHERE seller_id = $1',
-        [seller.seller_id]
-      );
+        // Update login info
+        await AppDataSource.query(
+          'UPDATE sellers SET last_login = NOW(), phone_verified = TRUE WHERE seller_id = $1',
+          [seller.seller_id]
+        );
+      } else {
+        staff = await findActiveStaffByPhone(AppDataSource, phoneNumber);
+        if (!staff) {
+          return res.status(404).json({ error: 'Seller not found' });
+        }
+        if (staff.account_status === 'suspended') {
+          return res.status(403).json({ error: 'Account is suspended' });
+        }
 
-      await logAuthEvent('login', phoneNumber, seller.seller_id, true, null, req);
-      console.log(`✅ Login successful for ${phoneNumber} - Seller ID: ${seller.seller_id}`);
+        seller = staff;
+        await touchStaffLogin(AppDataSource, staff.staff_id);
+      }
+
+      await logAuthEvent(staff ? 'staff_login' : 'login', phoneNumber, seller.seller_id, true, null, req);
+      console.log(`✅ Login successful for ${phoneNumber} - Seller ID: ${seller.seller_id}${staff ? ` (staff ${staff.staff_id})` : ''}`);
       console.log(`📍 Address ID: ${seller.address_id}, Menu ID: ${seller.menu_id}`);
     }
 
     // Generate JWT tokens
+    const familyId = crypto.randomUUID();
+    const role = staff ? ROLES.SELLER_STAFF : ROLES.SELLER;
     const accessToken = jwt.sign(
       {
         userId: seller.seller_id,
         phone: phoneNumber,
-        name: seller.owner_name,
+        name: staff ? staff.staff_name : seller.owner_name,
         restaurant: seller.restaurant_name,
         addressId: seller.address_id,
         menuId: seller.menu_id,
+        role,
+        staffId: staff?.staff_id,
+        sid: familyId,
         type: 'access'
       },
       process.env.JWT_SECRET,
@@ -391,6 +462,10 @@ router.post('/verify-otp', async (req, res) => {
       {
         userId: seller.seller_id,
         phone: phoneNumber,
+        role,
+        staffId: staff?.staff_id,
+        sid: familyId,
+        jti: crypto.randomUUID(),
         type: 'refresh'
       },
       process.env.JWT_SECRET,
@@ -398,14 +473,17 @@ router.post('/verify-otp', async (req, res) => {
     );
 
     // Store refresh token session
-    const refreshTokenHash = hashToken(refreshToken);
-    await AppDataSource.query(
-      `INSERT INTO auth_sessions (seller_id, refresh_token_hash, device_info, ip_address, expires_at)
-       VALUES ($1, $2, $3, $4, NOW() + INTERVAL '7 days')`,
-      [seller.seller_id, refreshTokenHash, req.get('User-Agent'), ip]
-    );
+    await createSession(AppDataSource, {
+      principal: 'seller',
+      principalId: seller.seller_id,
+      refreshToken,
+      familyId,
+      deviceInfo: req.get('User-Agent'),
+      ipAddress: ip,
+      staffId: staff?.staff_id
+    });
 
-    console.log(`🎫 Tokens generated for ${seller.seller_id}`);
+    console.log(`🎫 Tokens generated for ${seller.seller_id} (${role})`);
 
     res.json({
       success: true,
@@ -418,11 +496,13 @@ router.post('/verify-otp', async (req, res) => {
       },
       user: {
         id: seller.seller_id,
-        name: seller.owner_name,
+        name: staff ? staff.staff_name : seller.owner_name,
         phone: phoneNumber,
         restaurant: seller.restaurant_name,
         addressId: seller.address_id,
-        menuId: seller.menu_id
+        menuId: seller.menu_id,
+        role,
+        staffId: staff?.staff_id
       }
     });
 
@@ -472,7 +552,7 @@ router.post('/refresh', async (req, res) => {
 
     // Get fresh user data
     const sellers = await AppDataSource.query(
-      'SELECT seller_id, owner_name, restaurant_name, rest_phone, address_id, menu_id FROM sellers WHERE seller_id = $1',
+      'SELECT seller_id, owner_name, restaurant_name, rest_phone, address_id, menu_id, account_status, deleted_at FROM sellers WHERE seller_id = $1',
       [payload.userId]
     );
 
@@ -482,21 +562,41 @@ router.post('/refresh', async (req, res) => {
 
     const seller = sellers[0];
 
+    if (seller.account_status === 'suspended') {
+      return res.status(403).json({ error: 'Account is suspended' });
+    }
+    if (seller.deleted_at) {
+      return res.status(403).json({ error: 'Account has been deleted' });
+    }
+
+    // Staff sessions keep the staff role only while the staff member is still active
+    let staff = null;
+    if (sessions[0].staff_id) {
+      staff = await findActiveStaffById(AppDataSource, sessions[0].staff_id, seller.seller_id);
+      if (!staff) {
+        return res.status(401).json({ error: 'Invalid or expired refresh token' });
+      }
+    }
+    const role = staff ? ROLES.SELLER_STAFF : ROLES.SELLER;
+
     const newAccessToken = jwt.sign(
       {
         userId: seller.seller_id,
-        phone: seller.rest_phone,
-        name: seller.owner_name,
+        phone: staff ? staff.phone_number : seller.rest_phone,
+        name: staff ? staff.name : seller.owner_name,
         restaurant: seller.restaurant_name,
         addressId: seller.address_id,
         menuId: seller.menu_id,
+        role,
+        staffId: staff?.staff_id,
+        sid: payload.sid,
         type: 'access'
       },
       process.env.JWT_SECRET,
       { expiresIn: '15m' }
     );
 
-    console.log(`✅ Token refreshed for ${seller.seller_id}`);
+    console.log(`✅ Token refreshed for ${seller.seller_id} (${role})`);
 
     res.json({
       success: true,
@@ -506,11 +606,13 @@ router.post('/refresh', async (req, res) => {
       },
       user: {
         id: seller.seller_id,
-        name: seller.owner_name,
-        phone: seller.rest_phone,
+        name: staff ? staff.name : seller.owner_name,
+        phone: staff ? staff.phone_number : seller.rest_phone,
         restaurant: seller.restaurant_name,
         addressId: seller.address_id,
-        menuId: seller.menu_id
+        menuId: seller.menu_id,
+        role,
+        staffId: staff?.staff_id
       }
     });
 
@@ -565,6 +667,149 @@ router.post('/logout', async (req, res) => {
   }
 });
 
+// GET /auth/sessions - Active devices/sessions for the logged-in seller
+router.get('/sessions', verifyToken, requirePermission('sessions:manage'), async (req, res) => {
+  try {
+    const AppDataSource = getDataSource();
+    const sessions = await listActiveSessions(AppDataSource, 'seller', req.user.userId);
+
+    console.log(`📋 [SESSIONS] Retrieved ${sessions.length} active session(s) for ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => formatSession(session, req.user.sid)),
+      count: sessions.length
+    });
+
+  } catch (error) {
+    console.error('🚨 [SESSIONS-ERROR] List sessions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve sessions' });
+  }
+});
+
+// DELETE /auth/sessions/:sessionId - Revoke a single session
+router.delete('/sessions/:sessionId', verifyToken, requirePermission('sessions:manage'), async (req, res) => {
+  const { sessionId } = req.params;
+  if (!isId(sessionId)) {
+    return res.status(400).json({ error: 'sessionId must be a session id' });
+  }
+
+  try {
+    const AppDataSource = getDataSource();
+    const revoked = await revokeSession(AppDataSource, 'seller', req.user.userId, sessionId);
+
+    if (revoked === 0) {
+      return res.status(404).json({ error: 'Session not found or already revoked' });
+    }
+
+    await logAuthEvent('session_revoked', null, req.user.userId, true, null, req);
+    console.log(`✅ [SESSIONS] Revoked session ${sessionId} for ${req.user.userId}`);
+
+    res.json({ success: true, message: 'Session revoked successfully', revoked });
+
+  } catch (error) {
+    console.error('🚨 [SESSIONS-ERROR] Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// POST /auth/logout-all - Log out everywhere
+router.post('/logout-all', verifyToken, requirePermission('sessions:manage'), async (req, res) => {
+  try {
+    const AppDataSource = getDataSource();
+    const revoked = await revokeAllSessions(AppDataSource, 'seller', req.user.userId);
+
+    await logAuthEvent('logout_all', null, req.user.userId, true, null, req);
+    console.log(`✅ [LOGOUT-ALL] Revoked ${revoked} session(s) for ${req.user.userId}`);
+
+    res.json({ success: true, message: 'Logged out from all devices', revoked });
+
+  } catch (error) {
+    console.error('🚨 [LOGOUT-ALL-ERROR] Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out from all devices' });
+  }
+});
+
+// GET /auth/staff - Staff members who can log in for this restaurant
+router.get('/staff', verifyToken, requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const AppDataSource = getDataSource();
+    const staff = await listStaff(AppDataSource, req.user.userId);
+
+    res.json({ success: true, staff, count: staff.length });
+
+  } catch (error) {
+    console.error('🚨 List staff error:', error);
+    res.status(500).json({ error: 'Failed to retrieve staff' });
+  }
+});
+
+// POST /auth/staff - Add a staff member by phone number
+router.post('/staff', verifyToken, requirePermission('staff:manage'), async (req, res) => {
+  const { name, phoneNumber } = req.body;
+
+  if (!phoneNumber || phoneNumber.length < 10) {
+    return res.status(400).json({ error: 'Valid phone number required' });
+  }
+
+  try {
+    const AppDataSource = getDataSource();
+
+    const owners = await AppDataSource.query('SELECT seller_id FROM sellers WHERE rest_phone = $1', [phoneNumber]);
+    if (owners.length > 0) {
+      return res.status(409).json({ error: 'Phone number already belongs to a seller account' });
+    }
+
+    const member = await addStaff(AppDataSource, req.user.userId, { name, phoneNumber });
+    await logAuthEvent('staff_added', phoneNumber, req.user.userId, true, null, req);
+    console.log(`✅ Added staff ${member.staff_id} for seller: ${req.user.userId}`);
+
+    res.status(201).json({ success: true, message: 'Staff member added successfully', staff: member });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Phone number is already registered as staff' });
+    }
+    console.error('🚨 Add staff error:', error);
+    res.status(500).json({ error: 'Failed to add staff member' });
+  }
+});
+
+// DELETE /auth/staff/:staffId - Remove a staff member and end their sessions
+router.delete('/staff/:staffId', verifyToken, requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const { staffId } = req.params;
+    const AppDataSource = getDataSource();
+    const removed = await deactivateStaff(AppDataSource, req.user.userId, staffId);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    await logAuthEvent('staff_removed', null, req.user.userId, true, null, req);
+    console.log(`✅ Removed staff ${staffId} for seller: ${req.user.userId}`);
+
+    res.json({ success: true, message: 'Staff member removed successfully' });
+
+  } catch (error) {
+    console.error('🚨 Remove staff error:', error);
+    res.status(500).json({ error: 'Failed to remove staff member' });
+  }
+});
+
+// Seller row plus its address row: together they are the profile /me returns and update-profile edits
+const loadProfileRows = async (db, sellerId, { forUpdate = false } = {}) => {
+  const sellers = await db.query(`SELECT * FROM sellers WHERE seller_id = $1${forUpdate ? ' FOR UPDATE' : ''}`, [sellerId]);
+  if (sellers.length === 0) return null;
+  const seller = sellers[0];
+  const addresses = seller.address_id
+    ? await db.query('SELECT * FROM addresses WHERE address_id = $1', [seller.address_id])
+    : [];
+  return { seller, address: addresses[0] || null };
+};
+
+const profileEtag = ({ seller, address }) => rowEtag({ seller, address: address || null });
+
 // GET /auth/me
 router.get('/me', async (req, res) => {
   try {
@@ -583,32 +828,21 @@ router.get('/me', async (req, res) => {
       return res.status(401).json({ error: 'Invalid token type' });
     }
 
-    const sellers = await AppDataSource.query(
-      `SELECT seller_id, owner_name, restaurant_name, rest_phone, address_id, menu_id, 
-              restaurant_image, operating_hours, service_type, opening_time, closing_time, service_types, pan_no, gst_no, 
-              fssai_license, bank_acc_no, ifsc_code, account_holder_name, bank_name, 
-              email, special_offers, account_status, created_at, last_login 
-       FROM sellers WHERE seller_id = $1`,
-      [payload.userId]
-    );
+    const profile = await loadProfileRows(AppDataSource, payload.userId);
 
-    if (sellers.length === 0) {
+    if (!profile) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const seller = sellers[0];
+    const seller = profile.seller;
 
     // Get address data from addresses table
     let addressData = '';
     let addressFields = {};
     if (seller.address_id) {
       try {
-        const addressResult = await AppDataSource.query(
-          'SELECT * FROM addresses WHERE address_id = $1',
-          [seller.address_id]
-        );
-        if (addressResult.length > 0) {
-          const addr = addressResult[0];
+        if (profile.address) {
+          const addr = profile.address;
           addressData = addr.rest_ad || '';
           addressFields = {
             addressType: addr.address_type,
@@ -629,6 +863,8 @@ router.get('/me', async (req, res) => {
       }
     }
 
+    // Send back as If-Match on PUT /auth/update-profile
+    res.set('ETag', profileEtag(profile));
     res.json({
       success: true,
       user: {
@@ -673,34 +909,32 @@ router.get('/me', async (req, res) => {
 });
 
 // PUT /auth/update-profile
-router.put('/update-profile', async (req, res) => {
+// Runs in one transaction with the seller row locked so If-Match (the ETag from
+// GET /auth/me) can reject edits made on top of a stale profile.
+router.put('/update-profile', verifyToken, requirePermission('profile:write'), async (req, res) => {
+  const queryRunner = getDataSource().createQueryRunner();
+  await queryRunner.connect();
+  await queryRunner.startTransaction();
   try {
-    const AppDataSource = getDataSource();
-    const authHeader = req.headers.authorization || '';
-    const match = authHeader.match(/^Bearer\s+(.*)$/i);
-    
-    if (!match) {
-      return res.status(401).json({ error: 'Missing Bearer token' });
-    }
-
-    const token = match[1];
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-
-    if (payload.type !== 'access') {
-      return res.status(401).json({ error: 'Invalid token type' });
-    }
+    const payload = req.user;
 
     // Get current seller data FIRST to get address_id
-    const currentSellerResult = await AppDataSource.query(
-      'SELECT * FROM sellers WHERE seller_id = $1',
-      [payload.userId]
-    );
+    const current = await loadProfileRows(queryRunner, payload.userId, { forUpdate: true });
 
-    if (currentSellerResult.length === 0) {
+    if (!current) {
+      await queryRunner.rollbackTransaction();
       return res.status(404).json({ error: 'Seller not found' });
     }
 
-    const currentSeller = currentSellerResult[0];
+    const currentSeller = current.seller;
+    const currentEtag = profileEtag(current);
+    if (!ifMatchSatisfied(req.get('If-Match'), currentEtag)) {
+      await queryRunner.rollbackTransaction();
+      console.log(`⚠️ [PROFILE-CONFLICT] Stale If-Match for seller ${payload.userId}`);
+      res.set('ETag', currentEtag);
+      return res.status(412).json({ error: 'Profile has changed since it was loaded; reload and try again' });
+    }
+    let addressRow = current.address;
 
     const {
       ownerName,
@@ -754,11 +988,13 @@ router.put('/update-profile', async (req, res) => {
          city !== undefined || pincode !== undefined || houseAddress !== undefined || 
          colonyName !== undefined || landmark !== undefined || restaurantAddress !== undefined ||
          latitude !== undefined || longitude !== undefined) && currentSeller.address_id) {
+      // A failed address write must not abort the transaction for the seller update below
+      await queryRunner.query('SAVEPOINT address_update');
       try {
         console.log(`🏠 Updating address for address_id: ${currentSeller.address_id}`);
         
         // Check if address record exists, if not create it
-        const existingAddress = await AppDataSource.query(
+        const existingAddress = await queryRunner.query(
           'SELECT * FROM addresses WHERE address_id = $1',
           [currentSeller.address_id]
         );
@@ -868,7 +1104,7 @@ router.put('/update-profile', async (req, res) => {
             insertPlaceholders.push(`$${insertParamCount++}`);
           }
           
-          await AppDataSource.query(
+          await queryRunner.query(
             `INSERT INTO addresses (${insertFields.join(', ')}) VALUES (${insertPlaceholders.join(', ')})`,
             insertValues
           );
@@ -880,20 +1116,21 @@ router.put('/update-profile', async (req, res) => {
           const addressSql = `UPDATE addresses SET ${addressUpdateFields.join(', ')} WHERE address_id = $${addressParamCount}`;
           console.log('🏠 Executing address update SQL:', addressSql);
           console.log('🏠 With values:', addressValues);
-          await AppDataSource.query(
+          await queryRunner.query(
             addressSql,
             addressValues
           );
         }
         
         // Get updated address data
-        const updatedAddress = await AppDataSource.query(
+        const updatedAddress = await queryRunner.query(
           'SELECT * FROM addresses WHERE address_id = $1',
           [currentSeller.address_id]
         );
         
         if (updatedAddress.length > 0) {
           const addr = updatedAddress[0];
+          addressRow = addr;
           addressFields = {
             addressType: addr.address_type,
             country: addr.country,
@@ -910,8 +1147,10 @@ router.put('/update-profile', async (req, res) => {
           addressData = addr.rest_ad || '';
         }
         
+        await queryRunner.query('RELEASE SAVEPOINT address_update');
         console.log(`✅ Address updated for address_id: ${currentSeller.address_id}`);
       } catch (addressError) {
+        await queryRunner.query('ROLLBACK TO SAVEPOINT address_update');
         console.error('🚨 Address update error:', addressError.message);
         // Continue without failing the whole request
       }
@@ -1012,9 +1251,10 @@ router.put('/update-profile', async (req, res) => {
       const sql = `UPDATE sellers SET ${updateFields.join(', ')} WHERE seller_id = $${paramCount} RETURNING *`;
       console.log('🗃️ Executing sellers update SQL:', sql);
       console.log('🗃️ With values:', values);
-      const result = await AppDataSource.query(sql, values);
+      const result = await queryRunner.query(sql, values);
 
       if (result.length === 0) {
+        await queryRunner.rollbackTransaction();
         return res.status(404).json({ error: 'Seller not found' });
       }
       updatedSeller = result[0];
@@ -1022,8 +1262,21 @@ router.put('/update-profile', async (req, res) => {
       updatedSeller = currentSeller;
     }
 
+    await recordAudit(queryRunner, req, { table: 'sellers', recordId: payload.userId, action: 'update', before: currentSeller, after: updatedSeller });
+    if (addressRow) {
+      await recordAudit(queryRunner, req, {
+        table: 'addresses',
+        recordId: addressRow.address_id,
+        action: current.address ? 'update' : 'create',
+        before: current.address,
+        after: addressRow,
+      });
+    }
+
+    await queryRunner.commitTransaction();
     console.log(`✅ Profile updated for seller: ${payload.userId}`);
 
+    res.set('ETag', profileEtag({ seller: updatedSeller, address: addressRow }));
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -1063,8 +1316,11 @@ router.put('/update-profile', async (req, res) => {
     });
 
   } catch (error) {
+    if (queryRunner.isTransactionActive) await queryRunner.rollbackTransaction();
     console.error('🚨 Update profile error:', error);
     res.status(500).json({ error: 'Failed to update profile' });
+  } finally {
+    await queryRunner.release();
   }
 });
 
@@ -1285,4 +1541,72 @@ router.put('/test-step2-data', async (req, res) => {
   }
 });
 
+// -----------------------------------------------------------------------------
+// OpenAPI annotations (see utils/openapi.js)
+// -----------------------------------------------------------------------------
+const str = { type: 'string' };
+const num = { type: 'number' };
+const tokens = jsonResponse('Access and refresh tokens with the seller profile', {
+  type: 'object',
+  properties: { success: { type: 'boolean' }, accessToken: str, refreshToken: str, user: { type: 'object' } },
+});
+
+router.openapi = {
+  'post /send-otp': {
+    summary: 'Send a login or signup OTP to a restaurant phone number',
+    requestBody: jsonBody({ phoneNumber: str }, ['phoneNumber']),
+    responses: { 200: jsonResponse('OTP sent; isSignup tells whether the number is new'), 403: { description: 'Account suspended or deleted' }, 429: { description: 'Too many OTP requests' } },
+  },
+  'post /verify-otp': {
+    summary: 'Verify the OTP and log in (completing signup for new numbers)',
+    requestBody: jsonBody({
+      phoneNumber: str,
+      otp: str,
+      signupData: { type: 'object', description: 'Required for new numbers', properties: { ownerName: str, restaurantName: str } },
+    }, ['phoneNumber', 'otp']),
+    responses: { 200: tokens, 400: { description: 'Wrong, expired or exhausted OTP' } },
+  },
+  'post /refresh': {
+    summary: 'Exchange a refresh token for a new token pair (the old refresh token is retired)',
+    requestBody: jsonBody({ refreshToken: str }, ['refreshToken']),
+    responses: { 200: tokens, 401: { description: 'Refresh token invalid, expired or reused' } },
+  },
+  'post /logout': {
+    summary: 'End the session belonging to a refresh token',
+    requestBody: jsonBody({ refreshToken: str }, ['refreshToken']),
+  },
+  'get /sessions': { summary: 'Active sessions (devices) of the logged-in seller' },
+  'delete /sessions/:sessionId': { summary: 'Revoke one session' },
+  'post /logout-all': { summary: 'Revoke every session of the logged-in seller' },
+  'get /staff': { summary: 'Staff members who can log in for this restaurant' },
+  'post /staff': {
+    summary: 'Add a staff member by phone number',
+    requestBody: jsonBody({ name: str, phoneNumber: str }, ['phoneNumber']),
+    responses: { 201: jsonResponse('Staff member added'), 409: { description: 'Phone number already in use' } },
+  },
+  'delete /staff/:staffId': { summary: 'Remove a staff member and end their sessions' },
+  'get /me': {
+    summary: 'Profile of the logged-in seller',
+    description: 'The ETag header is the profile version to send as If-Match on PUT /auth/update-profile.',
+    secured: true,
+    responses: { 200: jsonResponse('Seller profile with address fields'), 404: { description: 'Seller not found' } },
+  },
+  'put /update-profile': {
+    summary: 'Update the seller profile and address',
+    description: 'Send only the fields to change. With If-Match (ETag from GET /auth/me) the update fails with 412 if the profile changed meanwhile.',
+    parameters: [{ name: 'If-Match', in: 'header', required: false, schema: str }],
+    requestBody: jsonBody({
+      ownerName: str, restaurantName: str, restaurantImage: str,
+      addressType: str, country: str, state: str, city: str, pincode: str, houseAddress: str,
+      colonyName: str, landmark: str, restaurantAddress: str, latitude: num, longitude: num,
+      openingTime: { type: 'string', format: 'time' }, closingTime: { type: 'string', format: 'time' },
+      serviceTypes: { type: 'array', items: str },
+      panNo: str, gstNo: str, fssaiLicense: str, bankAccNo: str, ifscCode: str,
+      accountHolderName: str, bankName: str, email: str, specialOffers: str,
+    }),
+    responses: { 200: jsonResponse('Updated profile (ETag header holds its new version)'), 412: { description: 'Profile changed since it was read' } },
+  },
+  'put /test-step2-data': { summary: 'Development only: write step 2 onboarding data for a fixed test seller' },
+};
+
 module.exports = router; 
\ No newline at end of file
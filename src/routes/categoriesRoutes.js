@@ -1,4 +1,20 @@
 const express = require('express');
+const multer = require('multer');
+const { uploadImage, deleteImage } = require('../configs/cloudinary');
+const verifyToken = require('../middlewares/verifyToken');
+const requirePermission = require('../middlewares/requirePermission');
+const { withTransaction } = require('../utils/transaction');
+const { recordAudit } = require('../utils/auditLog');
+const { isId, validateCategory } = require('../utils/menuSections');
+const { jsonBody, imageUpload, jsonResponse } = require('../utils/openapi');
+
+// -----------------------------------------------------------------------------
+// Platform categories (/categories)
+// -----------------------------------------------------------------------------
+// The home screen lists the active categories in the admins' display order.
+// Restaurants appear under a category through their menu sections (see
+// utils/menuSections.js). Everything but /categories/public needs the
+// admin:categories permission.
 
 let AppDataSource = null;
 const getDataSource = () => {
@@ -8,15 +24,57 @@ const getDataSource = () => {
 
 const router = express.Router();
 
-// PUBLIC endpoint: distinct categories with sample image
+// Configure multer for memory storage (upload directly to Cloudinary)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'), false);
+    }
+  }
+});
+
+// Name or slug already taken by another category
+const isDuplicate = (error) => error.code === '23505';
+
+async function findCategory(db, categoryId, { forUpdate = false } = {}) {
+  if (!isId(categoryId)) return undefined;
+  const rows = await db.query(
+    `SELECT * FROM categories WHERE category_id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [categoryId]
+  );
+  return rows[0];
+}
+
+// Remove an uploaded icon that is no longer used (icons given as URLs are not ours to delete)
+async function dropIcon(publicId) {
+  if (!publicId) return;
+  console.log(`🗑️ Deleting previous category icon: ${publicId}`);
+  await deleteImage(publicId);
+}
+
+// PUBLIC endpoint: active categories that have restaurants, in display order
 router.get('/public', async (_req, res) => {
   try {
     const ds = getDataSource();
     const rows = await ds.query(`
-      SELECT DISTINCT ON (item_cat) item_cat AS name, image
-      FROM menu
-      WHERE item_cat IS NOT NULL AND image IS NOT NULL
-      ORDER BY item_cat, item_id DESC
+      SELECT c.category_id, c.name, c.slug, c.icon, c.icon AS image, c.sort_order
+      FROM categories c
+      WHERE c.is_active
+        AND EXISTS (
+          SELECT 1
+          FROM menu_sections s
+          JOIN menu m ON m.section_id = s.section_id AND m.deleted_at IS NULL
+          JOIN sellers r ON r.seller_id = s.rest_id
+            AND r.deleted_at IS NULL AND r.account_status IS DISTINCT FROM 'suspended'
+          WHERE s.category_id = c.category_id
+        )
+      ORDER BY c.sort_order, c.category_id
     `);
     res.json({ success: true, categories: rows, count: rows.length });
   } catch (err) {
@@ -25,4 +83,373 @@ router.get('/public', async (_req, res) => {
   }
 });
 
+// -----------------------------------------------------------------------------
+// Category management (admin role only)
+// -----------------------------------------------------------------------------
+
+// GET /categories - Every category, with how many sections and restaurants use it
+router.get('/', verifyToken, requirePermission('admin:categories'), async (req, res) => {
+  try {
+    const categories = await getDataSource().query(`
+      SELECT c.*,
+             COUNT(s.section_id)::int AS section_count,
+             COUNT(DISTINCT s.rest_id)::int AS restaurant_count
+      FROM categories c
+      LEFT JOIN menu_sections s ON s.category_id = c.category_id
+      GROUP BY c.category_id
+      ORDER BY c.sort_order, c.category_id
+    `);
+    res.json({ success: true, categories, count: categories.length });
+  } catch (error) {
+    console.error('🚨 [ADMIN-CATEGORIES-ERROR] List categories error:', error);
+    res.status(500).json({ error: 'Failed to retrieve categories' });
+  }
+});
+
+// POST /categories - Add a category at the end: { name, slug?, icon?, is_active? }
+router.post('/', verifyToken, requirePermission('admin:categories'), async (req, res) => {
+  const { values, errors } = validateCategory(req.body, { isCreate: true });
+  if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+  try {
+    const columns = Object.keys(values);
+    const category = await withTransaction(getDataSource(), async (tx) => {
+      const [created] = await tx.query(`
+        INSERT INTO categories (${columns.join(', ')}, sort_order)
+        VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM categories))
+        RETURNING *
+      `, columns.map((c) => values[c]));
+      await recordAudit(tx, req, { table: 'categories', recordId: created.category_id, action: 'create', after: created });
+      return created;
+    });
+    console.log(`✅ [ADMIN-CATEGORIES] Created category ${category.category_id} ('${category.name}') by ${req.user.userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      category
+    });
+  } catch (error) {
+    if (isDuplicate(error)) {
+      return res.status(409).json({ error: 'A category with this name or slug already exists' });
+    }
+    console.error('🚨 [ADMIN-CATEGORIES-ERROR] Create category error:', error);
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+});
+
+// PUT /categories/reorder - Set the home screen order: { categoryIds: [3, 1, 2] }
+// Listed categories come first in the given order; unlisted ones follow in their current order.
+router.put('/reorder', verifyToken, requirePermission('admin:categories'), async (req, res) => {
+  const { categoryIds } = req.body || {};
+  if (!Array.isArray(categoryIds) || categoryIds.length === 0 || !categoryIds.every(isId)) {
+    return res.status(400).json({ error: 'categoryIds must be a non-empty array of category ids' });
+  }
+  const ids = categoryIds.map(Number);
+  if (new Set(ids).size !== ids.length) {
+    return res.status(400).json({ error: 'categoryIds contains duplicates' });
+  }
+
+  try {
+    const AppDataSource = getDataSource();
+    const outcome = await withTransaction(AppDataSource, async (tx) => {
+      const before = await tx.query('SELECT * FROM categories ORDER BY sort_order, category_id FOR UPDATE');
+      const known = new Set(before.map((category) => Number(category.category_id)));
+      const unknown = ids.filter((id) => !known.has(id));
+      if (unknown.length > 0) return { unknown };
+
+      const order = [...ids, ...before.map((category) => Number(category.category_id)).filter((id) => !ids.includes(id))];
+      const after = await tx.query(`
+        WITH moved AS (
+          UPDATE categories c
+          SET sort_order = o.position, updated_at = NOW()
+          FROM unnest($1::int[]) WITH ORDINALITY AS o(category_id, position)
+          WHERE c.category_id = o.category_id AND c.sort_order <> o.position
+          RETURNING c.*
+        )
+        SELECT * FROM moved
+      `, [order]);
+
+      const beforeById = new Map(before.map((category) => [category.category_id, category]));
+      for (const category of after) {
+        await recordAudit(tx, req, { table: 'categories', recordId: category.category_id, action: 'update', before: beforeById.get(category.category_id), after: category });
+      }
+      return { after, order };
+    });
+
+    if (outcome.unknown) {
+      return res.status(404).json({ error: 'Categories not found', categoryIds: outcome.unknown });
+    }
+
+    console.log(`🔀 [ADMIN-CATEGORIES] Reordered categories by ${req.user.userId} (${outcome.after.length} moved)`);
+
+    res.json({
+      success: true,
+      message: 'Categories reordered successfully',
+      categoryIds: outcome.order,
+      count: outcome.order.length
+    });
+  } catch (error) {
+    console.error('🚨 [ADMIN-CATEGORIES-ERROR] Reorder categories error:', error);
+    res.status(500).json({ error: 'Failed to reorder categories' });
+  }
+});
+
+// PUT /categories/:categoryId - Rename, change the slug or icon URL, or (de)activate
+router.put('/:categoryId', verifyToken, requirePermission('admin:categories'), async (req, res) => {
+  const { categoryId } = req.params;
+  const { values, errors } = validateCategory(req.body, { isCreate: false });
+  if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+  const fields = Object.keys(values);
+  if (fields.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  try {
+    const outcome = await withTransaction(getDataSource(), async (tx) => {
+      const existing = await findCategory(tx, categoryId, { forUpdate: true });
+      if (!existing) return null;
+
+      // An icon given as a URL replaces any uploaded one
+      const replacesIcon = values.icon !== undefined && values.icon !== existing.icon;
+      const updates = replacesIcon ? { ...values, icon_public_id: null } : values;
+      const columns = Object.keys(updates);
+      const setClause = columns.map((column, index) => `${column} = $${index + 2}`).join(', ');
+      await tx.query(
+        `UPDATE categories SET ${setClause}, updated_at = NOW() WHERE category_id = $1`,
+        [categoryId, ...columns.map((column) => updates[column])]
+      );
+      const after = await findCategory(tx, categoryId);
+      await recordAudit(tx, req, { table: 'categories', recordId: categoryId, action: 'update', before: existing, after });
+      return { category: after, droppedIcon: replacesIcon ? existing.icon_public_id : null };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const { category } = outcome;
+    await dropIcon(outcome.droppedIcon);
+    console.log(`✅ [ADMIN-CATEGORIES] Updated category ${categoryId} by ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      category
+    });
+  } catch (error) {
+    if (isDuplicate(error)) {
+      return res.status(409).json({ error: 'A category with this name or slug already exists' });
+    }
+    console.error('🚨 [ADMIN-CATEGORIES-ERROR] Update category error:', error);
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+// POST /categories/:categoryId/icon - Upload or replace the category icon
+router.post('/:categoryId/icon', verifyToken, requirePermission('admin:categories'), upload.single('icon'), async (req, res) => {
+  const { categoryId } = req.params;
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No icon file provided' });
+    }
+
+    const AppDataSource = getDataSource();
+    const existing = await findCategory(AppDataSource, categoryId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    console.log(`📸 Uploading icon for category: ${categoryId}`);
+    console.log(`📁 File size: ${req.file.size} bytes, type: ${req.file.mimetype}`);
+
+    // Convert buffer to base64 for Cloudinary upload
+    const base64Image = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
+
+    const uploadResult = await uploadImage(base64Image, {
+      public_id: `category_${categoryId}_${Date.now()}`,
+      folder: 'nazdeeki/categories',
+      transformation: [
+        { width: 256, height: 256, crop: 'limit' },
+        { quality: 'auto' },
+        { fetch_format: 'auto' }
+      ]
+    });
+
+    if (!uploadResult.success) {
+      return res.status(500).json({
+        error: 'Failed to upload icon',
+        details: uploadResult.error
+      });
+    }
+
+    const category = await withTransaction(AppDataSource, async (tx) => {
+      await tx.query(
+        'UPDATE categories SET icon = $1, icon_public_id = $2, updated_at = NOW() WHERE category_id = $3',
+        [uploadResult.url, uploadResult.publicId, categoryId]
+      );
+      const after = await findCategory(tx, categoryId);
+      await recordAudit(tx, req, { table: 'categories', recordId: categoryId, action: 'update', before: existing, after });
+      return after;
+    });
+
+    // The previous icon is only removed once the new one is in place
+    await dropIcon(existing.icon_public_id);
+
+    console.log(`✅ Category icon uploaded successfully for category: ${categoryId}`);
+
+    res.json({
+      success: true,
+      message: 'Category icon uploaded successfully',
+      category
+    });
+  } catch (error) {
+    console.error('🚨 Category icon upload error:', error);
+    res.status(500).json({ error: 'Failed to upload category icon' });
+  }
+});
+
+// POST /categories/:categoryId/merge - Fold a duplicate into another category: { intoCategoryId }
+// Sections filed under this category move to the other one, then this one is deleted.
+router.post('/:categoryId/merge', verifyToken, requirePermission('admin:categories'), async (req, res) => {
+  const { categoryId } = req.params;
+  const { intoCategoryId } = req.body || {};
+  if (!isId(intoCategoryId) || Number(intoCategoryId) === Number(categoryId)) {
+    return res.status(400).json({ error: 'intoCategoryId must be the id of another category' });
+  }
+
+  try {
+    const AppDataSource = getDataSource();
+    const outcome = await withTransaction(AppDataSource, async (tx) => {
+      const source = await findCategory(tx, categoryId, { forUpdate: true });
+      const target = await findCategory(tx, intoCategoryId, { forUpdate: true });
+      if (!source || !target) return null;
+
+      const [{ moved }] = await tx.query(`
+        WITH moved AS (
+          UPDATE menu_sections SET category_id = $2, updated_at = NOW()
+          WHERE category_id = $1
+          RETURNING section_id
+        )
+        SELECT COUNT(*)::int AS moved FROM moved
+      `, [categoryId, intoCategoryId]);
+      await tx.query('DELETE FROM categories WHERE category_id = $1', [categoryId]);
+      await recordAudit(tx, req, { table: 'categories', recordId: categoryId, action: 'delete', before: source });
+      return { source, target, moved };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    await dropIcon(outcome.source.icon_public_id);
+    console.log(`🔗 [ADMIN-CATEGORIES] Merged category ${categoryId} into ${intoCategoryId} by ${req.user.userId} (${outcome.moved} section(s) moved)`);
+
+    res.json({
+      success: true,
+      message: 'Categories merged successfully',
+      category: outcome.target,
+      sectionsMoved: outcome.moved
+    });
+  } catch (error) {
+    console.error('🚨 [ADMIN-CATEGORIES-ERROR] Merge categories error:', error);
+    res.status(500).json({ error: 'Failed to merge categories' });
+  }
+});
+
+// DELETE /categories/:categoryId - Remove a category; sections filed under it become uncategorized
+router.delete('/:categoryId', verifyToken, requirePermission('admin:categories'), async (req, res) => {
+  const { categoryId } = req.params;
+
+  try {
+    const existing = await withTransaction(getDataSource(), async (tx) => {
+      const category = await findCategory(tx, categoryId, { forUpdate: true });
+      if (!category) return null;
+
+      await tx.query('DELETE FROM categories WHERE category_id = $1', [categoryId]);
+      await recordAudit(tx, req, { table: 'categories', recordId: categoryId, action: 'delete', before: category });
+      return category;
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    await dropIcon(existing.icon_public_id);
+
+    console.log(`✅ [ADMIN-CATEGORIES] Deleted category ${categoryId} by ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    console.error('🚨 [ADMIN-CATEGORIES-ERROR] Delete category error:', error);
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+});
+
+// OpenAPI annotations (see utils/openapi.js)
+const categoryFields = {
+  name: { type: 'string' },
+  slug: { type: 'string', description: 'Derived from the name when omitted' },
+  icon: { type: 'string', nullable: true, description: 'Icon URL; POST /categories/{categoryId}/icon uploads one instead' },
+  is_active: { type: 'boolean' },
+};
+
+router.openapi = {
+  'get /public': {
+    summary: 'Active categories that have restaurants, in display order',
+    responses: {
+      200: jsonResponse('Categories', {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          categories: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                category_id: { type: 'integer' },
+                name: { type: 'string' },
+                slug: { type: 'string' },
+                icon: { type: 'string', nullable: true },
+                image: { type: 'string', nullable: true, description: 'Same as icon, for older clients' },
+                sort_order: { type: 'integer' },
+              },
+            },
+          },
+          count: { type: 'integer' },
+        },
+      }),
+    },
+  },
+  'get /': { summary: 'All categories with their section and restaurant counts (admin)' },
+  'post /': {
+    summary: 'Add a category at the end of the home screen (admin)',
+    requestBody: jsonBody(categoryFields, ['name']),
+    responses: { 201: jsonResponse('Created category'), 409: { description: 'Name or slug already used' }, 422: { description: 'Validation failed' } },
+  },
+  'put /reorder': {
+    summary: 'Set the home screen order of categories (admin)',
+    description: 'Listed categories come first in the given order; unlisted ones follow in their current order.',
+    requestBody: jsonBody({ categoryIds: { type: 'array', items: { type: 'integer' } } }, ['categoryIds']),
+    responses: { 200: jsonResponse('Resulting order'), 404: { description: 'Unknown categories' } },
+  },
+  'put /:categoryId': {
+    summary: 'Update a category (admin)',
+    requestBody: jsonBody(categoryFields),
+    responses: { 200: jsonResponse('Updated category'), 404: { description: 'Category not found' }, 409: { description: 'Name or slug already used' }, 422: { description: 'Validation failed' } },
+  },
+  'post /:categoryId/icon': { summary: "Upload or replace a category's icon (admin)", requestBody: imageUpload('icon') },
+  'post /:categoryId/merge': {
+    summary: 'Merge a duplicate category into another (admin)',
+    description: 'Sections filed under this category move to the other one, then this category is deleted.',
+    requestBody: jsonBody({ intoCategoryId: { type: 'integer' } }, ['intoCategoryId']),
+    responses: { 200: jsonResponse('The remaining category'), 404: { description: 'Category not found' } },
+  },
+  'delete /:categoryId': { summary: 'Delete a category; its sections become uncategorized (admin)' },
+};
+
 module.exports = router;
@@ -0,0 +1,261 @@
+const express = require('express');
+const verifyToken = require('../middlewares/verifyToken');
+const requirePermission = require('../middlewares/requirePermission');
+const { loadSchema } = require('../utils/schemaLoader');
+const { hasSoftReferences, executeCascadeDelete } = require('../utils/deletePlanner');
+const { runListQuery } = require('../utils/queryBuilder');
+const { validateRow } = require('../utils/rowValidator');
+const { isSoftDeleteTable, notDeleted, softDeleteRow } = require('../utils/softDelete');
+const { keyCondition } = require('../utils/rowKey');
+const { recordAudit, recordIdFor } = require('../utils/auditLog');
+const { withTransaction } = require('../utils/transaction');
+const { jsonBody } = require('../utils/openapi');
+
+// -----------------------------------------------------------------------------
+// Developer data console (/test)
+// -----------------------------------------------------------------------------
+// Raw table access for local development and debugging. Nothing is mounted
+// unless DEV_CONSOLE_ENABLED=true, every request needs an admin access token
+// (`admin:console`), and only allow-listed tables are reachable. The console
+// is read-only unless DEV_CONSOLE_WRITES=true; each write it performs is logged
+// and recorded in the audit trail.
+//
+//   DEV_CONSOLE_ENABLED  mount the console (default false)
+//   DEV_CONSOLE_WRITES   allow POST/PUT/DELETE (default false)
+//   DEV_CONSOLE_TABLES   comma-separated allow-list (default DEFAULT_TABLES)
+
+// Business tables only: sessions, OTP attempts, admins, staff, the audit log
+// and migration bookkeeping are never exposed unless listed explicitly
+const DEFAULT_TABLES = [
+  'addresses', 'categories', 'collection', 'likes', 'menu', 'menu_addon_groups', 'menu_addons',
+  'menu_schedules', 'menu_sections', 'menu_variants', 'offers', 'order_list', 'orders', 'rating', 'sellers', 'users',
+];
+
+const parseList = (value) => String(value).split(',').map((t) => t.trim()).filter(Boolean);
+
+/**
+ * Console settings from the environment
+ * @returns {{ enabled: boolean, writes: boolean, tables: string[] }}
+ */
+const consoleConfig = () => ({
+  enabled: process.env.DEV_CONSOLE_ENABLED === 'true',
+  writes: process.env.DEV_CONSOLE_WRITES === 'true',
+  tables: process.env.DEV_CONSOLE_TABLES ? parseList(process.env.DEV_CONSOLE_TABLES) : DEFAULT_TABLES,
+});
+
+let AppDataSource = null;
+const getDataSource = () => {
+  if (!AppDataSource) AppDataSource = require('../index').AppDataSource;
+  return AppDataSource;
+};
+
+const router = express.Router();
+
+router.use(verifyToken, requirePermission('admin:console'));
+
+// Allow-listed tables that exist in the current schema
+const consoleTables = () => {
+  const { tables } = loadSchema();
+  return consoleConfig().tables.filter((t) => tables[t]);
+};
+
+// Resolve :table to its schema, answering 404 for anything off the allow-list
+const resolveTable = (req, res) => {
+  const { table } = req.params;
+  if (!consoleTables().includes(table)) {
+    res.status(404).json({ error: `Table '${table}' is not available in the dev console` });
+    return null;
+  }
+  return loadSchema().tables[table];
+};
+
+// Key from the path segments after the table, one per primary key column
+const resolveKey = (tableSchema, req, res) => {
+  const segments = req.params.key;
+  const columns = tableSchema.primaryKeys;
+  if (columns.length === 0) {
+    res.status(400).json({ error: `Table '${req.params.table}' has no primary key` });
+    return null;
+  }
+  if (segments.length !== columns.length) {
+    res.status(400).json({ error: `Expected ${columns.length} key segment(s): /${columns.map((c) => `:${c}`).join('/')}` });
+    return null;
+  }
+  return Object.fromEntries(columns.map((c, i) => [c, segments[i]]));
+};
+
+const requireWrites = (_req, res, next) => {
+  if (!consoleConfig().writes) {
+    return res.status(403).json({ error: 'Dev console is read-only (set DEV_CONSOLE_WRITES=true to allow writes)' });
+  }
+  next();
+};
+
+// Log a console write and record it in the audit trail (db is the write's QueryRunner)
+async function logWrite(db, req, { table, key, action, before, after }) {
+  const recordId = recordIdFor(Object.keys(key), key);
+  console.log(`📝 [DEV-CONSOLE] ${req.user.role} ${req.user.userId} ${action} ${table}/${recordId}`);
+  await recordAudit(db, req, { table, recordId, action, before, after });
+}
+
+// Schema of the allow-listed tables
+router.get('/schema', (_req, res) => {
+  const { tables } = loadSchema();
+  res.json(Object.fromEntries(consoleTables().map((t) => [t, tables[t]])));
+});
+
+router.get('/tables', (_req, res) => {
+  const { writes } = consoleConfig();
+  res.json({ tables: consoleTables(), writes });
+});
+
+router.get('/:table', async (req, res) => {
+  const tableSchema = resolveTable(req, res);
+  if (!tableSchema) return;
+  const { table } = req.params;
+
+  try {
+    const result = await runListQuery(getDataSource(), {
+      tableName: table,
+      columns: tableSchema.columns,
+      columnInfo: tableSchema.columnInfo,
+      primaryKeys: tableSchema.primaryKeys.length > 0 ? tableSchema.primaryKeys : [tableSchema.columns[0]],
+      uniqueKey: tableSchema.primaryKeys.length > 0,
+      query: req.query,
+      conditions: isSoftDeleteTable(table) ? [{ sql: notDeleted(), params: [] }] : [],
+      defaultLimit: 10,
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+
+    res.set('X-Total-Count', String(result.body.total));
+    res.json(result.body);
+  } catch (err) {
+    console.error(`❌ [DEV-CONSOLE] Read error for ${table}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/:table', requireWrites, async (req, res) => {
+  const tableSchema = resolveTable(req, res);
+  if (!tableSchema) return;
+  const { table } = req.params;
+
+  try {
+    // Key columns the database generates (identity, serial, defaults) are not client-supplied
+    const generated = (column) => {
+      const info = tableSchema.columnInfo?.[column];
+      return tableSchema.primaryKeys.includes(column) && Boolean(info?.isIdentity || info?.hasDefault);
+    };
+    const body = Object.fromEntries(Object.entries(req.body || {}).filter(([column]) => !generated(column)));
+    if (Object.keys(body).length === 0) return res.status(400).json({ error: 'Body is empty' });
+
+    const { values, errors } = validateRow(tableSchema, body, { isCreate: true });
+    if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+    const columns = Object.keys(values);
+    const placeholders = columns.map((_, i) => `$${i + 1}`).join(', ');
+    const created = await withTransaction(getDataSource(), async (tx) => {
+      const rows = await tx.query(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders}) RETURNING *`,
+        columns.map((c) => values[c])
+      );
+      const key = Object.fromEntries(tableSchema.primaryKeys.map((c) => [c, rows[0][c]]));
+      await logWrite(tx, req, { table, key, action: 'create', after: rows[0] });
+      return rows[0];
+    });
+    res.status(201).json(created);
+  } catch (err) {
+    console.error(`❌ [DEV-CONSOLE] Create error for ${table}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.put('/:table/*key', requireWrites, async (req, res) => {
+  const tableSchema = resolveTable(req, res);
+  if (!tableSchema) return;
+  const key = resolveKey(tableSchema, req, res);
+  if (!key) return;
+  const { table } = req.params;
+
+  try {
+    if (Object.keys(req.body || {}).length === 0) return res.status(400).json({ error: 'Body is empty' });
+
+    const { values, errors } = validateRow(tableSchema, req.body, { isCreate: false });
+    if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+    const columns = Object.keys(values);
+    const setClause = columns.map((c, i) => `${c} = $${i + 1}`).join(', ');
+
+    const updated = await withTransaction(getDataSource(), async (tx) => {
+      const match = keyCondition(key, 1);
+      const [before] = await tx.query(`SELECT * FROM ${table} WHERE ${match.sql} FOR UPDATE`, match.params);
+      if (!before) return null;
+
+      const where = keyCondition(key, columns.length + 1);
+      await tx.query(
+        `UPDATE ${table} SET ${setClause} WHERE ${where.sql}`,
+        [...columns.map((c) => values[c]), ...where.params]
+      );
+      // Re-read by the row's new key in case the update changed a key column
+      const next = keyCondition(Object.fromEntries(Object.keys(key).map((c) => [c, c in values ? values[c] : key[c]])), 1);
+      const [after] = await tx.query(`SELECT * FROM ${table} WHERE ${next.sql}`, next.params);
+
+      await logWrite(tx, req, { table, key, action: 'update', before, after });
+      return after;
+    });
+    if (!updated) return res.status(404).json({ error: 'Record not found' });
+    res.json(updated);
+  } catch (err) {
+    console.error(`❌ [DEV-CONSOLE] Update error for ${table}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/:table/*key', requireWrites, async (req, res) => {
+  const tableSchema = resolveTable(req, res);
+  if (!tableSchema) return;
+  const key = resolveKey(tableSchema, req, res);
+  if (!key) return;
+  const { table } = req.params;
+
+  try {
+    const where = keyCondition(key, 1);
+    const deleted = await withTransaction(getDataSource(), async (tx) => {
+      const [before] = await tx.query(`SELECT * FROM ${table} WHERE ${where.sql} FOR UPDATE`, where.params);
+      if (!before) return false;
+
+      // Same semantics as the generic routers: trash, cascade, or a plain delete
+      const [keyColumn] = tableSchema.primaryKeys;
+      let after = null;
+      if (isSoftDeleteTable(table)) {
+        after = await softDeleteRow(tx, table, key[keyColumn], req.user.userId);
+        if (!after) return false;
+      } else if (hasSoftReferences(table)) {
+        await executeCascadeDelete(tx, table, key[keyColumn], keyColumn);
+      } else {
+        await tx.query(`DELETE FROM ${table} WHERE ${where.sql}`, where.params);
+      }
+
+      await logWrite(tx, req, { table, key, action: 'delete', before, after });
+      return true;
+    });
+    if (!deleted) return res.status(404).json({ error: 'Record not found' });
+    res.status(204).send();
+  } catch (err) {
+    console.error(`❌ [DEV-CONSOLE] Delete error for ${table}:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// OpenAPI annotations (see utils/openapi.js)
+router.openapi = {
+  'get /schema': { summary: 'Schema metadata of the console tables' },
+  'get /tables': { summary: 'Tables reachable through the console and whether writes are enabled' },
+  'get /:table': { summary: 'List rows (same filters, sort and paging as /api)' },
+  'post /:table': { summary: 'Insert a row (needs DEV_CONSOLE_WRITES=true)', requestBody: jsonBody({}) },
+  'put /:table/*key': { summary: 'Update a row by key, one path segment per key column (needs DEV_CONSOLE_WRITES=true)', requestBody: jsonBody({}) },
+  'delete /:table/*key': { summary: 'Delete a row by key (needs DEV_CONSOLE_WRITES=true)' },
+};
+
+module.exports = router;
+module.exports.consoleConfig = consoleConfig;
@@ -0,0 +1,670 @@
+const express = require('express');
+const multer = require('multer');
+const { uploadImage, deleteImage } = require('../configs/cloudinary');
+const verifyToken = require('../middlewares/verifyToken');
+const requirePermission = require('../middlewares/requirePermission');
+const requireRole = require('../middlewares/requireRole');
+const { ROLES } = require('../configs/roles');
+const { getSchemaTables } = require('../utils/schemaLoader');
+const { validateRow } = require('../utils/rowValidator');
+const { softDeleteRow } = require('../utils/softDelete');
+const { withTransaction } = require('../utils/transaction');
+const { recordAudit } = require('../utils/auditLog');
+const { attachOptions, validateOptions, saveOptions } = require('../utils/menuOptions');
+const { STOCK_COLUMNS, availableSql, validateAvailability } = require('../utils/menuStock');
+const { WINDOWS_SCHEMA, validateWindows, saveSchedule, scheduleAt, attachSchedules } = require('../utils/menuSchedule');
+const { isId, resolveItemSection } = require('../utils/menuSections');
+const { jsonBody, imageUpload, jsonResponse } = require('../utils/openapi');
+
+// -----------------------------------------------------------------------------
+// Seller menu management (/menu)
+// -----------------------------------------------------------------------------
+// Every route works on the caller's own restaurant: rest_id always comes from
+// the access token (sellers and their staff carry the seller id as userId), so
+// only those two roles are let in, and item_id is generated by the database. Items are listed by menu section (see
+// menuSectionRoutes.js), then in the seller's display order (sort_order), which
+// PUT /menu/reorder rewrites. Reads include
+// each item's variants and add-on groups (see utils/menuOptions.js).
+// Availability and daily stock are set through PUT /menu/:itemId/availability
+// (see utils/menuStock.js); serving times through the item and section
+// schedules (see utils/menuSchedule.js).
+
+let AppDataSource = null;
+const getDataSource = () => {
+  if (!AppDataSource) AppDataSource = require('../index').AppDataSource;
+  return AppDataSource;
+};
+
+const router = express.Router();
+
+// Only accounts that own a menu; the public menu route needs no token at all
+const sellerOnly = requireRole(ROLES.SELLER, ROLES.SELLER_STAFF);
+
+// Columns the server manages; they are ignored in request bodies
+const MANAGED_COLUMNS = [
+  'item_id', 'rest_id', 'image', 'image_public_id', 'sort_order',
+  'created_at', 'updated_at', 'deleted_at', 'deleted_by',
+  ...STOCK_COLUMNS,
+];
+
+// Configure multer for memory storage (upload directly to Cloudinary)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'), false);
+    }
+  }
+});
+
+// Validate an item body against the menu schema, without the managed columns
+function validateItem(body, isCreate) {
+  const fields = Object.fromEntries(
+    Object.entries(body || {}).filter(([column]) => !MANAGED_COLUMNS.includes(column))
+  );
+  const { values, errors } = validateRow(getSchemaTables().menu, fields, { isCreate });
+  const missing = isCreate ? ['item_name', 'item_price'].filter((c) => values[c] === undefined || values[c] === null) : [];
+  if (errors || missing.length > 0) {
+    return { errors: { ...errors, ...Object.fromEntries(missing.map((c) => [c, 'is required'])) } };
+  }
+  return { values };
+}
+
+// Live item belonging to the seller, or undefined
+async function findOwnItem(db, sellerId, itemId, { forUpdate = false } = {}) {
+  const rows = await db.query(
+    `SELECT * FROM menu WHERE item_id = $1 AND rest_id = $2 AND deleted_at IS NULL${forUpdate ? ' FOR UPDATE' : ''}`,
+    [itemId, sellerId]
+  );
+  return rows[0];
+}
+
+// Items by section order (unsectioned items last), then in display order
+const MENU_ORDER = 'ORDER BY s.sort_order NULLS LAST, s.section_id, m.sort_order, m.item_id';
+
+// GET /menu - The seller's items in display order, with their schedules
+router.get('/', verifyToken, sellerOnly, requirePermission('menu:read'), async (req, res) => {
+  try {
+    const AppDataSource = getDataSource();
+    const rows = await AppDataSource.query(`
+      SELECT m.*
+      FROM menu m
+      LEFT JOIN menu_sections s ON s.section_id = m.section_id
+      WHERE m.rest_id = $1 AND m.deleted_at IS NULL
+      ${MENU_ORDER}
+    `, [req.user.userId]);
+    const items = await attachSchedules(AppDataSource, req.user.userId, await attachOptions(AppDataSource, rows));
+
+    console.log(`📋 Retrieved ${items.length} menu items for seller: ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      items,
+      count: items.length
+    });
+  } catch (error) {
+    console.error('🚨 Get menu error:', error);
+    res.status(500).json({ error: 'Failed to retrieve menu' });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// PUBLIC ENDPOINT (No Auth) - A restaurant's menu for the user app
+// -----------------------------------------------------------------------------
+// Only items served at the moment (now, or ?at=<ISO date-time> for a scheduled order) are
+// listed, with the sections they fall in. Each carries available (not switched off or sold out);
+// ?available=true leaves out the rest.
+router.get('/public/:restId', async (req, res) => {
+  const onlyAvailable = req.query.available === 'true';
+  const at = req.query.at === undefined ? new Date() : new Date(String(req.query.at));
+  if (Number.isNaN(at.getTime())) {
+    return res.status(400).json({ error: 'at must be an ISO 8601 date-time' });
+  }
+
+  try {
+    const AppDataSource = getDataSource();
+    const sellers = await AppDataSource.query(
+      `SELECT seller_id, opening_time, closing_time FROM sellers
+       WHERE seller_id = $1 AND deleted_at IS NULL AND account_status IS DISTINCT FROM 'suspended'`,
+      [req.params.restId]
+    );
+    if (sellers.length === 0) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const rows = await AppDataSource.query(`
+      SELECT m.item_id, m.rest_id, m.item_name, m.item_desc, m.item_cat, m.section_id, m.item_price, m.image, m.is_veg, m.sort_order,
+             ${availableSql('m')} AS available, m.stock_remaining
+      FROM menu m
+      LEFT JOIN menu_sections s ON s.section_id = m.section_id
+      WHERE m.rest_id = $1 AND m.deleted_at IS NULL${onlyAvailable ? ` AND ${availableSql('m')}` : ''}
+      ${MENU_ORDER}
+    `, [req.params.restId]);
+    const schedule = await scheduleAt(AppDataSource, sellers[0], at);
+    const items = await attachOptions(AppDataSource, rows.filter(schedule.isScheduled));
+
+    const listed = new Set(items.map((item) => item.section_id));
+    const sections = (await AppDataSource.query(
+      `SELECT s.section_id, s.name, s.sort_order, s.category_id, c.name AS category_name
+       FROM menu_sections s
+       LEFT JOIN categories c ON c.category_id = s.category_id AND c.is_active
+       WHERE s.rest_id = $1
+       ORDER BY s.sort_order, s.section_id`,
+      [req.params.restId]
+    )).filter((section) => listed.has(section.section_id));
+
+    console.log(`✅ Retrieved ${items.length} public menu items for restaurant: ${req.params.restId} at ${at.toISOString()}`);
+
+    res.json({
+      success: true,
+      at: at.toISOString(),
+      open: schedule.open,
+      sections,
+      items,
+      count: items.length
+    });
+  } catch (error) {
+    console.error('🚨 Get public menu error:', error);
+    res.status(500).json({ error: 'Failed to retrieve menu' });
+  }
+});
+
+// POST /menu - Create an item at the end of the menu
+router.post('/', verifyToken, sellerOnly, requirePermission('menu:write'), async (req, res) => {
+  try {
+    const validated = validateItem(req.body, true);
+    if (validated.errors) return res.status(422).json({ error: 'Validation failed', fields: validated.errors });
+
+    const outcome = await withTransaction(getDataSource(), async (tx) => {
+      const { values, errors } = await resolveItemSection(tx, req.user.userId, validated.values);
+      if (errors) return { errors };
+
+      const columns = Object.keys(values);
+      const placeholders = columns.map((_, i) => `$${i + 2}`);
+      const nextPosition = '(SELECT COALESCE(MAX(sort_order), 0) + 1 FROM menu WHERE rest_id = $1 AND deleted_at IS NULL)';
+      const [created] = await tx.query(`
+        INSERT INTO menu (rest_id, sort_order, ${columns.join(', ')})
+        VALUES ($1, ${nextPosition}, ${placeholders.join(', ')})
+        RETURNING *
+      `, [req.user.userId, ...columns.map((c) => values[c])]);
+      await recordAudit(tx, req, { table: 'menu', recordId: created.item_id, action: 'create', after: created });
+      return { item: created };
+    });
+    if (outcome.errors) return res.status(422).json({ error: 'Validation failed', fields: outcome.errors });
+
+    const { item } = outcome;
+    console.log(`✅ Created menu item: ${item.item_id} for seller: ${req.user.userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Menu item created successfully',
+      item
+    });
+  } catch (error) {
+    console.error('🚨 Create menu item error:', error);
+    res.status(500).json({ error: 'Failed to create menu item' });
+  }
+});
+
+// PUT /menu/reorder - Set the display order: { itemIds: [3, 1, 2] }
+// Listed items come first in the given order; unlisted items follow in their current order.
+router.put('/reorder', verifyToken, sellerOnly, requirePermission('menu:write'), async (req, res) => {
+  const { itemIds } = req.body || {};
+  if (!Array.isArray(itemIds) || itemIds.length === 0 || !itemIds.every(isId)) {
+    return res.status(400).json({ error: 'itemIds must be a non-empty array of item ids' });
+  }
+  const ids = itemIds.map(Number);
+  if (new Set(ids).size !== ids.length) {
+    return res.status(400).json({ error: 'itemIds contains duplicates' });
+  }
+
+  try {
+    const AppDataSource = getDataSource();
+    const outcome = await withTransaction(AppDataSource, async (tx) => {
+      const before = await tx.query(
+        'SELECT * FROM menu WHERE rest_id = $1 AND deleted_at IS NULL ORDER BY sort_order, item_id FOR UPDATE',
+        [req.user.userId]
+      );
+      const owned = new Set(before.map((item) => Number(item.item_id)));
+      const unknown = ids.filter((id) => !owned.has(id));
+      if (unknown.length > 0) return { unknown };
+
+      const order = [...ids, ...before.map((item) => Number(item.item_id)).filter((id) => !ids.includes(id))];
+      const after = await tx.query(`
+        WITH moved AS (
+          UPDATE menu m
+          SET sort_order = o.position, updated_at = NOW()
+          FROM unnest($2::int[]) WITH ORDINALITY AS o(item_id, position)
+          WHERE m.item_id = o.item_id AND m.rest_id = $1 AND m.sort_order <> o.position
+          RETURNING m.*
+        )
+        SELECT * FROM moved
+      `, [req.user.userId, order]);
+
+      const beforeById = new Map(before.map((item) => [item.item_id, item]));
+      for (const item of after) {
+        await recordAudit(tx, req, { table: 'menu', recordId: item.item_id, action: 'update', before: beforeById.get(item.item_id), after: item });
+      }
+      return { after, order };
+    });
+
+    if (outcome.unknown) {
+      return res.status(404).json({ error: 'Menu items not found or not authorized', itemIds: outcome.unknown });
+    }
+
+    console.log(`🔀 Reordered menu for seller: ${req.user.userId} (${outcome.after.length} item(s) moved)`);
+
+    res.json({
+      success: true,
+      message: 'Menu reordered successfully',
+      itemIds: outcome.order,
+      count: outcome.order.length
+    });
+  } catch (error) {
+    console.error('🚨 Reorder menu error:', error);
+    res.status(500).json({ error: 'Failed to reorder menu' });
+  }
+});
+
+// PUT /menu/:itemId - Update item fields
+router.put('/:itemId', verifyToken, sellerOnly, requirePermission('menu:write'), async (req, res) => {
+  const { itemId } = req.params;
+  if (!isId(itemId)) return res.status(404).json({ error: 'Menu item not found or not authorized' });
+
+  try {
+    const validated = validateItem(req.body, false);
+    if (validated.errors) return res.status(422).json({ error: 'Validation failed', fields: validated.errors });
+
+    if (Object.keys(validated.values).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const outcome = await withTransaction(getDataSource(), async (tx) => {
+      const existing = await findOwnItem(tx, req.user.userId, itemId, { forUpdate: true });
+      if (!existing) return { status: 404 };
+
+      const { values, errors } = await resolveItemSection(tx, req.user.userId, validated.values);
+      if (errors) return { status: 422, errors };
+      const fields = Object.keys(values);
+
+      const setClause = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
+      await tx.query(
+        `UPDATE menu SET ${setClause}, updated_at = NOW() WHERE item_id = $1`,
+        [itemId, ...fields.map((field) => values[field])]
+      );
+      const [after] = await tx.query('SELECT * FROM menu WHERE item_id = $1', [itemId]);
+      await recordAudit(tx, req, { table: 'menu', recordId: itemId, action: 'update', before: existing, after });
+      return { item: after };
+    });
+
+    if (outcome.status === 404) {
+      return res.status(404).json({ error: 'Menu item not found or not authorized' });
+    }
+    if (outcome.status === 422) {
+      return res.status(422).json({ error: 'Validation failed', fields: outcome.errors });
+    }
+
+    const { item } = outcome;
+    console.log(`✅ Updated menu item: ${itemId} for seller: ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Menu item updated successfully',
+      item
+    });
+  } catch (error) {
+    console.error('🚨 Update menu item error:', error);
+    res.status(500).json({ error: 'Failed to update menu item' });
+  }
+});
+
+// PUT /menu/:itemId/options - Replace the item's variants and/or add-on groups
+// { variants: [{ variant_id?, variant_name, price_delta, is_default }],
+//   addonGroups: [{ group_id?, group_name, min_select, max_select, addons: [{ addon_id?, addon_name, price_delta, is_veg }] }] }
+// Entries with an id are updated, new ones created and unlisted ones removed; an omitted list is unchanged.
+router.put('/:itemId/options', verifyToken, sellerOnly, requirePermission('menu:write'), async (req, res) => {
+  const { itemId } = req.params;
+  if (!isId(itemId)) return res.status(404).json({ error: 'Menu item not found or not authorized' });
+
+  const errors = validateOptions(req.body);
+  if (errors.length > 0) return res.status(422).json({ error: 'Validation failed', details: errors });
+
+  try {
+    const AppDataSource = getDataSource();
+    const outcome = await withTransaction(AppDataSource, async (tx) => {
+      const existing = await findOwnItem(tx, req.user.userId, itemId, { forUpdate: true });
+      if (!existing) return { status: 404 };
+
+      const [before] = await attachOptions(tx, [existing]);
+      const saved = await saveOptions(tx, itemId, req.body);
+      if (saved.error) return { status: 422, error: saved.error };
+
+      await tx.query('UPDATE menu SET updated_at = NOW() WHERE item_id = $1', [itemId]);
+      const [after] = await attachOptions(tx, await tx.query('SELECT * FROM menu WHERE item_id = $1', [itemId]));
+      await recordAudit(tx, req, { table: 'menu', recordId: itemId, action: 'update', before, after });
+      return { after };
+    });
+
+    if (outcome.status === 404) {
+      return res.status(404).json({ error: 'Menu item not found or not authorized' });
+    }
+    if (outcome.status === 422) {
+      return res.status(422).json({ error: 'Validation failed', details: [outcome.error] });
+    }
+
+    console.log(`✅ Updated options of menu item: ${itemId} for seller: ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Menu item options updated successfully',
+      item: outcome.after
+    });
+  } catch (error) {
+    console.error('🚨 Update menu item options error:', error);
+    res.status(500).json({ error: 'Failed to update menu item options' });
+  }
+});
+
+// PUT /menu/:itemId/availability - Switch an item on/off, mark it sold out for today or set its stock
+// { is_available?, sold_out_today?, daily_stock?: number|null, stock_remaining?: number|null }
+// Setting daily_stock also sets today's stock_remaining unless that is given too; null stops counting.
+router.put('/:itemId/availability', verifyToken, sellerOnly, requirePermission('menu:write'), async (req, res) => {
+  const { itemId } = req.params;
+  if (!isId(itemId)) return res.status(404).json({ error: 'Menu item not found or not authorized' });
+
+  try {
+    const AppDataSource = getDataSource();
+    const outcome = await withTransaction(AppDataSource, async (tx) => {
+      const existing = await findOwnItem(tx, req.user.userId, itemId, { forUpdate: true });
+      if (!existing) return { status: 404 };
+
+      const { values, errors } = validateAvailability(req.body, existing);
+      if (errors) return { status: 422, errors };
+
+      const fields = Object.keys(values);
+      if (fields.length === 0) return { status: 400 };
+      const setClause = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
+      await tx.query(
+        `UPDATE menu SET ${setClause}, updated_at = NOW() WHERE item_id = $1`,
+        [itemId, ...fields.map((field) => values[field])]
+      );
+      const [after] = await tx.query('SELECT * FROM menu WHERE item_id = $1', [itemId]);
+      await recordAudit(tx, req, { table: 'menu', recordId: itemId, action: 'update', before: existing, after });
+      return { after };
+    });
+
+    if (outcome.status === 404) {
+      return res.status(404).json({ error: 'Menu item not found or not authorized' });
+    }
+    if (outcome.status === 400) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+    if (outcome.status === 422) {
+      return res.status(422).json({ error: 'Validation failed', fields: outcome.errors });
+    }
+
+    const item = outcome.after;
+    console.log(`✅ Updated availability of menu item: ${itemId} for seller: ${req.user.userId} (available: ${item.is_available}, sold out: ${item.sold_out_today}, stock: ${item.stock_remaining ?? 'uncounted'})`);
+
+    res.json({
+      success: true,
+      message: 'Menu item availability updated successfully',
+      item
+    });
+  } catch (error) {
+    console.error('🚨 Update menu item availability error:', error);
+    res.status(500).json({ error: 'Failed to update menu item availability' });
+  }
+});
+
+// PUT /menu/:itemId/schedule - Set when an item is served: { windows: [{ days, start_time, end_time }] }
+// An empty list removes the item's own schedule, so its section's applies again.
+router.put('/:itemId/schedule', verifyToken, sellerOnly, requirePermission('menu:write'), async (req, res) => {
+  const { itemId } = req.params;
+  if (!isId(itemId)) return res.status(404).json({ error: 'Menu item not found or not authorized' });
+
+  const { windows, errors } = validateWindows(req.body?.windows);
+  if (errors.length > 0) return res.status(422).json({ error: 'Validation failed', details: errors });
+
+  try {
+    const AppDataSource = getDataSource();
+    const outcome = await withTransaction(AppDataSource, async (tx) => {
+      const existing = await findOwnItem(tx, req.user.userId, itemId, { forUpdate: true });
+      if (!existing) return null;
+
+      const [before] = await attachSchedules(tx, req.user.userId, [existing]);
+      const schedule = await saveSchedule(tx, req.user.userId, { itemId }, windows);
+      await tx.query('UPDATE menu SET updated_at = NOW() WHERE item_id = $1', [itemId]);
+      const [updated] = await tx.query('SELECT * FROM menu WHERE item_id = $1', [itemId]);
+      const after = { ...updated, schedule };
+      await recordAudit(tx, req, { table: 'menu', recordId: itemId, action: 'update', before, after });
+      return { after };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Menu item not found or not authorized' });
+    }
+
+    console.log(`🕒 Set ${outcome.after.schedule.length} serving window(s) for menu item: ${itemId} of seller: ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Menu item schedule updated successfully',
+      item: outcome.after
+    });
+  } catch (error) {
+    console.error('🚨 Update menu item schedule error:', error);
+    res.status(500).json({ error: 'Failed to update menu item schedule' });
+  }
+});
+
+// POST /menu/:itemId/image - Upload or replace the item image
+router.post('/:itemId/image', verifyToken, sellerOnly, requirePermission('menu:write'), upload.single('image'), async (req, res) => {
+  const { itemId } = req.params;
+  if (!isId(itemId)) return res.status(404).json({ error: 'Menu item not found or not authorized' });
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image file provided' });
+    }
+
+    const AppDataSource = getDataSource();
+    const existing = await findOwnItem(AppDataSource, req.user.userId, itemId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Menu item not found or not authorized' });
+    }
+
+    console.log(`📸 Uploading menu image for item: ${itemId}, seller: ${req.user.userId}`);
+    console.log(`📁 File size: ${req.file.size} bytes, type: ${req.file.mimetype}`);
+
+    // Convert buffer to base64 for Cloudinary upload
+    const base64Image = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
+
+    // One Cloudinary folder per seller keeps a restaurant's dish photos together
+    const uploadResult = await uploadImage(base64Image, {
+      public_id: `item_${itemId}_${Date.now()}`,
+      folder: `nazdeeki/menu/${req.user.userId}`,
+      transformation: [
+        { width: 800, height: 800, crop: 'limit' },
+        { quality: 'auto' },
+        { fetch_format: 'auto' }
+      ]
+    });
+
+    if (!uploadResult.success) {
+      return res.status(500).json({
+        error: 'Failed to upload image',
+        details: uploadResult.error
+      });
+    }
+
+    await withTransaction(AppDataSource, async (tx) => {
+      await tx.query(
+        'UPDATE menu SET image = $1, image_public_id = $2, updated_at = NOW() WHERE item_id = $3 AND rest_id = $4',
+        [uploadResult.url, uploadResult.publicId, itemId, req.user.userId]
+      );
+      const [updated] = await tx.query('SELECT * FROM menu WHERE item_id = $1', [itemId]);
+      await recordAudit(tx, req, { table: 'menu', recordId: itemId, action: 'update', before: existing, after: updated });
+    });
+
+    // The previous image is only removed once the new one is in place
+    if (existing.image_public_id) {
+      console.log(`🗑️ Deleting previous menu image: ${existing.image_public_id}`);
+      await deleteImage(existing.image_public_id);
+    }
+
+    console.log(`✅ Menu image uploaded successfully for item: ${itemId}`);
+
+    res.json({
+      success: true,
+      message: 'Menu image uploaded successfully',
+      image: {
+        url: uploadResult.url,
+        publicId: uploadResult.publicId,
+        width: uploadResult.width,
+        height: uploadResult.height,
+        format: uploadResult.format,
+        size: uploadResult.bytes
+      }
+    });
+  } catch (error) {
+    console.error('🚨 Menu image upload error:', error);
+    res.status(500).json({ error: 'Failed to upload menu image' });
+  }
+});
+
+// DELETE /menu/:itemId - Move an item to the trash
+router.delete('/:itemId', verifyToken, sellerOnly, requirePermission('menu:delete'), async (req, res) => {
+  const { itemId } = req.params;
+  if (!isId(itemId)) return res.status(404).json({ error: 'Menu item not found or not authorized' });
+
+  try {
+    const deleted = await withTransaction(getDataSource(), async (tx) => {
+      const existing = await findOwnItem(tx, req.user.userId, itemId, { forUpdate: true });
+      if (!existing) return false;
+
+      // Its Cloudinary image is removed when the trash is purged
+      const trashed = await softDeleteRow(tx, 'menu', itemId, req.user.userId);
+      await recordAudit(tx, req, { table: 'menu', recordId: itemId, action: 'delete', before: existing, after: trashed });
+      return true;
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Menu item not found or not authorized' });
+    }
+
+    console.log(`✅ Deleted menu item: ${itemId} for seller: ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Menu item deleted successfully'
+    });
+  } catch (error) {
+    console.error('🚨 Delete menu item error:', error);
+    res.status(500).json({ error: 'Failed to delete menu item' });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// OpenAPI annotations (see utils/openapi.js)
+// -----------------------------------------------------------------------------
+const itemFields = {
+  item_name: { type: 'string' },
+  item_desc: { type: 'string' },
+  section_id: { type: 'integer', nullable: true, description: 'One of the seller\'s menu sections' },
+  item_cat: { type: 'string', description: 'Section name for older clients; a new name creates the section' },
+  item_price: { type: 'number' },
+  is_veg: { type: 'boolean' },
+};
+
+const optionFields = {
+  variants: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: { variant_id: { type: 'integer' }, variant_name: { type: 'string' }, price_delta: { type: 'number' }, is_default: { type: 'boolean' } },
+    },
+  },
+  addonGroups: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        group_id: { type: 'integer' },
+        group_name: { type: 'string' },
+        min_select: { type: 'integer' },
+        max_select: { type: 'integer', nullable: true },
+        addons: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { addon_id: { type: 'integer' }, addon_name: { type: 'string' }, price_delta: { type: 'number' }, is_veg: { type: 'boolean' } },
+          },
+        },
+      },
+    },
+  },
+};
+
+const schedule = jsonBody({ windows: WINDOWS_SCHEMA }, ['windows']);
+
+router.openapi = {
+  'get /': { summary: "The logged-in seller's menu items in display order, with variants, add-on groups and schedules" },
+  'get /public/:restId': {
+    summary: "A restaurant's menu with variants and add-on groups (user app)",
+    description: 'Lists the items served at the given moment (default now) by the schedules and opening hours. '
+      + 'Each item carries available: false when it is switched off or sold out.',
+    parameters: [
+      { name: 'at', in: 'query', required: false, schema: { type: 'string', format: 'date-time' }, description: 'Moment to list the menu for, e.g. a scheduled order time' },
+      { name: 'available', in: 'query', required: false, schema: { type: 'boolean' }, description: 'true lists only available items' },
+    ],
+    responses: { 200: jsonResponse('Items served at that moment, with at and open'), 400: { description: 'Invalid at' }, 404: { description: 'Restaurant not found' } },
+  },
+  'post /': {
+    summary: 'Create a menu item (added at the end of the menu)',
+    requestBody: jsonBody(itemFields, ['item_name', 'item_price']),
+    responses: { 201: jsonResponse('Created item'), 422: { description: 'Validation failed' } },
+  },
+  'put /reorder': {
+    summary: 'Set the display order of menu items',
+    description: 'Listed items come first in the given order; unlisted items follow in their current order.',
+    requestBody: jsonBody({ itemIds: { type: 'array', items: { type: 'integer' } } }, ['itemIds']),
+    responses: { 200: jsonResponse('Resulting order'), 404: { description: 'Some items are not on this menu' } },
+  },
+  'put /:itemId': {
+    summary: 'Update menu item fields',
+    requestBody: jsonBody(itemFields),
+    responses: { 200: jsonResponse('Updated item'), 404: { description: 'Item not found' }, 422: { description: 'Validation failed' } },
+  },
+  'put /:itemId/options': {
+    summary: "Replace a menu item's variants and/or add-on groups",
+    description: 'Entries with an id are updated, entries without one are created and unlisted ones are removed. An omitted list is left unchanged.',
+    requestBody: jsonBody(optionFields),
+    responses: { 200: jsonResponse('Item with its options'), 404: { description: 'Item not found' }, 422: { description: 'Validation failed' } },
+  },
+  'put /:itemId/availability': {
+    summary: 'Switch a menu item on or off, mark it sold out for today or set its daily stock',
+    description: 'Setting daily_stock also sets today\'s stock_remaining unless that is given too; null stops counting. Stock reaching zero marks the item sold out until the daily reset.',
+    requestBody: jsonBody({
+      is_available: { type: 'boolean' },
+      sold_out_today: { type: 'boolean' },
+      daily_stock: { type: 'integer', minimum: 0, nullable: true },
+      stock_remaining: { type: 'integer', minimum: 0, nullable: true },
+    }),
+    responses: { 200: jsonResponse('Updated item'), 404: { description: 'Item not found' }, 422: { description: 'Validation failed' } },
+  },
+  'put /:itemId/schedule': {
+    summary: 'Set the serving windows of a menu item',
+    description: "Overrides the section's windows. An empty list removes the item's own schedule.",
+    requestBody: schedule,
+    responses: { 200: jsonResponse('Item with its schedule'), 404: { description: 'Item not found' }, 422: { description: 'Validation failed' } },
+  },
+  'post /:itemId/image': { summary: "Upload or replace a menu item's image", requestBody: imageUpload() },
+  'delete /:itemId': { summary: 'Move a menu item to the trash' },
+};
+
+module.exports = router;
@@ -0,0 +1,333 @@
+const express = require('express');
+const verifyToken = require('../middlewares/verifyToken');
+const requirePermission = require('../middlewares/requirePermission');
+const requireRole = require('../middlewares/requireRole');
+const { ROLES } = require('../configs/roles');
+const { withTransaction } = require('../utils/transaction');
+const { recordAudit } = require('../utils/auditLog');
+const { isId, validateSection, isActiveCategory, findOwnSection } = require('../utils/menuSections');
+const { WINDOWS_SCHEMA, validateWindows, saveSchedule, attachSchedules } = require('../utils/menuSchedule');
+const { jsonBody, jsonResponse } = require('../utils/openapi');
+
+// -----------------------------------------------------------------------------
+// Seller menu sections (/menu/sections)
+// -----------------------------------------------------------------------------
+// A seller groups their menu into named sections in display order, each
+// optionally filed under a platform category so the restaurant shows up under
+// it on the home screen (see utils/menuSections.js). Items join a section
+// through PUT /menu/:itemId { section_id }. Mounted ahead of /menu so these
+// paths are not taken for item ids.
+
+let AppDataSource = null;
+const getDataSource = () => {
+  if (!AppDataSource) AppDataSource = require('../index').AppDataSource;
+  return AppDataSource;
+};
+
+const router = express.Router();
+
+// Sections belong to the caller's restaurant, so only sellers and their staff
+const sellerOnly = requireRole(ROLES.SELLER, ROLES.SELLER_STAFF);
+
+// 409 for a second section with the same name on one menu
+const isDuplicateName = (error) => error.code === '23505';
+
+// Checks category_id (when given) against the active platform categories
+async function checkCategory(db, values) {
+  if (values.category_id === undefined || values.category_id === null) return null;
+  return (await isActiveCategory(db, values.category_id)) ? null : { category_id: 'is not an active category' };
+}
+
+// GET /menu/sections - The seller's sections in display order, with item counts and schedules
+router.get('/', verifyToken, sellerOnly, requirePermission('menu:read'), async (req, res) => {
+  try {
+    const AppDataSource = getDataSource();
+    const rows = await AppDataSource.query(`
+      SELECT s.*, c.name AS category_name,
+             (SELECT COUNT(*)::int FROM menu m WHERE m.section_id = s.section_id AND m.deleted_at IS NULL) AS item_count
+      FROM menu_sections s
+      LEFT JOIN categories c ON c.category_id = s.category_id
+      WHERE s.rest_id = $1
+      ORDER BY s.sort_order, s.section_id
+    `, [req.user.userId]);
+    const sections = await attachSchedules(AppDataSource, req.user.userId, rows);
+
+    console.log(`📂 Retrieved ${sections.length} menu sections for seller: ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      sections,
+      count: sections.length
+    });
+  } catch (error) {
+    console.error('🚨 Get menu sections error:', error);
+    res.status(500).json({ error: 'Failed to retrieve menu sections' });
+  }
+});
+
+// GET /menu/sections/categories - Platform categories a section can be filed under
+router.get('/categories', verifyToken, sellerOnly, requirePermission('menu:read'), async (req, res) => {
+  try {
+    const categories = await getDataSource().query(
+      'SELECT category_id, name, slug, icon FROM categories WHERE is_active ORDER BY sort_order, category_id'
+    );
+    res.json({ success: true, categories, count: categories.length });
+  } catch (error) {
+    console.error('🚨 Get section categories error:', error);
+    res.status(500).json({ error: 'Failed to retrieve categories' });
+  }
+});
+
+// POST /menu/sections - Add a section at the end of the menu: { name, category_id? }
+router.post('/', verifyToken, sellerOnly, requirePermission('menu:write'), async (req, res) => {
+  const { values, errors } = validateSection(req.body, { isCreate: true });
+  if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+  try {
+    const AppDataSource = getDataSource();
+    const categoryError = await checkCategory(AppDataSource, values);
+    if (categoryError) return res.status(422).json({ error: 'Validation failed', fields: categoryError });
+
+    const section = await withTransaction(AppDataSource, async (tx) => {
+      const [created] = await tx.query(`
+        INSERT INTO menu_sections (rest_id, name, category_id, sort_order)
+        VALUES ($1, $2, $3, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM menu_sections WHERE rest_id = $1))
+        RETURNING *
+      `, [req.user.userId, values.name, values.category_id ?? null]);
+      await recordAudit(tx, req, { table: 'menu_sections', recordId: created.section_id, action: 'create', after: created });
+      return created;
+    });
+    console.log(`✅ Created menu section: ${section.section_id} ('${section.name}') for seller: ${req.user.userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Menu section created successfully',
+      section
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'A section with this name already exists' });
+    }
+    console.error('🚨 Create menu section error:', error);
+    res.status(500).json({ error: 'Failed to create menu section' });
+  }
+});
+
+// PUT /menu/sections/reorder - Set the section order: { sectionIds: [3, 1, 2] }
+// Listed sections come first in the given order; unlisted sections follow in their current order.
+router.put('/reorder', verifyToken, sellerOnly, requirePermission('menu:write'), async (req, res) => {
+  const { sectionIds } = req.body || {};
+  if (!Array.isArray(sectionIds) || sectionIds.length === 0 || !sectionIds.every(isId)) {
+    return res.status(400).json({ error: 'sectionIds must be a non-empty array of section ids' });
+  }
+  const ids = sectionIds.map(Number);
+  if (new Set(ids).size !== ids.length) {
+    return res.status(400).json({ error: 'sectionIds contains duplicates' });
+  }
+
+  try {
+    const AppDataSource = getDataSource();
+    const outcome = await withTransaction(AppDataSource, async (tx) => {
+      const before = await tx.query(
+        'SELECT * FROM menu_sections WHERE rest_id = $1 ORDER BY sort_order, section_id FOR UPDATE',
+        [req.user.userId]
+      );
+      const owned = new Set(before.map((section) => Number(section.section_id)));
+      const unknown = ids.filter((id) => !owned.has(id));
+      if (unknown.length > 0) return { unknown };
+
+      const order = [...ids, ...before.map((section) => Number(section.section_id)).filter((id) => !ids.includes(id))];
+      const after = await tx.query(`
+        WITH moved AS (
+          UPDATE menu_sections s
+          SET sort_order = o.position, updated_at = NOW()
+          FROM unnest($2::int[]) WITH ORDINALITY AS o(section_id, position)
+          WHERE s.section_id = o.section_id AND s.rest_id = $1 AND s.sort_order <> o.position
+          RETURNING s.*
+        )
+        SELECT * FROM moved
+      `, [req.user.userId, order]);
+
+      const beforeById = new Map(before.map((section) => [section.section_id, section]));
+      for (const section of after) {
+        await recordAudit(tx, req, { table: 'menu_sections', recordId: section.section_id, action: 'update', before: beforeById.get(section.section_id), after: section });
+      }
+      return { after, order };
+    });
+
+    if (outcome.unknown) {
+      return res.status(404).json({ error: 'Menu sections not found or not authorized', sectionIds: outcome.unknown });
+    }
+
+    console.log(`🔀 Reordered menu sections for seller: ${req.user.userId} (${outcome.after.length} section(s) moved)`);
+
+    res.json({
+      success: true,
+      message: 'Menu sections reordered successfully',
+      sectionIds: outcome.order,
+      count: outcome.order.length
+    });
+  } catch (error) {
+    console.error('🚨 Reorder menu sections error:', error);
+    res.status(500).json({ error: 'Failed to reorder menu sections' });
+  }
+});
+
+// PUT /menu/sections/:sectionId - Rename a section or file it under another category
+// Renaming also renames item_cat of its items.
+router.put('/:sectionId', verifyToken, sellerOnly, requirePermission('menu:write'), async (req, res) => {
+  const { sectionId } = req.params;
+  const { values, errors } = validateSection(req.body, { isCreate: false });
+  if (errors) return res.status(422).json({ error: 'Validation failed', fields: errors });
+
+  const fields = Object.keys(values);
+  if (fields.length === 0) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+
+  try {
+    const outcome = await withTransaction(getDataSource(), async (tx) => {
+      const existing = await findOwnSection(tx, req.user.userId, sectionId, { forUpdate: true });
+      if (!existing) return { status: 404 };
+      const categoryError = await checkCategory(tx, values);
+      if (categoryError) return { status: 422, errors: categoryError };
+
+      const setClause = fields.map((field, index) => `${field} = $${index + 2}`).join(', ');
+      await tx.query(
+        `UPDATE menu_sections SET ${setClause}, updated_at = NOW() WHERE section_id = $1`,
+        [sectionId, ...fields.map((field) => values[field])]
+      );
+      const [after] = await tx.query('SELECT * FROM menu_sections WHERE section_id = $1', [sectionId]);
+      await recordAudit(tx, req, { table: 'menu_sections', recordId: sectionId, action: 'update', before: existing, after });
+      return { section: after };
+    });
+
+    if (outcome.status === 404) {
+      return res.status(404).json({ error: 'Menu section not found or not authorized' });
+    }
+    if (outcome.status === 422) {
+      return res.status(422).json({ error: 'Validation failed', fields: outcome.errors });
+    }
+
+    const { section } = outcome;
+    console.log(`✅ Updated menu section: ${sectionId} for seller: ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Menu section updated successfully',
+      section
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(409).json({ error: 'A section with this name already exists' });
+    }
+    console.error('🚨 Update menu section error:', error);
+    res.status(500).json({ error: 'Failed to update menu section' });
+  }
+});
+
+// PUT /menu/sections/:sectionId/schedule - Set when a section is served: { windows: [...] }
+// Applies to its items without a schedule of their own; an empty list removes it.
+router.put('/:sectionId/schedule', verifyToken, sellerOnly, requirePermission('menu:write'), async (req, res) => {
+  const { sectionId } = req.params;
+  const { windows, errors } = validateWindows(req.body?.windows);
+  if (errors.length > 0) return res.status(422).json({ error: 'Validation failed', details: errors });
+
+  try {
+    const AppDataSource = getDataSource();
+    const outcome = await withTransaction(AppDataSource, async (tx) => {
+      const existing = await findOwnSection(tx, req.user.userId, sectionId, { forUpdate: true });
+      if (!existing) return null;
+
+      const [before] = await attachSchedules(tx, req.user.userId, [existing]);
+      const schedule = await saveSchedule(tx, req.user.userId, { sectionId }, windows);
+      const after = { ...existing, schedule };
+      await recordAudit(tx, req, { table: 'menu_sections', recordId: sectionId, action: 'update', before, after });
+      return { after };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Menu section not found or not authorized' });
+    }
+
+    console.log(`🕒 Set ${outcome.after.schedule.length} serving window(s) for menu section: ${sectionId} of seller: ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Menu section schedule updated successfully',
+      section: outcome.after
+    });
+  } catch (error) {
+    console.error('🚨 Update menu section schedule error:', error);
+    res.status(500).json({ error: 'Failed to update menu section schedule' });
+  }
+});
+
+// DELETE /menu/sections/:sectionId - Remove a section; its items stay on the menu without one
+router.delete('/:sectionId', verifyToken, sellerOnly, requirePermission('menu:delete'), async (req, res) => {
+  const { sectionId } = req.params;
+
+  try {
+    const deleted = await withTransaction(getDataSource(), async (tx) => {
+      const existing = await findOwnSection(tx, req.user.userId, sectionId, { forUpdate: true });
+      if (!existing) return false;
+
+      await tx.query('DELETE FROM menu_sections WHERE section_id = $1', [sectionId]);
+      await recordAudit(tx, req, { table: 'menu_sections', recordId: sectionId, action: 'delete', before: existing });
+      return true;
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Menu section not found or not authorized' });
+    }
+
+    console.log(`✅ Deleted menu section: ${sectionId} for seller: ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Menu section deleted successfully'
+    });
+  } catch (error) {
+    console.error('🚨 Delete menu section error:', error);
+    res.status(500).json({ error: 'Failed to delete menu section' });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// OpenAPI annotations (see utils/openapi.js)
+// -----------------------------------------------------------------------------
+const sectionFields = {
+  name: { type: 'string' },
+  category_id: { type: 'integer', nullable: true, description: 'Platform category the section is listed under' },
+};
+
+const schedule = jsonBody({ windows: WINDOWS_SCHEMA }, ['windows']);
+
+router.openapi = {
+  'get /': { summary: "The logged-in seller's menu sections in display order, with item counts and schedules" },
+  'get /categories': { summary: 'Active platform categories a section can be filed under' },
+  'post /': {
+    summary: 'Add a menu section (at the end of the menu)',
+    requestBody: jsonBody(sectionFields, ['name']),
+    responses: { 201: jsonResponse('Created section'), 409: { description: 'Name already used on this menu' }, 422: { description: 'Validation failed' } },
+  },
+  'put /reorder': {
+    summary: 'Set the display order of menu sections',
+    description: 'Listed sections come first in the given order; unlisted sections follow in their current order.',
+    requestBody: jsonBody({ sectionIds: { type: 'array', items: { type: 'integer' } } }, ['sectionIds']),
+    responses: { 200: jsonResponse('Resulting order'), 404: { description: 'Some sections are not on this menu' } },
+  },
+  'put /:sectionId': {
+    summary: 'Rename a menu section or change its platform category',
+    requestBody: jsonBody(sectionFields),
+    responses: { 200: jsonResponse('Updated section'), 404: { description: 'Section not found' }, 409: { description: 'Name already used on this menu' }, 422: { description: 'Validation failed' } },
+  },
+  'put /:sectionId/schedule': {
+    summary: 'Set the serving windows of a menu section',
+    description: 'Applies to items of the section without a schedule of their own. An empty list removes it.',
+    requestBody: schedule,
+    responses: { 200: jsonResponse('Section with its schedule'), 404: { description: 'Section not found' }, 422: { description: 'Validation failed' } },
+  },
+  'delete /:sectionId': { summary: 'Remove a menu section; its items stay on the menu without one' },
+};
+
+module.exports = router;
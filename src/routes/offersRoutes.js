@@ -1,7 +1,12 @@
 const express = require('express');
 const multer = require('multer');
-const jwt = require('jsonwebtoken');
 const { uploadImage, deleteImage } = require('../configs/cloudinary');
+const verifyToken = require('../middlewares/verifyToken');
+const requirePermission = require('../middlewares/requirePermission');
+const { softDeleteRow } = require('../utils/softDelete');
+const { recordAudit } = require('../utils/auditLog');
+const { withTransaction } = require('../utils/transaction');
+const { jsonBody, imageUpload, jsonResponse } = require('../utils/openapi');
 
 // Import the AppDataSource from index.js
 let AppDataSource = null;
@@ -30,33 +35,8 @@ const upload = multer({
   }
 });
 
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization || '';
-    const match = authHeader.match(/^Bearer\s+(.*)$/i);
-    
-    if (!match) {
-      return res.status(401).json({ error: 'Missing Bearer token' });
-    }
-
-    const token = match[1];
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-
-    if (payload.type !== 'access') {
-      return res.status(401).json({ error: 'Invalid token type' });
-    }
-
-    req.user = payload;
-    next();
-  } catch (error) {
-    console.error('🚨 Token verification error:', error);
-    res.status(401).json({ error: 'Invalid or expired token' });
-  }
-};
-
 // GET /offers - Get all offers for authenticated seller
-router.get('/', verifyToken, async (req, res) => {
+router.get('/', verifyToken, requirePermission('offers:read'), async (req, res) => {
   try {
     const AppDataSource = getDataSource();
     const offers = await AppDataSource.query(`
@@ -77,7 +57,7 @@ router.get('/', verifyToken, async (req, res) => {
         created_at,
         updated_at
       FROM offers 
-      WHERE seller_id = $1 
+      WHERE seller_id = $1 AND deleted_at IS NULL
       ORDER BY created_at DESC
     `, [req.user.userId]);
 
@@ -96,7 +76,7 @@ router.get('/', verifyToken, async (req, res) => {
 });
 
 // GET /offers/active - Get only active offers for authenticated seller
-router.get('/active', verifyToken, async (req, res) => {
+router.get('/active', verifyToken, requirePermission('offers:read'), async (req, res) => {
   try {
     const AppDataSource = getDataSource();
     const offers = await AppDataSource.query(`
@@ -115,7 +95,7 @@ router.get('/active', verifyToken, async (req, res) => {
         used_count,
         created_at
       FROM offers 
-      WHERE seller_id = $1 
+      WHERE seller_id = $1 AND deleted_at IS NULL
         AND is_active = TRUE 
         AND (valid_until IS NULL OR valid_until > NOW())
         AND (usage_limit IS NULL OR used_count < usage_limit)
@@ -160,6 +140,8 @@ router.get('/public/active', async (_req, res) => {
         created_at
       FROM offers 
       WHERE is_active = TRUE 
+        AND deleted_at IS NULL
+        AND seller_id IN (SELECT seller_id FROM sellers WHERE deleted_at IS NULL)
         AND (valid_until IS NULL OR valid_until > NOW())
         AND (usage_limit IS NULL OR used_count < usage_limit)
       ORDER BY created_at DESC
@@ -179,26 +161,27 @@ router.get('/public/active', async (_req, res) => {
 });
 
 // POST /offers - Create new offer
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requirePermission('offers:write'), async (req, res) => {
   try {
     const {
       valid_from,
       valid_until
     } = req.body;
 
-    const AppDataSource = getDataSource();
-    const result = await AppDataSource.query(`
-      INSERT INTO offers (
-        seller_id, valid_from, valid_until
-      ) VALUES ($1, $2, $3)
-      RETURNING *
-    `, [
-      req.user.userId,
-      valid_from || null,
-      valid_until || null
-    ]);
-
-    const newOffer = result[0];
+    const newOffer = await withTransaction(getDataSource(), async (tx) => {
+      const result = await tx.query(`
+        INSERT INTO offers (
+          seller_id, valid_from, valid_until
+        ) VALUES ($1, $2, $3)
+        RETURNING *
+      `, [
+        req.user.userId,
+        valid_from || null,
+        valid_until || null
+      ]);
+      await recordAudit(tx, req, { table: 'offers', recordId: result[0].offer_id, action: 'create', after: result[0] });
+      return result[0];
+    });
     console.log(`✅ Created new offer: ${newOffer.offer_id} for seller: ${req.user.userId}`);
 
     res.status(201).json({
@@ -214,7 +197,7 @@ router.post('/', verifyToken, async (req, res) => {
 });
 
 // POST /offers/:offerId/image - Upload image for specific offer
-router.post('/:offerId/image', verifyToken, upload.single('image'), async (req, res) => {
+router.post('/:offerId/image', verifyToken, requirePermission('offers:write'), upload.single('image'), async (req, res) => {
   try {
     const { offerId } = req.params;
 
@@ -225,7 +208,7 @@ router.post('/:offerId/image', verifyToken, upload.single('image'), async (req,
     // Verify offer belongs to authenticated seller
     const AppDataSource = getDataSource();
     const offers = await AppDataSource.query(
-      'SELECT offer_id, offer_image_public_id FROM offers WHERE offer_id = $1 AND seller_id = $2',
+      'SELECT * FROM offers WHERE offer_id = $1 AND seller_id = $2 AND deleted_at IS NULL',
       [offerId, req.user.userId]
     );
 
@@ -265,11 +248,15 @@ router.post('/:offerId/image', verifyToken, upload.single('image'), async (req,
     }
 
     // Update offer with new image URL and public_id
-    await AppDataSource.query(`
-      UPDATE offers 
-      SET offer_image = $1, offer_image_public_id = $2, updated_at = NOW() 
-      WHERE offer_id = $3 AND seller_id = $4
-    `, [uploadResult.url, uploadResult.publicId, offerId, req.user.userId]);
+    await withTransaction(AppDataSource, async (tx) => {
+      await tx.query(`
+        UPDATE offers 
+        SET offer_image = $1, offer_image_public_id = $2, updated_at = NOW() 
+        WHERE offer_id = $3 AND seller_id = $4
+      `, [uploadResult.url, uploadResult.publicId, offerId, req.user.userId]);
+      const [updated] = await tx.query('SELECT * FROM offers WHERE offer_id = $1', [offerId]);
+      await recordAudit(tx, req, { table: 'offers', recordId: offerId, action: 'update', before: offers[0], after: updated });
+    });
 
     console.log(`✅ Offer image uploaded successfully for offer: ${offerId}`);
     console.log(`🔗 Image URL: ${uploadResult.url}`);
@@ -294,7 +281,7 @@ router.post('/:offerId/image', verifyToken, upload.single('image'), async (req,
 });
 
 // PUT /offers/:offerId - Update offer
-router.put('/:offerId', verifyToken, async (req, res) => {
+router.put('/:offerId', verifyToken, requirePermission('offers:write'), async (req, res) => {
   try {
     const { offerId } = req.params;
     const updates = req.body;
@@ -306,6 +293,8 @@ router.put('/:offerId', verifyToken, async (req, res) => {
     delete updates.used_count;
     delete updates.offer_image; // Use separate endpoint for image updates
     delete updates.offer_image_public_id;
+    delete updates.deleted_at; // Managed by delete and restore
+    delete updates.deleted_by;
 
     // No validation needed for simplified offers
 
@@ -313,7 +302,7 @@ router.put('/:offerId', verifyToken, async (req, res) => {
     
     // Verify offer exists and belongs to seller
     const existingOffers = await AppDataSource.query(
-      'SELECT offer_id FROM offers WHERE offer_id = $1 AND seller_id = $2',
+      'SELECT * FROM offers WHERE offer_id = $1 AND seller_id = $2 AND deleted_at IS NULL',
       [offerId, req.user.userId]
     );
 
@@ -333,12 +322,15 @@ router.put('/:offerId', verifyToken, async (req, res) => {
     const updateQuery = `
       UPDATE offers 
       SET ${setClause}, updated_at = NOW() 
-      WHERE offer_id = $1 AND seller_id = $2 
-      RETURNING *
+      WHERE offer_id = $1 AND seller_id = $2 AND deleted_at IS NULL
     `;
 
-    const result = await AppDataSource.query(updateQuery, values);
-    const updatedOffer = result[0];
+    const updatedOffer = await withTransaction(AppDataSource, async (tx) => {
+      await tx.query(updateQuery, values);
+      const [updated] = await tx.query('SELECT * FROM offers WHERE offer_id = $1', [offerId]);
+      await recordAudit(tx, req, { table: 'offers', recordId: offerId, action: 'update', before: existingOffers[0], after: updated });
+      return updated;
+    });
 
     console.log(`✅ Updated offer: ${offerId} for seller: ${req.user.userId}`);
 
@@ -355,15 +347,15 @@ router.put('/:offerId', verifyToken, async (req, res) => {
 });
 
 // DELETE /offers/:offerId - Delete offer
-router.delete('/:offerId', verifyToken, async (req, res) => {
+router.delete('/:offerId', verifyToken, requirePermission('offers:write'), async (req, res) => {
   try {
     const { offerId } = req.params;
 
     const AppDataSource = getDataSource();
     
-    // Get offer details including image info
+    // Verify offer exists and belongs to seller
     const offers = await AppDataSource.query(
-      'SELECT offer_image_public_id FROM offers WHERE offer_id = $1 AND seller_id = $2',
+      'SELECT * FROM offers WHERE offer_id = $1 AND seller_id = $2 AND deleted_at IS NULL',
       [offerId, req.user.userId]
     );
 
@@ -371,18 +363,11 @@ router.delete('/:offerId', verifyToken, async (req, res) => {
       return res.status(404).json({ error: 'Offer not found or not authorized' });
     }
 
-    // Delete image from Cloudinary if exists
-    const publicId = offers[0].offer_image_public_id;
-    if (publicId) {
-      console.log(`🗑️ Deleting offer image from Cloudinary: ${publicId}`);
-      await deleteImage(publicId);
-    }
-
-    // Delete offer from database
-    await AppDataSource.query(
-      'DELETE FROM offers WHERE offer_id = $1 AND seller_id = $2',
-      [offerId, req.user.userId]
-    );
+    // Move the offer to the trash; its Cloudinary image is removed when the trash is purged
+    await withTransaction(AppDataSource, async (tx) => {
+      const trashed = await softDeleteRow(tx, 'offers', offerId, req.user.userId);
+      await recordAudit(tx, req, { table: 'offers', recordId: offerId, action: 'delete', before: offers[0], after: trashed });
+    });
 
     console.log(`✅ Deleted offer: ${offerId} for seller: ${req.user.userId}`);
 
@@ -398,23 +383,28 @@ router.delete('/:offerId', verifyToken, async (req, res) => {
 });
 
 // POST /offers/:offerId/toggle - Toggle offer active status
-router.post('/:offerId/toggle', verifyToken, async (req, res) => {
+router.post('/:offerId/toggle', verifyToken, requirePermission('offers:write'), async (req, res) => {
   try {
     const { offerId } = req.params;
 
-    const AppDataSource = getDataSource();
-    const result = await AppDataSource.query(`
-      UPDATE offers 
-      SET is_active = NOT is_active, updated_at = NOW() 
-      WHERE offer_id = $1 AND seller_id = $2 
-      RETURNING offer_id, is_active
-    `, [offerId, req.user.userId]);
+    const result = await withTransaction(getDataSource(), async (tx) => {
+      const before = await tx.query(
+        'SELECT * FROM offers WHERE offer_id = $1 AND seller_id = $2 AND deleted_at IS NULL FOR UPDATE',
+        [offerId, req.user.userId]
+      );
+      if (before.length === 0) return [];
+
+      await tx.query('UPDATE offers SET is_active = NOT is_active, updated_at = NOW() WHERE offer_id = $1', [offerId]);
+      const after = await tx.query('SELECT * FROM offers WHERE offer_id = $1', [offerId]);
+      await recordAudit(tx, req, { table: 'offers', recordId: offerId, action: 'update', before: before[0], after: after[0] });
+      return after;
+    });
 
     if (result.length === 0) {
       return res.status(404).json({ error: 'Offer not found or not authorized' });
     }
 
-    const updatedOffer = result[0];
+    const updatedOffer = { offer_id: result[0].offer_id, is_active: result[0].is_active };
     console.log(`🔄 Toggled offer ${offerId} to ${updatedOffer.is_active ? 'active' : 'inactive'}`);
 
     res.json({
@@ -429,4 +419,35 @@ router.post('/:offerId/toggle', verifyToken, async (req, res) => {
   }
 });
 
+// -----------------------------------------------------------------------------
+// OpenAPI annotations (see utils/openapi.js)
+// -----------------------------------------------------------------------------
+const offerFields = {
+  offer_title: { type: 'string' },
+  offer_description: { type: 'string' },
+  discount_type: { type: 'string' },
+  discount_value: { type: 'number' },
+  min_order_amount: { type: 'number' },
+  max_discount_amount: { type: 'number' },
+  valid_from: { type: 'string', format: 'date-time' },
+  valid_until: { type: 'string', format: 'date-time' },
+  is_active: { type: 'boolean' },
+  usage_limit: { type: 'integer' },
+};
+
+router.openapi = {
+  'get /': { summary: "The logged-in seller's offers" },
+  'get /active': { summary: "The logged-in seller's currently valid, active offers" },
+  'get /public/active': { summary: 'Active offers across all restaurants (user app)' },
+  'post /': {
+    summary: 'Create an offer',
+    requestBody: jsonBody({ valid_from: offerFields.valid_from, valid_until: offerFields.valid_until }),
+    responses: { 201: jsonResponse('Created offer') },
+  },
+  'post /:offerId/image': { summary: "Upload or replace an offer's image", requestBody: imageUpload() },
+  'put /:offerId': { summary: 'Update offer fields', requestBody: jsonBody(offerFields), responses: { 200: jsonResponse('Updated offer'), 404: { description: 'Offer not found' } } },
+  'delete /:offerId': { summary: 'Move an offer to the trash' },
+  'post /:offerId/toggle': { summary: 'Switch an offer between active and inactive' },
+};
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,147 @@
+const express = require('express');
+const verifyToken = require('../middlewares/verifyToken');
+const requirePermission = require('../middlewares/requirePermission');
+const { ROLES } = require('../configs/roles');
+const { priceOrder } = require('../utils/orderPricing');
+const { reserveStock } = require('../utils/menuStock');
+const { withTransaction } = require('../utils/transaction');
+const { recordAudit } = require('../utils/auditLog');
+const { jsonBody, jsonResponse } = require('../utils/openapi');
+
+// -----------------------------------------------------------------------------
+// Customer ordering (/orders)
+// -----------------------------------------------------------------------------
+// Carts are priced on the server from the current menu, variants and add-ons
+// (see utils/orderPricing.js). /orders/quote prices without saving; POST
+// /orders prices again and saves the order with its lines in one transaction.
+// Sold-out and unavailable items are refused; placing an order takes its
+// quantities off the items' daily stock (see utils/menuStock.js).
+
+let AppDataSource = null;
+const getDataSource = () => {
+  if (!AppDataSource) AppDataSource = require('../index').AppDataSource;
+  return AppDataSource;
+};
+
+const router = express.Router();
+
+const INITIAL_STATUS = 'pending';
+
+// Shared request check; answers 400/422 and returns null when the cart cannot be priced
+async function priceRequest(db, req, res, options) {
+  const { restId, items } = req.body || {};
+  if (typeof restId !== 'string' || restId.trim() === '') {
+    res.status(400).json({ error: 'restId is required' });
+    return null;
+  }
+  const priced = await priceOrder(db, restId, items, options);
+  if (priced.errors) {
+    res.status(422).json({ error: 'Order cannot be priced', details: priced.errors });
+    return null;
+  }
+  return { restId, ...priced };
+}
+
+// POST /orders/quote - Price a cart without placing it
+router.post('/quote', verifyToken, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const quote = await priceRequest(getDataSource(), req, res);
+    if (!quote) return;
+
+    res.json({
+      success: true,
+      restId: quote.restId,
+      items: quote.lines,
+      total: quote.total,
+      count: quote.lines.length
+    });
+  } catch (error) {
+    console.error('🚨 Quote order error:', error);
+    res.status(500).json({ error: 'Failed to price order' });
+  }
+});
+
+// POST /orders - Place an order: { restId, items: [{ itemId, quantity, variantId, addonIds }] }
+router.post('/', verifyToken, requirePermission('orders:place'), async (req, res) => {
+  if (req.user.role !== ROLES.CUSTOMER) {
+    return res.status(403).json({ error: 'Only customers can place orders' });
+  }
+
+  try {
+    const AppDataSource = getDataSource();
+    const placed = await withTransaction(AppDataSource, async (tx) => {
+      // Menu rows stay locked until commit, so concurrent orders cannot oversell
+      const quote = await priceRequest(tx, req, res, { forUpdate: true });
+      if (!quote) return null;
+
+      const [order] = await tx.query(`
+        INSERT INTO orders (user_id, rest_id, order_status, total_amount)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [req.user.userId, quote.restId, INITIAL_STATUS, quote.total]);
+
+      const lines = [];
+      for (const line of quote.lines) {
+        const [saved] = await tx.query(`
+          INSERT INTO order_list (order_id, rest_id, item_id, quantity, price, variant_id, customizations)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING *
+        `, [order.order_id, quote.restId, line.item_id, line.quantity, line.unit_price, line.variant_id, JSON.stringify(line.customizations)]);
+        lines.push({ ...saved, item_name: line.item_name, line_total: line.line_total });
+      }
+      const stock = await reserveStock(tx, quote.lines);
+      await recordAudit(tx, req, { table: 'orders', recordId: order.order_id, action: 'create', after: order });
+      return { order, lines, soldOut: stock.filter((item) => item.stock_remaining === 0) };
+    });
+    if (!placed) return;
+
+    for (const item of placed.soldOut) {
+      console.log(`🚫 [STOCK] Menu item ${item.item_id} (${item.item_name}) sold out at ${item.rest_id}`);
+    }
+    console.log(`✅ Order ${placed.order.order_id} placed by user ${req.user.userId} at ${placed.order.rest_id} (${placed.order.total_amount})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      order: { ...placed.order, items: placed.lines }
+    });
+  } catch (error) {
+    console.error('🚨 Place order error:', error);
+    res.status(500).json({ error: 'Failed to place order' });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// OpenAPI annotations (see utils/openapi.js)
+// -----------------------------------------------------------------------------
+const cart = jsonBody({
+  restId: { type: 'string' },
+  items: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        itemId: { type: 'integer' },
+        quantity: { type: 'integer', minimum: 1 },
+        variantId: { type: 'integer', description: "Defaults to the item's default variant" },
+        addonIds: { type: 'array', items: { type: 'integer' } },
+      },
+      required: ['itemId'],
+    },
+  },
+}, ['restId', 'items']);
+
+router.openapi = {
+  'post /quote': {
+    summary: 'Price a cart from the current menu without placing it',
+    requestBody: cart,
+    responses: { 200: jsonResponse('Priced lines and total'), 422: { description: 'Unknown, unavailable or sold-out items, invalid variants or add-on selections' } },
+  },
+  'post /': {
+    summary: 'Place an order (customers only)',
+    requestBody: cart,
+    responses: { 201: jsonResponse('Saved order with its lines'), 422: { description: 'Order cannot be priced' } },
+  },
+};
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const { isId } = require('../utils/menuSections');
+const { jsonResponse } = require('../utils/openapi');
+
+// -----------------------------------------------------------------------------
+// Restaurants for the user app (/restaurants)
+// -----------------------------------------------------------------------------
+// Customers do not read the sellers table: it holds bank, tax and contact
+// details. These public endpoints list restaurants that are open for business
+// (not deleted or suspended) with only the columns the app shows.
+
+let AppDataSource = null;
+const getDataSource = () => {
+  if (!AppDataSource) AppDataSource = require('../index').AppDataSource;
+  return AppDataSource;
+};
+
+const router = express.Router();
+
+const MAX_LIMIT = 100;
+
+// Seller columns anyone may see
+const PUBLIC_COLUMNS = [
+  'seller_id', 'restaurant_name', 'restaurant_image',
+  'opening_time', 'closing_time', 'service_types', 'operating_hours', 'special_offers',
+];
+
+const publicColumns = (alias) => PUBLIC_COLUMNS.map((column) => `${alias}.${column}`).join(', ');
+const listed = (alias) => `${alias}.deleted_at IS NULL AND ${alias}.account_status IS DISTINCT FROM 'suspended'`;
+
+// PUBLIC endpoint: restaurants by name, optionally those with a menu section under ?category=<category_id>
+router.get('/public', async (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+  const offset = req.query.offset === undefined ? 0 : parseInt(req.query.offset, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIMIT}` });
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'offset must be a non-negative integer' });
+  }
+  const { category } = req.query;
+  if (category !== undefined && !isId(category)) {
+    return res.status(400).json({ error: 'category must be a category id' });
+  }
+
+  try {
+    const params = [limit, offset];
+    let categorySql = '';
+    if (category !== undefined) {
+      params.push(category);
+      categorySql = ' AND EXISTS (SELECT 1 FROM menu_sections s WHERE s.rest_id = r.seller_id AND s.category_id = $3)';
+    }
+    const restaurants = await getDataSource().query(`
+      SELECT ${publicColumns('r')}
+      FROM sellers r
+      WHERE ${listed('r')}${categorySql}
+      ORDER BY r.restaurant_name, r.seller_id
+      LIMIT $1 OFFSET $2
+    `, params);
+
+    res.json({ success: true, restaurants, count: restaurants.length, limit, offset });
+  } catch (error) {
+    console.error('🚨 Get public restaurants error:', error);
+    res.status(500).json({ error: 'Failed to retrieve restaurants' });
+  }
+});
+
+// PUBLIC endpoint: one restaurant
+router.get('/public/:sellerId', async (req, res) => {
+  try {
+    const rows = await getDataSource().query(
+      `SELECT ${publicColumns('r')} FROM sellers r WHERE r.seller_id = $1 AND ${listed('r')}`,
+      [req.params.sellerId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+    res.json({ success: true, restaurant: rows[0] });
+  } catch (error) {
+    console.error('🚨 Get public restaurant error:', error);
+    res.status(500).json({ error: 'Failed to retrieve restaurant' });
+  }
+});
+
+const restaurant = {
+  type: 'object',
+  properties: {
+    seller_id: { type: 'string' },
+    restaurant_name: { type: 'string', nullable: true },
+    restaurant_image: { type: 'string', nullable: true },
+    opening_time: { type: 'string', nullable: true, example: '09:00:00' },
+    closing_time: { type: 'string', nullable: true, example: '22:00:00' },
+    service_types: { type: 'array', nullable: true, items: { type: 'string' } },
+    operating_hours: { type: 'string', nullable: true },
+    special_offers: { type: 'string', nullable: true },
+  },
+};
+
+const query = (name, description, schema = { type: 'integer' }) => ({ name, in: 'query', required: false, description, schema });
+
+// OpenAPI annotations (see utils/openapi.js)
+router.openapi = {
+  'get /public': {
+    summary: 'Restaurants open for business, by name',
+    parameters: [
+      query('category', 'Only restaurants with a menu section filed under this category'),
+      query('limit', `Page size (1-${MAX_LIMIT}, default 50)`),
+      query('offset', 'Rows to skip'),
+    ],
+    responses: {
+      200: jsonResponse('Restaurants', {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          restaurants: { type: 'array', items: restaurant },
+          count: { type: 'integer' },
+          limit: { type: 'integer' },
+          offset: { type: 'integer' },
+        },
+      }),
+    },
+  },
+  'get /public/:sellerId': {
+    summary: 'One restaurant',
+    responses: {
+      200: jsonResponse('Restaurant', { type: 'object', properties: { success: { type: 'boolean' }, restaurant } }),
+      404: { description: 'Unknown, deleted or suspended restaurant' },
+    },
+  },
+};
+
+module.exports = router;
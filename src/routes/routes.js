@@ -1,4 +1,20 @@
 const express = require('express');
+const requirePermission = require('../middlewares/requirePermission');
+const { ROLES, hasPermission } = require('../configs/roles');
+const { resolveScope, scopeCondition, applyScopeToWrite } = require('../utils/rowScope');
+const { runListQuery, listPages } = require('../utils/queryBuilder');
+const { getSchemaTables } = require('../utils/schemaLoader');
+const { keyColumnsFor, hasUniqueKey, keyPath, keyFromParams, keyFromInput, keyCondition } = require('../utils/rowKey');
+const { validateRow } = require('../utils/rowValidator');
+const { hasSoftReferences, executeCascadeDelete } = require('../utils/deletePlanner');
+const { isSoftDeleteTable, notDeleted, softDeleteRow } = require('../utils/softDelete');
+const { revokeAllSessions } = require('../utils/sessionStore');
+const { rowEtag, ifMatchSatisfied } = require('../utils/etag');
+const { withTransaction } = require('../utils/transaction');
+const { recordIdFor, recordAudit, listHistory } = require('../utils/auditLog');
+const { parseInclude, expandRelations } = require('../utils/relations');
+const { documentRouter, jsonResponse } = require('../utils/openapi');
+const { EXPORT_FORMATS, sendExport } = require('../utils/tableExport');
 
 // Get AppDataSource dynamically to avoid circular dependency
 const getDataSource = () => {
@@ -7,197 +23,664 @@ const getDataSource = () => {
 };
 
 // -----------------------------------------------------------------------------
-// Configuration: list of tables and their primary-key column
+// Configuration: list of tables and their primary key (a column or, for
+// composite keys, an array of columns). The schema's primary key wins when it
+// declares one (see utils/rowKey.js).
+// Each table's router requires `<name>:read|write|delete` (see configs/roles.js);
+// add a `permissions` object to an entry to override individual operations.
+// `ownership` limits each role to its own rows (see utils/rowScope.js); the
+// token's userId is the seller_id for sellers/staff and the user_id for customers.
 // -----------------------------------------------------------------------------
+const restaurantOwned = { seller: 'rest_id', 'seller-staff': 'rest_id' };
+
 const tableConfigs = [
-  { name: 'addresses', primaryKey: 'address_id' },
+  { name: 'addresses', primaryKey: 'address_id', ownership: restaurantOwned },
   { name: 'admin', primaryKey: 'admin' },
-  { name: 'collection', primaryKey: 'user_id' },
-  { name: 'likes', primaryKey: 'user_id' },
-  { name: 'menu', primaryKey: 'item_id' },
-  { name: 'order_list', primaryKey: 'order_id' },
-  { name: 'orders', primaryKey: 'order_id' },
-  { name: 'rating', primaryKey: 'user_id' },
-  { name: 'sellers', primaryKey: 'seller_id' },
-  { name: 'users', primaryKey: 'user_id' },
+  { name: 'collection', primaryKey: ['user_id', 'rest_id'], ownership: { ...restaurantOwned, customer: 'user_id' } },
+  { name: 'likes', primaryKey: ['user_id', 'rest_id'], ownership: { ...restaurantOwned, customer: 'user_id' } },
+  // Sellers and staff change their menu through /menu, which manages sections, stock and images
+  {
+    name: 'menu',
+    primaryKey: 'item_id',
+    permissions: { write: 'admin:menu', delete: 'admin:menu' },
+    ownership: restaurantOwned,
+  },
+  {
+    name: 'order_list',
+    primaryKey: 'line_id',
+    ownership: {
+      ...restaurantOwned,
+      customer: { column: 'order_id', via: { table: 'orders', column: 'order_id', ownerColumn: 'user_id' } },
+    },
+  },
+  { name: 'orders', primaryKey: 'order_id', ownership: { ...restaurantOwned, customer: 'user_id' } },
+  { name: 'rating', primaryKey: ['user_id', 'rest_id'], ownership: { ...restaurantOwned, customer: 'user_id' } },
+  { name: 'sellers', primaryKey: 'seller_id', ownership: { seller: 'seller_id', 'seller-staff': 'seller_id' } },
+  { name: 'users', primaryKey: 'user_id', ownership: { customer: 'user_id' } },
 ];
 
+const defaultPermissions = (tableName) => ({
+  read: `${tableName}:read`,
+  write: `${tableName}:write`,
+  delete: `${tableName}:delete`,
+});
+
+// Account state of sellers and customers: set by admins (/admin suspend and
+// reactivate) and by OTP login, never by the account holder through /api
+const ACCOUNT_STATE_COLUMNS = { sellers: ['account_status', 'phone_verified'], users: ['account_status', 'phone_verified'] };
+
+// Batch op → the permission (key of `permissions`) it needs
+const BATCH_OPERATIONS = { create: 'write', update: 'write', delete: 'delete' };
+const MAX_BATCH_OPERATIONS = 100;
+
 // -----------------------------------------------------------------------------
 // Helper: build a CRUD router for a given table
 // -----------------------------------------------------------------------------
-function createCrudRouter(tableName, primaryKey) {
+function createCrudRouter(tableName, primaryKey, permissions = defaultPermissions(tableName), ownership = null) {
   const router = express.Router();
+  // Trashed rows of soft-delete tables are invisible here (see utils/softDelete.js)
+  const softDelete = isSoftDeleteTable(tableName);
+  const notDeletedSql = softDelete ? ` AND ${notDeleted()}` : '';
+  // Key columns are fixed when the router is built (after the schema has loaded)
+  const keyColumns = keyColumnsFor(tableName, primaryKey);
+  const rowPath = keyPath(keyColumns);
+  router.openapi = tableDocs(tableName, rowPath);
 
-  // GET /                → list first 100 rows
-  router.get('/', async (_req, res) => {
+  // GET /                → list rows (filters, sort, limit/offset or cursor; see utils/queryBuilder.js)
+  //                        ?include=relation[.nested],… embeds related rows (see utils/relations.js)
+  router.get('/', requirePermission(permissions.read), async (req, res) => {
     try {
       const AppDataSource = getDataSource();
-      const rows = await AppDataSource.query(`SELECT * FROM ${tableName} LIMIT 100`);
-      res.json(rows);
+      const included = parseInclude(tableName, req.query.include);
+      if (included.error) {
+        res.status(400).json({ error: included.error });
+        return;
+      }
+      const scope = resolveScope(ownership, req.user);
+      const tableSchema = getSchemaTables()[tableName];
+      const result = await runListQuery(AppDataSource, {
+        tableName,
+        columns: tableSchema?.columns || keyColumns,
+        columnInfo: tableSchema?.columnInfo,
+        primaryKeys: keyColumns,
+        uniqueKey: hasUniqueKey(tableName),
+        query: req.query,
+        conditions: [
+          ...(scope ? [scopeCondition(scope, 1)] : []),
+          ...(softDelete ? [{ sql: notDeleted(), params: [] }] : []),
+        ],
+      });
+      if (result.error) {
+        res.status(400).json({ error: result.error });
+        return;
+      }
+      const expanded = await expandRelations(AppDataSource, result.body.data, included.tree, relationAccess(req.user));
+      if (expanded.error) {
+        res.status(403).json({ error: expanded.error });
+        return;
+      }
+      res.set('X-Total-Count', String(result.body.total));
+      res.json(result.body);
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   });
 
-  // GET /:id             → single row
-  router.get('/:id', async (req, res) => {
-    const { id } = req.params;
+  // GET /export          → every matching row as a CSV or XLSX download (?format=csv|xlsx).
+  //                        Same filters, sort and ownership scope as GET /; streamed page by page.
+  router.get('/export', requirePermission(permissions.read), async (req, res) => {
+    const { format = 'csv', ...query } = req.query;
+    if (!EXPORT_FORMATS[String(format)]) {
+      res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+      return;
+    }
+    try {
+      const scope = resolveScope(ownership, req.user);
+      const tableSchema = getSchemaTables()[tableName];
+      const columns = tableSchema?.columns || keyColumns;
+      const listed = listPages(getDataSource(), {
+        tableName,
+        columns,
+        columnInfo: tableSchema?.columnInfo,
+        primaryKeys: keyColumns,
+        uniqueKey: hasUniqueKey(tableName),
+        query,
+        conditions: [
+          ...(scope ? [scopeCondition(scope, 1)] : []),
+          ...(softDelete ? [{ sql: notDeleted(), params: [] }] : []),
+        ],
+      });
+      if (listed.error) {
+        res.status(400).json({ error: listed.error });
+        return;
+      }
+      const date = new Date().toISOString().slice(0, 10);
+      const count = await sendExport(res, {
+        format: String(format),
+        filename: `${tableName}-${date}`,
+        columns,
+        pages: listed.pages,
+        columnInfo: tableSchema?.columnInfo,
+      });
+      console.log(`📤 [EXPORT] ${tableName}: ${count} row(s) as ${format} for ${req.user?.role} ${req.user?.userId}`);
+    } catch (err) {
+      console.error(`🚨 [EXPORT] Export of ${tableName} failed:`, err.message);
+      // Once the download has started the only way to signal failure is to cut it short
+      if (res.headersSent) res.destroy(err);
+      else res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /:id             → single row (/:col1/:col2 for composite keys) with its ETag
+  router.get(rowPath, requirePermission(permissions.read), async (req, res) => {
+    const key = keyFromParams(keyColumns, req.params);
     try {
       const AppDataSource = getDataSource();
-      const rows = await AppDataSource.query(`SELECT * FROM ${tableName} WHERE ${primaryKey} = $1`, [id]);
+      const included = parseInclude(tableName, req.query.include);
+      if (included.error) {
+        res.status(400).json({ error: included.error });
+        return;
+      }
+      const rows = await findScopedRow(AppDataSource, req.user, key);
       if (rows.length === 0) {
         res.status(404).json({ message: 'Not found' });
         return;
       }
+      // Tagged before expansion so the ETag matches the one If-Match is checked against on writes
+      const etag = rowEtag(rows[0]);
+      const expanded = await expandRelations(AppDataSource, rows, included.tree, relationAccess(req.user));
+      if (expanded.error) {
+        res.status(403).json({ error: expanded.error });
+        return;
+      }
+      // Express answers 304 when If-None-Match already has this ETag
+      res.set('ETag', etag);
       res.json(rows[0]);
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   });
 
-  // POST /               → create row
-  router.post('/', async (req, res) => {
-    const body = req.body;
+  // GET /:id/history     → audit trail of one row, newest first (see utils/auditLog.js)
+  router.get(`${rowPath}/history`, requirePermission(permissions.read), async (req, res) => {
+    const key = keyFromParams(keyColumns, req.params);
     try {
       const AppDataSource = getDataSource();
-      const keys = Object.keys(body);
-      if (keys.length === 0) {
-        res.status(400).json({ message: 'Body is empty' });
-        return;
+      // Out-of-scope rows have no visible history; admins are never scoped
+      if (resolveScope(ownership, req.user)) {
+        const rows = await findScopedRow(AppDataSource, req.user, key);
+        if (rows.length === 0) {
+          res.status(404).json({ message: 'Not found' });
+          return;
+        }
       }
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      const { rows, total } = await listHistory(AppDataSource, tableName, recordIdFor(keyColumns, key), { limit, offset });
+      res.json({ success: true, data: rows, count: rows.length, total, limit, offset });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
 
-      const values = Object.values(body);
-      const placeholders = keys.map((_, i) => `$${i + 1}`).join(',');
-      const sql = `INSERT INTO ${tableName} (${keys.join(',')}) VALUES (${placeholders}) RETURNING *`;
-      const rows = await AppDataSource.query(sql, values);
-      res.status(201).json(rows[0]);
+  // POST /               → create row
+  router.post('/', requirePermission(permissions.write), async (req, res) => {
+    try {
+      await finishWrite(res, await withTransaction(getDataSource(), (tx) => createRow(tx, req, req.body)));
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   });
 
-  // PUT /:id             → update row
-  router.put('/:id', async (req, res) => {
-    const { id } = req.params;
-    const body = req.body;
+  // POST /batch          → { operations: [{ op: 'create'|'update'|'delete', id | key, data, ifMatch }] }
+  // All operations run in one transaction: either every one is applied or none is.
+  router.post('/batch', async (req, res) => {
+    const operations = req.body?.operations;
+    if (!Array.isArray(operations) || operations.length === 0) {
+      res.status(400).json({ error: 'operations must be a non-empty array' });
+      return;
+    }
+    if (operations.length > MAX_BATCH_OPERATIONS) {
+      res.status(400).json({ error: `A batch may contain at most ${MAX_BATCH_OPERATIONS} operations` });
+      return;
+    }
+
+    const queryRunner = getDataSource().createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    const results = [];
+    let failed = null;
     try {
-      const AppDataSource = getDataSource();
-      const keys = Object.keys(body);
-      if (keys.length === 0) {
-        res.status(400).json({ message: 'Body is empty' });
-        return;
-      }
+      for (const [index, operation] of operations.entries()) {
+        let outcome;
+        try {
+          outcome = await runBatchOperation(queryRunner, req, operation);
+        } catch (err) {
+          outcome = { status: 500, body: { error: err.message } };
+        }
 
-      const setClause = keys.map((key, i) => `${key} = $${i + 1}`).join(',');
-      const values = Object.values(body);
-      values.push(id); // WHERE clause param
+        const ok = outcome.status < 400;
+        results.push({
+          index,
+          op: operation?.op,
+          status: outcome.status,
+          ...(ok
+            ? { data: outcome.body, etag: outcome.etag }
+            : { error: outcome.body.error || outcome.body.message, fields: outcome.body.fields, etag: outcome.etag }),
+        });
+        if (!ok) {
+          failed = { index, status: outcome.status };
+          break;
+        }
+      }
 
-      const sql = `UPDATE ${tableName} SET ${setClause} WHERE ${primaryKey} = $${keys.length + 1} RETURNING *`;
-      const rows = await AppDataSource.query(sql, values);
-      if (rows.length === 0) {
-        res.status(404).json({ message: 'Not found' });
+      if (failed) {
+        await queryRunner.rollbackTransaction();
+        // Operations after the failing one were never attempted
+        for (let index = failed.index + 1; index < operations.length; index++) {
+          results.push({ index, op: operations[index]?.op, status: null, skipped: true });
+        }
+        console.log(`↩️ [BATCH] ${tableName}: operation ${failed.index} failed, batch of ${operations.length} rolled back`);
+        res.status(failed.status >= 500 ? 500 : failed.status).json({
+          success: false,
+          error: `Operation ${failed.index} failed; no changes were applied`,
+          failedIndex: failed.index,
+          results,
+        });
         return;
       }
-      res.json(rows[0]);
+
+      await queryRunner.commitTransaction();
+      console.log(`✅ [BATCH] ${tableName}: ${results.length} operation(s) applied by ${req.user?.userId}`);
+      res.json({ success: true, results, count: results.length });
     } catch (err) {
+      if (queryRunner.isTransactionActive) await queryRunner.rollbackTransaction();
+      console.error(`🚨 [BATCH] Batch error for ${tableName}:`, err);
       res.status(500).json({ error: err.message });
+    } finally {
+      await queryRunner.release();
     }
   });
 
-  // DELETE /:id          → delete row
-  router.delete('/:id', async (req, res) => {
-    const { id } = req.params;
+  // PUT /:id, PATCH /:id → update the columns in the body (PUT has always been partial;
+  // PATCH is the explicit form). If-Match makes the update conditional on the row's ETag.
+  const update = async (req, res) => {
     try {
-      const AppDataSource = getDataSource();
-      
-      // Special handling for sellers table - handle foreign key relationships
-      if (tableName === 'sellers') {
-        await handleSellerDeletion(AppDataSource, id);
-      } else {
-        await AppDataSource.query(`DELETE FROM ${tableName} WHERE ${primaryKey} = $1`, [id]);
-      }
-      
-      res.status(204).send();
+      const key = keyFromParams(keyColumns, req.params);
+      await finishWrite(res, await updateRow(getDataSource(), req, key, req.body, req.get('If-Match')));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+  router.put(rowPath, requirePermission(permissions.write), update);
+  router.patch(rowPath, requirePermission(permissions.write), update);
+
+  // DELETE /:id          → delete row (If-Match honoured as for updates)
+  router.delete(rowPath, requirePermission(permissions.delete), async (req, res) => {
+    try {
+      const key = keyFromParams(keyColumns, req.params);
+      await finishWrite(res, await deleteRow(getDataSource(), req, key, req.get('If-Match')));
     } catch (err) {
       console.error(`Delete error for ${tableName}:`, err);
       res.status(500).json({ error: err.message });
     }
   });
 
-  return router;
-}
+  // ---------------------------------------------------------------------------
+  // Row writes shared by the single-row routes and /batch. `db` is a QueryRunner
+  // inside a transaction (update and delete open one when given AppDataSource);
+  // the audit entry is written in that transaction, so a write commits only with
+  // its entry. Each returns { status, body, etag? }.
+  // ---------------------------------------------------------------------------
 
-// Helper function to handle seller deletion with foreign key cleanup
-async function handleSellerDeletion(AppDataSource, sellerId) {
-  // Start transaction
-  const queryRunner = AppDataSource.createQueryRunner();
-  await queryRunner.connect();
-  await queryRunner.startTransaction();
-  
-  try {
-    console.log(`🗑️ Starting seller deletion process for: ${sellerId}`);
-    
-    // 1. Delete from auth_sessions (CASCADE should handle this, but being explicit)
-    await queryRunner.query('DELETE FROM auth_sessions WHERE seller_id = $1', [sellerId]);
-    console.log(`✅ Deleted auth_sessions for seller: ${sellerId}`);
-    
-    // 2. Delete from auth_logs (keep logs for audit, but can be deleted if needed)
-    // await queryRunner.query('DELETE FROM auth_logs WHERE seller_id = $1', [sellerId]);
-    
-    // 3. Delete related records by rest_id (assuming rest_id = seller_id)
-    const relatedTables = [
-      { table: 'collection', key: 'rest_id' },
-      { table: 'likes', key: 'rest_id' },
-      { table: 'menu', key: 'rest_id' },
-      { table: 'order_list', key: 'rest_id' },
-      { table: 'orders', key: 'rest_id' },
-      { table: 'rating', key: 'rest_id' }
-    ];
-    
-    for (const { table, key } of relatedTables) {
-      const result = await queryRunner.query(`DELETE FROM ${table} WHERE ${key} = $1`, [sellerId]);
-      console.log(`✅ Deleted ${result.affectedRows || 0} records from ${table} for seller: ${sellerId}`);
-    }
-    
-    // 4. Get the address_id before deleting seller
-    const sellerResult = await queryRunner.query('SELECT address_id FROM sellers WHERE seller_id = $1', [sellerId]);
-    const addressId = sellerResult.length > 0 ? sellerResult[0].address_id : null;
-    
-    // 5. Delete the seller
-    await queryRunner.query('DELETE FROM sellers WHERE seller_id = $1', [sellerId]);
-    console.log(`✅ Deleted seller: ${sellerId}`);
-    
-    // 6. Delete associated address if it exists and is only used by this seller
-    if (addressId) {
-      // Check if any other sellers use this address
-      const otherSellers = await queryRunner.query('SELECT COUNT(*) as count FROM sellers WHERE address_id = $1', [addressId]);
-      if (parseInt(otherSellers[0].count) === 0) {
-        await queryRunner.query('DELETE FROM addresses WHERE address_id = $1', [addressId]);
-        console.log(`✅ Deleted associated address: ${addressId}`);
+  async function createRow(db, req, input) {
+    const { user } = req;
+    if (!input || Object.keys(input).length === 0) {
+      return { status: 400, body: { message: 'Body is empty' } };
+    }
+
+    let body = input;
+    const scope = resolveScope(ownership, user);
+    if (scope) {
+      const scoped = await applyScopeToWrite(db, scope, body, { isCreate: true });
+      if (scoped.error) return { status: 403, body: { error: scoped.error } };
+      body = scoped.body;
+    }
+
+    const validated = validateWrite(body, true, user);
+    if (validated.failure) return validated.failure;
+
+    const keys = Object.keys(validated.values);
+    const values = Object.values(validated.values);
+    const placeholders = keys.map((_, i) => `$${i + 1}`).join(',');
+    const sql = `INSERT INTO ${tableName} (${keys.join(',')}) VALUES (${placeholders}) RETURNING *`;
+    const rows = await db.query(sql, values);
+    await recordAudit(db, req, { table: tableName, recordId: recordIdFor(keyColumns, rows[0]), action: 'create', after: rows[0] });
+    return { status: 201, body: rows[0], etag: rowEtag(rows[0]) };
+  }
+
+  async function updateRow(db, req, key, body, ifMatch) {
+    const { user } = req;
+    const keys = Object.keys(body || {});
+    if (keys.length === 0) {
+      return { status: 400, body: { message: 'Body is empty' } };
+    }
+
+    const scope = resolveScope(ownership, user);
+    let scopeSql = '';
+    const scopeParams = [];
+    if (scope) {
+      const scoped = await applyScopeToWrite(db, scope, body, { isCreate: false });
+      if (scoped.error) return { status: 403, body: { error: scoped.error } };
+      const condition = scopeCondition(scope, keys.length + keyColumns.length + 1);
+      scopeSql = ` AND ${condition.sql}`;
+      scopeParams.push(...condition.params);
+    }
+
+    const validated = validateWrite(body, false, user);
+    if (validated.failure) return validated.failure;
+
+    const setClause = keys.map((column, i) => `${column} = $${i + 1}`).join(',');
+    const values = keys.map((column) => validated.values[column]);
+    const where = keyCondition(key, keys.length + 1);
+    values.push(...where.params, ...scopeParams); // WHERE clause params
+
+    // Selected through a CTE so the driver hands back the rows rather than [rows, rowCount]
+    const sql = `WITH updated AS (UPDATE ${tableName} SET ${setClause} WHERE ${where.sql}${scopeSql}${notDeletedSql} RETURNING *) SELECT * FROM updated`;
+    return lockedWrite(db, user, key, ifMatch, async (tx, before) => {
+      const rows = await tx.query(sql, values);
+      if (rows.length === 0) return { status: 404, body: { message: 'Not found' } };
+      await recordAudit(tx, req, { table: tableName, recordId: recordIdFor(keyColumns, key), action: 'update', before, after: rows[0] });
+      return { status: 200, body: rows[0], etag: rowEtag(rows[0]) };
+    });
+  }
+
+  async function deleteRow(db, req, key, ifMatch) {
+    return lockedWrite(db, req.user, key, ifMatch, (tx, before) => removeRow(tx, req, key, before));
+  }
+
+  // Delete a row already locked (and scope-checked) by lockedWrite
+  async function removeRow(db, req, key, before) {
+    const { user } = req;
+    // Trash and cascade deletes only exist for single-column keys
+    const id = key[keyColumns[0]];
+    const scope = resolveScope(ownership, user);
+    const condition = scope ? scopeCondition(scope, keyColumns.length + 1) : null;
+    let after = null;
+
+    if (softDelete) {
+      // Soft-delete tables go to the trash; admins restore or purge them via /admin/trash
+      const trashed = await softDeleteRow(db, tableName, id, user.userId);
+      if (!trashed) return { status: 404, body: { message: 'Not found' } };
+      after = trashed;
+      if (tableName === 'sellers') {
+        await revokeAllSessions(db, 'seller', id, 'deleted');
+      }
+    } else if (hasSoftReferences(tableName)) {
+      // Tables with soft references take their dependent rows with them
+      await executeCascadeDelete(db, tableName, id, keyColumns[0]);
+    } else {
+      const where = keyCondition(key, 1);
+      const scopeSql = condition ? ` AND ${condition.sql}` : '';
+      await db.query(
+        `DELETE FROM ${tableName} WHERE ${where.sql}${scopeSql}`,
+        [...where.params, ...(condition ? condition.params : [])]
+      );
+    }
+
+    await recordAudit(db, req, { table: tableName, recordId: recordIdFor(keyColumns, key), action: 'delete', before, after });
+    return { status: 204, body: null };
+  }
+
+  // One /batch entry: checks the permission its op needs, then applies it
+  async function runBatchOperation(db, req, operation) {
+    const { user } = req;
+    const op = operation?.op;
+    if (!BATCH_OPERATIONS[op]) {
+      return { status: 400, body: { error: `op must be one of: ${Object.keys(BATCH_OPERATIONS).join(', ')}` } };
+    }
+    const permission = permissions[BATCH_OPERATIONS[op]];
+    if (!hasPermission(user?.role || null, permission)) {
+      return { status: 403, body: { error: `Forbidden: missing permission '${permission}'` } };
+    }
+
+    if (op === 'create') return createRow(db, req, operation.data);
+    if (operation.ifMatch !== undefined && typeof operation.ifMatch !== 'string') {
+      return { status: 400, body: { error: 'ifMatch must be an ETag string' } };
+    }
+
+    const key = keyFromInput(keyColumns, operation);
+    if (!key) {
+      return { status: 400, body: { error: `Operation needs ${keyColumns.length === 1 ? 'id' : `key with ${keyColumns.join(', ')}`}` } };
+    }
+    return op === 'update'
+      ? updateRow(db, req, key, operation.data, operation.ifMatch)
+      : deleteRow(db, req, key, operation.ifMatch);
+  }
+
+  // Run a write in a transaction with the (scoped) row locked, checked against
+  // If-Match when one was sent; write receives the row as it was before
+  async function lockedWrite(db, user, key, ifMatch, write) {
+    return withTransaction(db, async (tx) => {
+      const rows = await findScopedRow(tx, user, key, { forUpdate: true });
+      if (rows.length === 0) return { status: 404, body: { message: 'Not found' } };
+      const current = rowEtag(rows[0]);
+      if (!ifMatchSatisfied(ifMatch, current)) {
+        return { status: 412, body: { error: 'Precondition failed: the row has changed since it was read' }, etag: current };
+      }
+      return write(tx, rows[0]);
+    });
+  }
+
+  // Validate a write body against the table schema; { failure } holds the 422/503 outcome when it cannot be written
+  function validateWrite(body, isCreate, user) {
+    const tableSchema = getSchemaTables()[tableName];
+    if (!tableSchema) {
+      return { failure: { status: 503, body: { error: `No schema metadata for table '${tableName}'` } } };
+    }
+    const { values, errors: schemaErrors } = validateRow(tableSchema, body, { isCreate });
+    let errors = schemaErrors;
+    if (softDelete) {
+      for (const column of ['deleted_at', 'deleted_by'].filter((c) => body[c] !== undefined)) {
+        errors = { ...errors, [column]: 'is managed by delete and restore' };
+      }
+    }
+    if (user?.role !== ROLES.ADMIN) {
+      for (const column of (ACCOUNT_STATE_COLUMNS[tableName] || []).filter((c) => body[c] !== undefined)) {
+        errors = { ...errors, [column]: 'can only be changed by an admin' };
       }
     }
-    
-    // Commit transaction
-    await queryRunner.commitTransaction();
-    console.log(`🎉 Successfully deleted seller and all related data: ${sellerId}`);
-    
-  } catch (error) {
-    // Rollback transaction
-    await queryRunner.rollbackTransaction();
-    console.error(`🚨 Error during seller deletion, transaction rolled back:`, error);
-    throw error;
-  } finally {
-    await queryRunner.release();
+    if (errors) {
+      return { failure: { status: 422, body: { error: 'Validation failed', fields: errors } } };
+    }
+    return { values };
+  }
+
+  // Rows matching the key, limited to the caller's scope (out-of-scope rows read as missing)
+  async function findScopedRow(db, user, key, { forUpdate = false } = {}) {
+    const where = keyCondition(key, 1);
+    const scope = resolveScope(ownership, user);
+    const condition = scope ? scopeCondition(scope, where.params.length + 1) : null;
+    const scopeSql = condition ? ` AND ${condition.sql}` : '';
+    return db.query(
+      `SELECT * FROM ${tableName} WHERE ${where.sql}${scopeSql}${notDeletedSql}${forUpdate ? ' FOR UPDATE' : ''}`,
+      [...where.params, ...(condition ? condition.params : [])]
+    );
   }
+
+  return router;
 }
 
+// -----------------------------------------------------------------------------
+// OpenAPI annotations for one table router (see utils/openapi.js)
+// -----------------------------------------------------------------------------
+function tableDocs(tableName, rowPath) {
+  const row = { $ref: `#/components/schemas/${tableName}` };
+  const input = { required: true, content: { 'application/json': { schema: { $ref: `#/components/schemas/${tableName}Input` } } } };
+  const query = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', required: false, description, schema });
+  const header = (name, description) => ({ name, in: 'header', required: false, description, schema: { type: 'string' } });
+  const include = query('include', 'Comma-separated relations to embed, nested with dots (e.g. menu.order_list)');
+  const ifMatch = header('If-Match', 'ETag from a previous read; the write fails with 412 if the row has changed');
+  const page = (items) => jsonResponse('Page of rows', {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      data: { type: 'array', items },
+      count: { type: 'integer' },
+      total: { type: 'integer' },
+      limit: { type: 'integer' },
+      offset: { type: 'integer' },
+      nextCursor: { type: 'string', nullable: true },
+    },
+  });
+  const update = {
+    parameters: [ifMatch],
+    requestBody: { ...input, description: 'Only the columns to change' },
+    responses: {
+      200: jsonResponse('Updated row (ETag header holds its new version)', row),
+      404: { description: 'Not found' },
+      412: { description: 'If-Match does not match the current row' },
+      422: { description: 'Validation failed' },
+    },
+  };
+
+  return {
+    'get /': {
+      summary: `List ${tableName}`,
+      description: 'Filter with `?column=value` or `?column[op]=value` (op: gt, gte, lt, lte, ne, in, null).',
+      parameters: [
+        query('sort', 'Comma-separated columns, `-` prefix for descending'),
+        query('limit', 'Page size (max 500)', { type: 'integer' }),
+        query('offset', 'Rows to skip', { type: 'integer' }),
+        query('cursor', 'nextCursor from the previous page (tables with a primary key)'),
+        include,
+      ],
+      responses: { 200: page(row), 400: { description: 'Invalid filter, sort or include' } },
+    },
+    'get /export': {
+      summary: `Export ${tableName} as CSV or XLSX`,
+      description: 'Every row matching the same filters and sort as the list endpoint, streamed as a download.',
+      parameters: [query('format', 'csv (default) or xlsx', { type: 'string', enum: ['csv', 'xlsx'] }), query('sort', 'Comma-separated columns, `-` prefix for descending')],
+      responses: {
+        200: {
+          description: 'File download',
+          content: {
+            'text/csv': { schema: { type: 'string' } },
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: { type: 'string', format: 'binary' } },
+          },
+        },
+        400: { description: 'Invalid format, filter or sort' },
+      },
+    },
+    [`get ${rowPath}`]: {
+      summary: `Get one ${tableName} row`,
+      parameters: [include],
+      responses: { 200: jsonResponse('Row (ETag header holds its version)', row), 404: { description: 'Not found' } },
+    },
+    [`get ${rowPath}/history`]: {
+      summary: `Change history of one ${tableName} row`,
+      parameters: [query('limit', 'Page size (max 200)', { type: 'integer' }), query('offset', 'Entries to skip', { type: 'integer' })],
+      responses: { 200: page({ type: 'object' }), 404: { description: 'Not found' } },
+    },
+    'post /': {
+      summary: `Create a ${tableName} row`,
+      requestBody: input,
+      responses: { 201: jsonResponse('Created row', row), 422: { description: 'Validation failed' } },
+    },
+    'post /batch': {
+      summary: `Create, update and delete ${tableName} rows in one transaction`,
+      description: 'Each operation is checked against its own permission (write or delete).',
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['operations'],
+              properties: {
+                operations: {
+                  type: 'array',
+                  maxItems: MAX_BATCH_OPERATIONS,
+                  items: {
+                    type: 'object',
+                    required: ['op'],
+                    properties: {
+                      op: { type: 'string', enum: Object.keys(BATCH_OPERATIONS) },
+                      id: { description: 'Key value (single-column keys)' },
+                      key: { type: 'object', description: 'Key columns (composite keys)' },
+                      data: { type: 'object' },
+                      ifMatch: { type: 'string' },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: jsonResponse('Every operation was applied; per-operation results'),
+        400: { description: 'Malformed batch or operation; nothing was applied' },
+        404: { description: 'An operation found no row; nothing was applied' },
+        412: { description: 'An If-Match check failed; nothing was applied' },
+        422: { description: 'An operation failed validation; nothing was applied' },
+      },
+    },
+    [`put ${rowPath}`]: { summary: `Update a ${tableName} row`, ...update },
+    [`patch ${rowPath}`]: { summary: `Partially update a ${tableName} row`, ...update },
+    [`delete ${rowPath}`]: {
+      summary: `Delete a ${tableName} row`,
+      parameters: [ifMatch],
+      responses: {
+        204: { description: 'Deleted' },
+        404: { description: 'Not found' },
+        412: { description: 'If-Match does not match the current row' },
+      },
+    },
+  };
+}
+
+// What a caller may see of a table reached through include=: the same read
+// permission, ownership scope and trash filtering as that table's own router
+const relationAccess = (user) => (table) => {
+  const config = tableConfigs.find((c) => c.name === table);
+  if (!config) return { error: `Relation '${table}' cannot be included` };
+
+  const permission = { ...defaultPermissions(table), ...config.permissions }.read;
+  if (!hasPermission(user?.role || null, permission)) {
+    return { error: `Forbidden: missing permission '${permission}'` };
+  }
+
+  const scope = resolveScope(config.ownership, user);
+  return {
+    conditions: [
+      ...(scope ? [scopeCondition(scope, 1)] : []),
+      ...(isSoftDeleteTable(table) ? [{ sql: notDeleted(), params: [] }] : []),
+    ],
+  };
+};
+
+// Send the outcome of a write; the ETag header carries the row's new (or, on
+// 412, current) version
+const finishWrite = async (res, { status, body, etag }) => {
+  if (etag) res.set('ETag', etag);
+  if (body === null) {
+    res.status(status).send();
+    return;
+  }
+  res.status(status).json(body);
+};
+
 // -----------------------------------------------------------------------------
 // Public: register all routers on an Express app instance
 // -----------------------------------------------------------------------------
 function registerTableRoutes(app) {
-  tableConfigs.forEach(({ name, primaryKey }) => {
-    app.use(`/api/${name}`, createCrudRouter(name, primaryKey));
+  tableConfigs.forEach(({ name, primaryKey, permissions, ownership }) => {
+    const router = createCrudRouter(name, primaryKey, { ...defaultPermissions(name), ...permissions }, ownership);
+    app.use(`/api/${name}`, router);
+    documentRouter(`/api/${name}`, router, { tag: 'Tables', secured: true, table: name });
   });
 }
 
-module.exports = { registerTableRoutes }; 
\ No newline at end of file
+module.exports = { registerTableRoutes };
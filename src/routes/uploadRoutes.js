@@ -1,7 +1,11 @@
 const express = require('express');
 const multer = require('multer');
-const jwt = require('jsonwebtoken');
 const { uploadImage, deleteImage } = require('../configs/cloudinary');
+const verifyToken = require('../middlewares/verifyToken');
+const requirePermission = require('../middlewares/requirePermission');
+const { recordAudit } = require('../utils/auditLog');
+const { withTransaction } = require('../utils/transaction');
+const { jsonBody, imageUpload, jsonResponse } = require('../utils/openapi');
 // Import the AppDataSource from index.js
 let AppDataSource = null;
 const getDataSource = () => {
@@ -30,33 +34,17 @@ const upload = multer({
   }
 });
 
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization || '';
-    const match = authHeader.match(/^Bearer\s+(.*)$/i);
-    
-    if (!match) {
-      return res.status(401).json({ error: 'Missing Bearer token' });
-    }
-
-    const token = match[1];
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-
-    if (payload.type !== 'access') {
-      return res.status(401).json({ error: 'Invalid token type' });
-    }
-
-    req.user = payload;
-    next();
-  } catch (error) {
-    console.error('🚨 Token verification error:', error);
-    res.status(401).json({ error: 'Invalid or expired token' });
-  }
-};
+// Set (or clear) the seller's restaurant_image and record the change in the audit trail
+const setRestaurantImage = (req, imageUrl) => withTransaction(getDataSource(), async (tx) => {
+  const [before] = await tx.query('SELECT * FROM sellers WHERE seller_id = $1 FOR UPDATE', [req.user.userId]);
+  if (!before) return;
+  await tx.query('UPDATE sellers SET restaurant_image = $1, updated_at = NOW() WHERE seller_id = $2', [imageUrl, req.user.userId]);
+  const [after] = await tx.query('SELECT * FROM sellers WHERE seller_id = $1', [req.user.userId]);
+  await recordAudit(tx, req, { table: 'sellers', recordId: req.user.userId, action: 'update', before, after });
+});
 
 // POST /upload/restaurant-image
-router.post('/restaurant-image', verifyToken, upload.single('image'), async (req, res) => {
+router.post('/restaurant-image', verifyToken, requirePermission('uploads:write'), upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image file provided' });
@@ -85,11 +73,7 @@ router.post('/restaurant-image', verifyToken, upload.single('image'), async (req
     }
 
     // Update seller's restaurant_image in database
-    const AppDataSource = getDataSource();
-    await AppDataSource.query(
-      'UPDATE sellers SET restaurant_image = $1, updated_at = NOW() WHERE seller_id = $2',
-      [uploadResult.url, req.user.userId]
-    );
+    await setRestaurantImage(req, uploadResult.url);
 
     console.log(`✅ Image uploaded successfully for seller: ${req.user.userId}`);
     console.log(`🔗 Image URL: ${uploadResult.url}`);
@@ -114,7 +98,7 @@ router.post('/restaurant-image', verifyToken, upload.single('image'), async (req
 });
 
 // POST /upload/restaurant-image-base64 (Alternative method for base64 uploads)
-router.post('/restaurant-image-base64', verifyToken, async (req, res) => {
+router.post('/restaurant-image-base64', verifyToken, requirePermission('uploads:write'), async (req, res) => {
   try {
     const { imageData } = req.body;
 
@@ -145,11 +129,7 @@ router.post('/restaurant-image-base64', verifyToken, async (req, res) => {
     }
 
     // Update seller's restaurant_image in database
-    const AppDataSource = getDataSource();
-    await AppDataSource.query(
-      'UPDATE sellers SET restaurant_image = $1, updated_at = NOW() WHERE seller_id = $2',
-      [uploadResult.url, req.user.userId]
-    );
+    await setRestaurantImage(req, uploadResult.url);
 
     console.log(`✅ Base64 image uploaded successfully for seller: ${req.user.userId}`);
 
@@ -173,7 +153,7 @@ router.post('/restaurant-image-base64', verifyToken, async (req, res) => {
 });
 
 // DELETE /upload/restaurant-image (Delete current restaurant image)
-router.delete('/restaurant-image', verifyToken, async (req, res) => {
+router.delete('/restaurant-image', verifyToken, requirePermission('uploads:write'), async (req, res) => {
   try {
     const AppDataSource = getDataSource();
     
@@ -204,10 +184,7 @@ router.delete('/restaurant-image', verifyToken, async (req, res) => {
     }
 
     // Remove from database
-    await AppDataSource.query(
-      'UPDATE sellers SET restaurant_image = NULL, updated_at = NOW() WHERE seller_id = $1',
-      [req.user.userId]
-    );
+    await setRestaurantImage(req, null);
 
     console.log(`✅ Restaurant image deleted for seller: ${req.user.userId}`);
 
@@ -222,4 +199,19 @@ router.delete('/restaurant-image', verifyToken, async (req, res) => {
   }
 });
 
+// OpenAPI annotations (see utils/openapi.js)
+router.openapi = {
+  'post /restaurant-image': {
+    summary: 'Upload the restaurant image (multipart)',
+    requestBody: imageUpload(),
+    responses: { 200: jsonResponse('Uploaded image URL and dimensions') },
+  },
+  'post /restaurant-image-base64': {
+    summary: 'Upload the restaurant image as a base64 data URL',
+    requestBody: jsonBody({ imageData: { type: 'string', description: 'data:image/...;base64,...' } }, ['imageData']),
+    responses: { 200: jsonResponse('Uploaded image URL and dimensions') },
+  },
+  'delete /restaurant-image': { summary: 'Remove the restaurant image' },
+};
+
 module.exports = router; 
\ No newline at end of file
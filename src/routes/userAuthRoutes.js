@@ -1,7 +1,20 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { send2FactorOTP, verify2FactorOTP } = require('../configs/smsService');
+const { getSmsProvider, sendOTP, verifyOTP } = require('../configs/smsService');
+const {
+  createSession,
+  rotateSession,
+  revokeByToken,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/sessionStore');
+const verifyToken = require('../middlewares/verifyToken');
+const requireRole = require('../middlewares/requireRole');
+const { ROLES } = require('../configs/roles');
+const { isId } = require('../utils/rowKey');
+const { jsonBody } = require('../utils/openapi');
 
 const router = express.Router();
 
@@ -21,6 +34,44 @@ if (!process.env.JWT_SECRET) {
 const generateOTP = () => Math.floor(1000 + Math.random() * 9000).toString();
 const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
+// Access + refresh token pair. `sid` names the session family so every rotation of one login stays linked.
+const signUserTokens = (user, familyId) => ({
+  accessToken: jwt.sign(
+    {
+      userId: user.user_id,
+      phone: user.phone,
+      name: user.name,
+      role: ROLES.CUSTOMER,
+      sid: familyId,
+      type: 'access'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '15m' }
+  ),
+  refreshToken: jwt.sign(
+    {
+      userId: user.user_id,
+      phone: user.phone,
+      role: ROLES.CUSTOMER,
+      sid: familyId,
+      jti: crypto.randomUUID(),
+      type: 'refresh'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '7d' }
+  )
+});
+
+const formatSession = (session, currentFamilyId) => ({
+  id: session.session_id,
+  deviceInfo: session.device_info,
+  ipAddress: session.ip_address,
+  createdAt: session.created_at,
+  lastUsed: session.last_used,
+  expiresAt: session.expires_at,
+  current: Boolean(currentFamilyId) && session.family_id === currentFamilyId
+});
+
 const getClientInfo = (req) => ({
   ip: req.ip || req.connection.remoteAddress,
   userAgent: req.get('User-Agent') || 'Unknown'
@@ -63,7 +114,7 @@ router.post('/send-otp', async (req, res) => {
     // Check if user exists
     console.log(`🔍 [USER-DB-QUERY] Checking if user exists for phone: ${phoneNumber}`);
     const users = await AppDataSource.query(
-      'SELECT user_id, name, phone FROM users WHERE phone = $1',
+      'SELECT user_id, name, phone, account_status FROM users WHERE phone = $1',
       [phoneNumber]
     );
 
@@ -75,6 +126,13 @@ router.post('/send-otp', async (req, res) => {
       console.log(`👤 [USER-INFO] Existing user: ${user.name} (${user.user_id})`);
     }
 
+    // Check account status for existing users
+    if (!isSignup && user.account_status === 'suspended') {
+      console.log(`🚫 [USER-ACCOUNT-SUSPENDED] Account ${user.user_id} is suspended`);
+      await logAuthEvent('otp_request', phoneNumber, user.user_id, false, 'Account suspended', req);
+      return res.status(403).json({ error: 'Account is suspended' });
+    }
+
     // Rate limiting check
     console.log(`⏱️ [USER-RATE-LIMIT-CHECK] Checking recent OTP attempts for ${phoneNumber}`);
     const recentAttempts = await AppDataSource.query(
@@ -96,27 +154,28 @@ router.post('/send-otp', async (req, res) => {
     const otpHash = hashToken(otp);
     const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes
 
-    // Send OTP via 2Factor API
-    console.log(`📱 [USER-SMS-INITIATE] Attempting to send OTP via 2Factor to: ${phoneNumber}`);
-    const smsResult = await send2FactorOTP(phoneNumber, otp);
+    // Send OTP via the configured SMS provider
+    const provider = getSmsProvider();
+    console.log(`📱 [USER-SMS-INITIATE] Attempting to send OTP via ${provider.name} to: ${phoneNumber}`);
+    const smsResult = await sendOTP(phoneNumber, otp);
     
     let smsProvider = 'console';
     let smsStatus = 'sent';
     let sessionId = null;
     
     if (smsResult.success) {
-      smsProvider = '2factor';
+      smsProvider = provider.name;
       sessionId = smsResult.sessionId;
-      console.log(`✅ [USER-SMS-SUCCESS] SMS sent via 2Factor successfully!`);
+      console.log(`✅ [USER-SMS-SUCCESS] SMS sent via ${provider.name} successfully!`);
     } else {
-      console.log(`⚠️ [USER-SMS-FALLBACK] 2Factor SMS failed, falling back to console mode`);
+      console.log(`⚠️ [USER-SMS-FALLBACK] ${provider.name} SMS failed, falling back to console mode`);
       console.log(`🔐 [USER-CONSOLE-OTP] FALLBACK - OTP for ${phoneNumber}: ${otp} (${isSignup ? 'SIGNUP' : 'LOGIN'})`);
     }
 
     // Store OTP attempt in database
     await AppDataSource.query(
-      `INSERT INTO otp_attempts (phone_number, otp_hash, expires_at, ip_address, is_signup, session_id, sms_provider, sms_status, attempts)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 0)`,
+      `INSERT INTO otp_attempts (phone_number, otp_hash, expires_at, ip_address, is_signup, session_id, sms_provider, sms_status, attempts, flow)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 0, 'customer')`,
       [phoneNumber, otpHash, expiresAt, ip, isSignup, sessionId, smsProvider, smsStatus]
     );
 
@@ -160,7 +219,7 @@ router.post('/verify-otp', async (req, res) => {
     // Get the latest OTP attempt
     const otpAttempts = await AppDataSource.query(
       `SELECT * FROM otp_attempts 
-       WHERE phone_number = $1 AND expires_at > NOW() 
+       WHERE phone_number = $1 AND flow = 'customer' AND expires_at > NOW() AND verified_at IS NULL
        ORDER BY created_at DESC LIMIT 1`,
       [phoneNumber]
     );
@@ -181,19 +240,19 @@ router.post('/verify-otp', async (req, res) => {
     let otpVerified = false;
     let verificationMethod = 'local';
 
-    // Try 2Factor verification first if session_id exists
-    if (otpRecord.session_id && otpRecord.sms_provider === '2factor') {
-      console.log(`🔍 [USER-2FACTOR-VERIFY] Attempting 2Factor verification for session: ${otpRecord.session_id}`);
-      const factorResult = await verify2FactorOTP(otpRecord.session_id, otp);
+    // Try provider verification first if the provider issued a session
+    if (otpRecord.session_id) {
+      console.log(`🔍 [USER-PROVIDER-VERIFY] Attempting ${otpRecord.sms_provider} verification for session: ${otpRecord.session_id}`);
+      const providerResult = await verifyOTP(otpRecord.sms_provider, otpRecord.session_id, otp);
       
-      if (factorResult.success) {
+      if (providerResult.success) {
         otpVerified = true;
-        verificationMethod = '2factor';
-        console.log(`✅ [USER-OTP-VERIFIED] OTP verified via 2Factor API`);
+        verificationMethod = otpRecord.sms_provider;
+        console.log(`✅ [USER-OTP-VERIFIED] OTP verified via ${otpRecord.sms_provider} API`);
       }
     }
 
-    // Fall back to local hash verification if 2Factor failed or not available
+    // Fall back to local hash verification if the provider failed or has no session
     if (!otpVerified) {
       console.log(`🔍 [USER-LOCAL-VERIFY] Using local hash verification`);
       const otpHash = hashToken(otp);
@@ -215,11 +274,19 @@ router.post('/verify-otp', async (req, res) => {
       return res.status(400).json({ error: 'Invalid OTP' });
     }
 
-    // Mark OTP as verified
-    await AppDataSource.query(
-      'UPDATE otp_attempts SET verified_at = NOW(), sms_status = $2 WHERE id = $1',
+    // Mark OTP as verified; a concurrent verify of the same code finds it already used
+    const consumed = await AppDataSource.query(
+      `WITH consumed AS (
+         UPDATE otp_attempts SET verified_at = NOW(), sms_status = $2
+         WHERE id = $1 AND verified_at IS NULL
+         RETURNING id
+       ) SELECT * FROM consumed`,
       [otpRecord.id, `verified_${verificationMethod}`]
     );
+    if (consumed.length === 0) {
+      await logAuthEvent('otp_verify', phoneNumber, null, false, 'OTP already used', req);
+      return res.status(400).json({ error: 'No valid OTP found or OTP expired' });
+    }
 
     let user;
     let isNewUser = otpRecord.is_signup;
@@ -253,33 +320,32 @@ router.post('/verify-otp', async (req, res) => {
       }
 
       user = users[0];
+
+      // The account may have been suspended after the OTP was sent
+      if (user.account_status === 'suspended') {
+        console.log(`🚫 [USER-ACCOUNT-SUSPENDED] Account ${user.user_id} is suspended`);
+        await logAuthEvent('login', phoneNumber, user.user_id, false, 'Account suspended', req);
+        return res.status(403).json({ error: 'Account is suspended' });
+      }
+
       await logAuthEvent('login', phoneNumber, user.user_id, true, null, req);
       console.log(`✅ [USER-LOGIN-SUCCESS] Login successful for ${phoneNumber} - User ID: ${user.user_id}`);
     }
 
-    // Generate JWT tokens
-    const accessToken = jwt.sign(
-      {
-        userId: user.user_id,
-        phone: phoneNumber,
-        name: user.name,
-        type: 'access'
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '15m' }
-    );
-
-    const refreshToken = jwt.sign(
-      {
-        userId: user.user_id,
-        phone: phoneNumber,
-        type: 'refresh'
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Generate JWT tokens and start a new session family for this login
+    const familyId = crypto.randomUUID();
+    const { accessToken, refreshToken } = signUserTokens({ ...user, phone: phoneNumber }, familyId);
+
+    await createSession(AppDataSource, {
+      principal: 'customer',
+      principalId: user.user_id,
+      refreshToken,
+      familyId,
+      deviceInfo: req.get('User-Agent'),
+      ipAddress: ip
+    });
 
-    console.log(`🎫 [USER-TOKENS] Tokens generated for ${user.user_id}`);
+    console.log(`🎫 [USER-TOKENS] Tokens generated for ${user.user_id} (session family ${familyId})`);
 
     res.json({
       success: true,
@@ -309,6 +375,8 @@ router.post('/verify-otp', async (req, res) => {
 });
 
 // POST /auth/user/refresh
+// Refresh tokens are single-use: each call returns a new refresh token and retires the old one.
+// Replaying a retired token revokes every session of that login.
 router.post('/refresh', async (req, res) => {
   const { refreshToken } = req.body;
   const { ip } = getClientInfo(req);
@@ -340,23 +408,37 @@ router.post('/refresh', async (req, res) => {
 
     const user = users[0];
 
-    const newAccessToken = jwt.sign(
-      {
-        userId: user.user_id,
-        phone: user.phone,
-        name: user.name,
-        type: 'access'
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '15m' }
-    );
+    if (user.account_status === 'suspended') {
+      return res.status(403).json({ error: 'Account is suspended' });
+    }
+
+    const tokens = signUserTokens(user, payload.sid);
 
-    console.log(`✅ [USER-TOKEN-REFRESHED] Token refreshed for ${user.user_id}`);
+    const rotation = await rotateSession(AppDataSource, {
+      principal: 'customer',
+      principalId: user.user_id,
+      refreshToken,
+      newRefreshToken: tokens.refreshToken,
+      deviceInfo: req.get('User-Agent'),
+      ipAddress: ip
+    });
+
+    if (rotation.status === 'reused') {
+      await logAuthEvent('refresh_reuse', user.phone, user.user_id, false, 'Refresh token reuse detected', req);
+      return res.status(401).json({ error: 'Refresh token has already been used. Please log in again.' });
+    }
+
+    if (rotation.status !== 'rotated') {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    console.log(`✅ [USER-TOKEN-REFRESHED] Token rotated for ${user.user_id}`);
 
     res.json({
       success: true,
       tokens: {
-        accessToken: newAccessToken,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
         expiresIn: 900
       },
       user: {
@@ -378,8 +460,106 @@ router.post('/refresh', async (req, res) => {
 
 // POST /auth/user/logout
 router.post('/logout', async (req, res) => {
+  const { refreshToken } = req.body;
+  const authHeader = req.headers.authorization || '';
+  const match = authHeader.match(/^Bearer\s+(.*)$/i);
+
   console.log(`👋 [USER-LOGOUT] User logout request`);
-  res.json({ success: true, message: 'Logged out successfully' });
+
+  try {
+    const AppDataSource = getDataSource();
+    let userId = null;
+
+    // Get user from access token if available
+    if (match) {
+      try {
+        const payload = jwt.verify(match[1], process.env.JWT_SECRET);
+        userId = payload.userId;
+      } catch (err) {
+        // Token might be expired, continue with refresh token
+      }
+    }
+
+    // Revoke the session family the refresh token belongs to
+    let revoked = 0;
+    if (refreshToken) {
+      revoked = await revokeByToken(AppDataSource, refreshToken, 'logout');
+    }
+
+    if (userId) {
+      await logAuthEvent('logout', null, userId, true, null, req);
+    }
+
+    console.log(`✅ [USER-LOGOUT] Logout successful for user: ${userId || 'unknown'} (${revoked} session(s) revoked)`);
+    res.json({ success: true, message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('🚨 [USER-LOGOUT-ERROR] Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// GET /auth/user/sessions - Active devices/sessions for the logged-in user
+router.get('/sessions', verifyToken, requireRole(ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const AppDataSource = getDataSource();
+    const sessions = await listActiveSessions(AppDataSource, 'customer', req.user.userId);
+
+    console.log(`📋 [USER-SESSIONS] Retrieved ${sessions.length} active session(s) for ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => formatSession(session, req.user.sid)),
+      count: sessions.length
+    });
+
+  } catch (error) {
+    console.error('🚨 [USER-SESSIONS-ERROR] List sessions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve sessions' });
+  }
+});
+
+// DELETE /auth/user/sessions/:sessionId - Revoke a single session
+router.delete('/sessions/:sessionId', verifyToken, requireRole(ROLES.CUSTOMER), async (req, res) => {
+  const { sessionId } = req.params;
+  if (!isId(sessionId)) {
+    return res.status(400).json({ error: 'sessionId must be a session id' });
+  }
+
+  try {
+    const AppDataSource = getDataSource();
+    const revoked = await revokeSession(AppDataSource, 'customer', req.user.userId, sessionId);
+
+    if (revoked === 0) {
+      return res.status(404).json({ error: 'Session not found or already revoked' });
+    }
+
+    await logAuthEvent('session_revoked', null, req.user.userId, true, null, req);
+    console.log(`✅ [USER-SESSIONS] Revoked session ${sessionId} for ${req.user.userId}`);
+
+    res.json({ success: true, message: 'Session revoked successfully', revoked });
+
+  } catch (error) {
+    console.error('🚨 [USER-SESSIONS-ERROR] Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// POST /auth/user/logout-all - Log out everywhere
+router.post('/logout-all', verifyToken, requireRole(ROLES.CUSTOMER), async (req, res) => {
+  try {
+    const AppDataSource = getDataSource();
+    const revoked = await revokeAllSessions(AppDataSource, 'customer', req.user.userId);
+
+    await logAuthEvent('logout_all', null, req.user.userId, true, null, req);
+    console.log(`✅ [USER-LOGOUT-ALL] Revoked ${revoked} session(s) for ${req.user.userId}`);
+
+    res.json({ success: true, message: 'Logged out from all devices', revoked });
+
+  } catch (error) {
+    console.error('🚨 [USER-LOGOUT-ALL-ERROR] Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out from all devices' });
+  }
 });
 
 // GET /auth/user/me
@@ -514,4 +694,25 @@ router.put('/update-profile', async (req, res) => {
   }
 });
 
+// -----------------------------------------------------------------------------
+// OpenAPI annotations (see utils/openapi.js)
+// -----------------------------------------------------------------------------
+const str = { type: 'string' };
+
+router.openapi = {
+  'post /send-otp': { summary: 'Send a login OTP to a customer phone number', requestBody: jsonBody({ phoneNumber: str }, ['phoneNumber']) },
+  'post /verify-otp': { summary: 'Verify the OTP and log in, creating the customer on first login', requestBody: jsonBody({ phoneNumber: str, otp: str }, ['phoneNumber', 'otp']) },
+  'post /refresh': { summary: 'Rotate the refresh token', requestBody: jsonBody({ refreshToken: str }, ['refreshToken']) },
+  'post /logout': { summary: 'End the session belonging to a refresh token', requestBody: jsonBody({ refreshToken: str }, ['refreshToken']) },
+  'get /sessions': { summary: 'Active sessions of the logged-in customer' },
+  'delete /sessions/:sessionId': { summary: 'Revoke one session' },
+  'post /logout-all': { summary: 'Revoke every session of the logged-in customer' },
+  'get /me': { summary: 'Profile of the logged-in customer', secured: true },
+  'put /update-profile': {
+    summary: 'Update the customer profile',
+    secured: true,
+    requestBody: jsonBody({ name: str, email: str, gender: str, dob: { type: 'string', format: 'date' }, preference: str }),
+  },
+};
+
 module.exports = router;
\ No newline at end of file
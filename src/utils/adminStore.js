@@ -0,0 +1,20 @@
+async function findActiveAdminByPhone(db, phoneNumber) {
+  const rows = await db.query(
+    'SELECT * FROM admin WHERE phone_number = $1 AND is_active = TRUE',
+    [phoneNumber]
+  );
+  return rows[0] || null;
+}
+
+async function findActiveAdminById(db, adminId) {
+  const rows = await db.query(
+    'SELECT * FROM admin WHERE admin = $1 AND is_active = TRUE',
+    [adminId]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  findActiveAdminByPhone,
+  findActiveAdminById,
+};
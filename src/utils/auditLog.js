@@ -0,0 +1,109 @@
+// -----------------------------------------------------------------------------
+// Audit trail
+// -----------------------------------------------------------------------------
+// Every write through the generic table routers, profile updates, offers and
+// uploads is recorded in audit_log with before/after snapshots, the actor from
+// the access token, the client IP and the route. Entries are written with the
+// QueryRunner of the transaction making the change, so the change commits only
+// together with its entry: a failed insert throws and rolls the write back.
+// Given AppDataSource instead (a write made outside a transaction) the entry is
+// best-effort: a failed insert is logged, not returned, and the write stands.
+
+const ACTIONS = ['create', 'update', 'delete'];
+
+/**
+ * Record id for a key: the value itself for single-column keys, the values
+ * joined with '/' (as in the route path) for composite ones
+ * @param {string[]} columns - Key columns
+ * @param {object} row - Row (or key object) holding those columns
+ * @returns {string}
+ */
+const recordIdFor = (columns, row) => columns.map((c) => String(row[c])).join('/');
+
+// Columns whose value differs between two snapshots (all columns of whichever exists for create/delete)
+function changedColumns(before, after) {
+  if (!before || !after) return Object.keys(before || after || {});
+  const columns = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...columns].filter((c) => JSON.stringify(before[c]) !== JSON.stringify(after[c]));
+}
+
+/**
+ * Write one audit entry
+ * @param {object} db - QueryRunner of the write's transaction, or AppDataSource (best-effort)
+ * @param {import('express').Request} req - Supplies actor, IP and route
+ * @param {{ table: string, recordId: string|number, action: 'create'|'update'|'delete', before?: object|null, after?: object|null }} entry
+ */
+async function recordAudit(db, req, { table, recordId, action, before = null, after = null }) {
+  try {
+    const changed = changedColumns(before, after);
+    if (action === 'update' && changed.length === 0) return;
+
+    await db.query(
+      `INSERT INTO audit_log
+         (table_name, record_id, action, changed_columns, before_data, after_data, actor_id, actor_role, staff_id, ip_address, route)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        table,
+        String(recordId),
+        action,
+        changed,
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null,
+        req.user?.userId !== undefined ? String(req.user.userId) : null,
+        req.user?.role || null,
+        req.user?.staffId || null,
+        req.ip || req.socket?.remoteAddress || null,
+        `${req.method} ${req.originalUrl}`,
+      ]
+    );
+  } catch (err) {
+    console.error(`⚠️ [AUDIT] Failed to record ${action} on ${table}/${recordId}:`, err.message);
+    // Inside a transaction the write must not commit without its entry
+    if (typeof db.createQueryRunner !== 'function') throw err;
+  }
+}
+
+/**
+ * Change history of one record, newest first
+ * @returns {Promise<{ rows: object[], total: number }>}
+ */
+async function listHistory(db, table, recordId, { limit = 50, offset = 0 } = {}) {
+  return searchAudit(db, { table, recordId }, { limit, offset });
+}
+
+/**
+ * Search the audit trail, newest first
+ * @param {object} db
+ * @param {{ table?: string, recordId?: string, actorId?: string, action?: string, column?: string, route?: string, from?: string, to?: string }} filters
+ * @param {{ limit?: number, offset?: number }} [paging]
+ * @returns {Promise<{ rows: object[], total: number }>}
+ */
+async function searchAudit(db, filters, { limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const values = [];
+  const add = (sql, value) => {
+    values.push(value);
+    conditions.push(sql.replace('?', `$${values.length}`));
+  };
+
+  if (filters.table) add('table_name = ?', filters.table);
+  if (filters.recordId !== undefined) add('record_id = ?', String(filters.recordId));
+  if (filters.actorId) add('actor_id = ?', String(filters.actorId));
+  if (filters.action) add('action = ?', filters.action);
+  if (filters.column) add('? = ANY(changed_columns)', filters.column);
+  if (filters.route) add('route ILIKE ?', `%${filters.route}%`);
+  if (filters.from) add('created_at >= ?', filters.from);
+  if (filters.to) add('created_at < ?', filters.to);
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const [rows, totalRows] = await Promise.all([
+    db.query(
+      `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, audit_id DESC LIMIT ${limit} OFFSET ${offset}`,
+      values
+    ),
+    db.query(`SELECT COUNT(*)::int AS total FROM audit_log ${where}`, values),
+  ]);
+  return { rows, total: totalRows[0].total };
+}
+
+module.exports = { ACTIONS, recordIdFor, recordAudit, listHistory, searchAudit };
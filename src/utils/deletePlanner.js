@@ -0,0 +1,187 @@
+const { getSchemaTables, getReferencingRelations, getPrimaryKey } = require('./schemaLoader');
+
+// -----------------------------------------------------------------------------
+// Schema-aware cascade deletes
+// -----------------------------------------------------------------------------
+// Starting from one row, the planner follows foreign keys (schemaLoader) and
+// the soft references below to every dependent row, then deletes children
+// before parents in a single transaction. Foreign keys declared ON DELETE
+// SET NULL / SET DEFAULT are left to the database and reported as "nullify".
+
+// References that exist by convention but not as foreign keys
+const SOFT_REFERENCES = {
+  sellers: [
+    { table: 'collection', column: 'rest_id', referencesColumn: 'seller_id' },
+    { table: 'likes', column: 'rest_id', referencesColumn: 'seller_id' },
+    { table: 'menu', column: 'rest_id', referencesColumn: 'seller_id' },
+    { table: 'order_list', column: 'rest_id', referencesColumn: 'seller_id' },
+    { table: 'orders', column: 'rest_id', referencesColumn: 'seller_id' },
+    { table: 'rating', column: 'rest_id', referencesColumn: 'seller_id' },
+  ],
+};
+
+// Rows the deleted row points at and owns, removed afterwards unless another row still uses them
+const OWNED_ROWS = {
+  sellers: [
+    { column: 'address_id', table: 'addresses', referencesColumn: 'address_id' },
+  ],
+};
+
+const MAX_DEPTH = 5;
+
+const hasSoftReferences = (table) => Boolean(SOFT_REFERENCES[table]);
+
+function referencingRelations(table) {
+  const known = getSchemaTables();
+  const soft = (SOFT_REFERENCES[table] || [])
+    // Skip soft references to tables the schema says do not exist (an empty schema means "unknown")
+    .filter((rel) => Object.keys(known).length === 0 || known[rel.table])
+    .map((rel) => ({ ...rel, soft: true }));
+  return [...getReferencingRelations(table), ...soft];
+}
+
+/**
+ * Work out which tables a delete reaches and how.
+ * Each table gets the conditions (on $1 = the root key) selecting its affected
+ * rows and the deepest level it was reached at, which fixes the delete order.
+ * @param {string} rootTable
+ * @param {string} rootColumn - Key column of the root row
+ * @returns {{ table: string, depth: number, action: 'delete'|'nullify', conditions: string[] }[]} Deepest first
+ */
+function buildPlan(rootTable, rootColumn) {
+  const entries = new Map();
+
+  const record = (table, action, condition, depth) => {
+    const key = `${action}:${table}`;
+    const entry = entries.get(key) || { table, action, depth, conditions: [] };
+    entry.depth = Math.max(entry.depth, depth);
+    if (!entry.conditions.includes(condition)) entry.conditions.push(condition);
+    entries.set(key, entry);
+  };
+
+  const visit = (table, condition, depth, path) => {
+    if (depth > MAX_DEPTH) return;
+    for (const rel of referencingRelations(table)) {
+      if (path.includes(rel.table)) continue; // reference cycle
+
+      const childCondition = depth === 1 && rel.referencesColumn === rootColumn
+        ? `${rel.column} = $1`
+        : `${rel.column} IN (SELECT ${rel.referencesColumn} FROM ${table} WHERE ${condition})`;
+
+      if (rel.onDelete === 'SET NULL' || rel.onDelete === 'SET DEFAULT') {
+        record(rel.table, 'nullify', childCondition, depth);
+        continue;
+      }
+      record(rel.table, 'delete', childCondition, depth);
+      visit(rel.table, childCondition, depth + 1, [...path, rel.table]);
+    }
+  };
+
+  visit(rootTable, `${rootColumn} = $1`, 1, [rootTable]);
+
+  return [...entries.values()].sort((a, b) => b.depth - a.depth || a.table.localeCompare(b.table));
+}
+
+const whereSql = (conditions) => conditions.map((c) => `(${c})`).join(' OR ');
+
+/**
+ * Dry run: how many rows each table would lose (or have nulled) if the row were deleted
+ * @param {object} db - AppDataSource or QueryRunner
+ * @param {string} table
+ * @param {string|number} id - Primary key value of the row to delete
+ * @param {string} [key] - Primary key column (defaults to the schema's)
+ * @returns {Promise<{ table: string, key: string, id: any, found: boolean, steps: object[], total: number }>}
+ */
+async function planCascadeDelete(db, table, id, key = getPrimaryKey(table)) {
+  const root = await db.query(`SELECT COUNT(*)::int AS count FROM ${table} WHERE ${key} = $1`, [id]);
+  const steps = [];
+
+  for (const entry of buildPlan(table, key)) {
+    const rows = await db.query(`SELECT COUNT(*)::int AS count FROM ${entry.table} WHERE ${whereSql(entry.conditions)}`, [id]);
+    if (rows[0].count > 0) steps.push({ table: entry.table, action: entry.action, count: rows[0].count });
+  }
+  steps.push({ table, action: 'delete', count: root[0].count });
+
+  for (const owned of OWNED_ROWS[table] || []) {
+    const rows = await db.query(
+      `SELECT COUNT(*)::int AS count FROM ${owned.table}
+       WHERE ${owned.referencesColumn} IN (SELECT ${owned.column} FROM ${table} WHERE ${key} = $1)
+         AND NOT EXISTS (
+           SELECT 1 FROM ${table} other
+           WHERE other.${owned.column} = ${owned.table}.${owned.referencesColumn} AND other.${key} <> $1
+         )`,
+      [id]
+    );
+    if (rows[0].count > 0) steps.push({ table: owned.table, action: 'delete', count: rows[0].count });
+  }
+
+  const total = steps.filter((s) => s.action === 'delete').reduce((sum, s) => sum + s.count, 0);
+  return { table, key, id, found: root[0].count > 0, steps, total };
+}
+
+/**
+ * Delete a row and everything that depends on it in one transaction
+ * @param {object} db - AppDataSource (own transaction) or a QueryRunner already inside the caller's transaction
+ * @param {string} table
+ * @param {string|number} id - Primary key value of the row to delete
+ * @param {string} [key] - Primary key column (defaults to the schema's)
+ * @returns {Promise<{ table: string, key: string, id: any, found: boolean, steps: object[], total: number }>} Rows actually deleted
+ */
+async function executeCascadeDelete(db, table, id, key = getPrimaryKey(table)) {
+  const ownTransaction = typeof db.createQueryRunner === 'function';
+  const queryRunner = ownTransaction ? db.createQueryRunner() : db;
+  if (ownTransaction) {
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+  }
+
+  const deleteCount = async (sql, params) => {
+    const rows = await queryRunner.query(`WITH deleted AS (${sql} RETURNING 1) SELECT COUNT(*)::int AS count FROM deleted`, params);
+    return rows[0].count;
+  };
+
+  try {
+    console.log(`🗑️ [CASCADE-DELETE] Deleting ${table}.${key} = ${id} with dependents`);
+    const steps = [];
+
+    for (const entry of buildPlan(table, key)) {
+      if (entry.action !== 'delete') continue; // SET NULL / SET DEFAULT is applied by the database
+      const count = await deleteCount(`DELETE FROM ${entry.table} WHERE ${whereSql(entry.conditions)}`, [id]);
+      if (count > 0) steps.push({ table: entry.table, action: 'delete', count });
+    }
+
+    // Owned rows are looked up before the root row disappears
+    const owned = [];
+    for (const rule of OWNED_ROWS[table] || []) {
+      const rows = await queryRunner.query(`SELECT ${rule.column} AS value FROM ${table} WHERE ${key} = $1`, [id]);
+      const values = rows.map((r) => r.value).filter((v) => v !== null);
+      if (values.length > 0) owned.push({ rule, values });
+    }
+
+    const rootCount = await deleteCount(`DELETE FROM ${table} WHERE ${key} = $1`, [id]);
+    steps.push({ table, action: 'delete', count: rootCount });
+
+    for (const { rule, values } of owned) {
+      const count = await deleteCount(
+        `DELETE FROM ${rule.table}
+         WHERE ${rule.referencesColumn} = ANY($1)
+           AND NOT EXISTS (SELECT 1 FROM ${table} other WHERE other.${rule.column} = ${rule.table}.${rule.referencesColumn})`,
+        [values]
+      );
+      if (count > 0) steps.push({ table: rule.table, action: 'delete', count });
+    }
+
+    if (ownTransaction) await queryRunner.commitTransaction();
+    const total = steps.reduce((sum, s) => sum + s.count, 0);
+    console.log(`🎉 [CASCADE-DELETE] Deleted ${total} row(s) for ${table}.${key} = ${id}`);
+    return { table, key, id, found: rootCount > 0, steps, total };
+  } catch (error) {
+    if (ownTransaction) await queryRunner.rollbackTransaction();
+    console.error('🚨 [CASCADE-DELETE] Error during cascade delete, transaction rolled back:', error);
+    throw error;
+  } finally {
+    if (ownTransaction) await queryRunner.release();
+  }
+}
+
+module.exports = { SOFT_REFERENCES, OWNED_ROWS, hasSoftReferences, planCascadeDelete, executeCascadeDelete };
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+
+// -----------------------------------------------------------------------------
+// ETags for optimistic concurrency
+// -----------------------------------------------------------------------------
+// A row's ETag is a hash of its current contents, so every write changes it.
+// Reads return it in the ETag header; writes sent with a stale If-Match get
+// 412 Precondition Failed instead of overwriting someone else's change.
+
+/**
+ * Strong ETag for a row (or any JSON-serialisable value built from rows)
+ * @param {object} row
+ * @returns {string} Quoted ETag, e.g. "3f2a…"
+ */
+const rowEtag = (row) => `"${crypto.createHash('sha1').update(JSON.stringify(row)).digest('hex')}"`;
+
+/**
+ * Whether an If-Match header allows writing a resource whose current ETag is `etag`.
+ * A missing header always passes; `*` passes for any existing resource.
+ * @param {string|undefined} ifMatch
+ * @param {string} etag
+ * @returns {boolean}
+ */
+function ifMatchSatisfied(ifMatch, etag) {
+  if (!ifMatch) return true;
+  const tags = ifMatch.split(',').map((tag) => tag.trim());
+  return tags.includes('*') || tags.includes(etag);
+}
+
+module.exports = { rowEtag, ifMatchSatisfied };
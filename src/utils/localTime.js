@@ -0,0 +1,73 @@
+// -----------------------------------------------------------------------------
+// Restaurant-local time
+// -----------------------------------------------------------------------------
+// Sellers' opening/closing times, menu schedules and the daily stock reset are
+// wall-clock times in the platform's time zone, MENU_TIMEZONE (IANA name,
+// default Asia/Kolkata). Times of day are handled as minutes past midnight.
+
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d(\.\d+)?)?$/;
+
+let warnedZone = null;
+
+/**
+ * Time zone menu times are read in
+ * @returns {string}
+ */
+function menuTimeZone() {
+  const timeZone = process.env.MENU_TIMEZONE || DEFAULT_TIME_ZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch (err) {
+    if (warnedZone !== timeZone) {
+      console.warn(`⚠️ [LOCAL-TIME] Ignoring unknown MENU_TIMEZONE "${timeZone}", using ${DEFAULT_TIME_ZONE}`);
+      warnedZone = timeZone;
+    }
+    return DEFAULT_TIME_ZONE;
+  }
+}
+
+/**
+ * Local calendar date, day of week and time of day of an instant
+ * @param {string} timeZone
+ * @param {Date} [now]
+ * @returns {{ date: string, day: number, minutes: number }} date as YYYY-MM-DD, day 0 (Sunday) to 6
+ */
+function localClock(timeZone, now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone, year: 'numeric', month: '2-digit', day: '2-digit', weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(now).map(({ type, value }) => [type, value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: DAY_NAMES.indexOf(parts.weekday.toLowerCase().slice(0, 3)),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+/**
+ * Minutes past midnight of an HH:MM or HH:MM:SS time (as Postgres returns TIME)
+ * @param {string} value
+ * @returns {number|null} null when the value is not a time of day
+ */
+function parseTimeOfDay(value) {
+  const match = typeof value === 'string' ? TIME_OF_DAY.exec(value) : null;
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * HH:MM for minutes past midnight
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatTimeOfDay(minutes) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+module.exports = { DAY_NAMES, menuTimeZone, localClock, parseTimeOfDay, formatTimeOfDay };
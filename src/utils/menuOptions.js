@@ -0,0 +1,294 @@
+const { isId } = require('./menuSections');
+
+// -----------------------------------------------------------------------------
+// Menu item customizations: variants (sizes) and add-on groups
+// -----------------------------------------------------------------------------
+// An item may have variants (half/full, regular/large), one of them optionally
+// the default, and add-on groups (extra cheese, toppings) whose min_select /
+// max_select bound how many add-ons a customer picks. Every variant and add-on
+// carries a price_delta on top of menu.item_price (see utils/orderPricing.js).
+//
+// Sellers send the complete set for an item; saveOptions syncs it: entries with
+// an id are updated, entries without one are created, missing ones are deleted.
+// Ids stay stable across edits, so carts holding them keep working.
+
+const MAX_NAME_LENGTH = 100;
+
+// Cents from a NUMERIC(10,2) value as node-postgres returns it (string) or a number
+const toCents = (value) => Math.round(Number(value) * 100);
+
+/**
+ * Variants and add-on groups (with their add-ons) of the given items
+ * @param {object} db - AppDataSource or QueryRunner
+ * @param {Array<number|string>} itemIds
+ * @returns {Promise<Map<number, { variants: object[], addonGroups: object[] }>>}
+ */
+async function loadOptions(db, itemIds) {
+  const options = new Map(itemIds.map((id) => [Number(id), { variants: [], addonGroups: [] }]));
+  if (itemIds.length === 0) return options;
+
+  const ids = itemIds.map(Number);
+  const [variants, groups, addons] = await Promise.all([
+    db.query('SELECT * FROM menu_variants WHERE item_id = ANY($1) ORDER BY sort_order, variant_id', [ids]),
+    db.query('SELECT * FROM menu_addon_groups WHERE item_id = ANY($1) ORDER BY sort_order, group_id', [ids]),
+    db.query(
+      `SELECT a.* FROM menu_addons a
+       JOIN menu_addon_groups g ON g.group_id = a.group_id
+       WHERE g.item_id = ANY($1)
+       ORDER BY a.sort_order, a.addon_id`,
+      [ids]
+    ),
+  ]);
+
+  const groupsById = new Map();
+  for (const group of groups) {
+    const withAddons = { ...group, addons: [] };
+    groupsById.set(group.group_id, withAddons);
+    options.get(Number(group.item_id))?.addonGroups.push(withAddons);
+  }
+  for (const addon of addons) groupsById.get(addon.group_id)?.addons.push(addon);
+  for (const variant of variants) options.get(Number(variant.item_id))?.variants.push(variant);
+  return options;
+}
+
+/**
+ * Menu rows with their `variants` and `addonGroups` attached
+ * @param {object} db
+ * @param {object[]} items - menu rows
+ * @returns {Promise<object[]>}
+ */
+async function attachOptions(db, items) {
+  const options = await loadOptions(db, items.map((item) => item.item_id));
+  return items.map((item) => ({ ...item, ...options.get(Number(item.item_id)) }));
+}
+
+// Name/price checks shared by variants and add-ons; pushes messages onto errors
+function checkEntry(entry, path, nameField, idField, errors, { allowNegative }) {
+  if (!entry || typeof entry !== 'object') {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (entry[idField] !== undefined && entry[idField] !== null && !isId(entry[idField])) {
+    errors.push(`${path}.${idField} must be an integer`);
+  }
+  const name = entry[nameField];
+  if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH) {
+    errors.push(`${path}.${nameField} must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (entry.price_delta !== undefined) {
+    const delta = Number(entry.price_delta);
+    if (entry.price_delta === null || entry.price_delta === '' || !Number.isFinite(delta)) {
+      errors.push(`${path}.price_delta must be a number`);
+    } else if (!allowNegative && delta < 0) {
+      errors.push(`${path}.price_delta cannot be negative`);
+    }
+  }
+}
+
+const duplicateNames = (entries, field) => {
+  const seen = new Set();
+  return entries.filter((entry) => {
+    const name = String(entry?.[field] || '').trim().toLowerCase();
+    if (seen.has(name)) return true;
+    seen.add(name);
+    return false;
+  }).map((entry) => entry[field]);
+};
+
+/**
+ * Validate a seller's customization payload
+ * @param {{ variants?: object[], addonGroups?: object[] }} input
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateOptions(input) {
+  const errors = [];
+  const { variants, addonGroups } = input || {};
+  if (variants === undefined && addonGroups === undefined) {
+    return ['Provide variants and/or addonGroups'];
+  }
+
+  if (variants !== undefined) {
+    if (!Array.isArray(variants)) {
+      errors.push('variants must be an array');
+    } else {
+      variants.forEach((variant, i) => {
+        // A smaller size may cost less than the listed item price
+        checkEntry(variant, `variants[${i}]`, 'variant_name', 'variant_id', errors, { allowNegative: true });
+        if (variant?.is_default !== undefined && typeof variant.is_default !== 'boolean') {
+          errors.push(`variants[${i}].is_default must be a boolean`);
+        }
+      });
+      if (variants.filter((v) => v?.is_default === true).length > 1) errors.push('Only one variant can be the default');
+      for (const name of duplicateNames(variants, 'variant_name')) errors.push(`Duplicate variant '${name}'`);
+    }
+  }
+
+  if (addonGroups !== undefined) {
+    if (!Array.isArray(addonGroups)) {
+      errors.push('addonGroups must be an array');
+    } else {
+      addonGroups.forEach((group, i) => {
+        const path = `addonGroups[${i}]`;
+        if (!group || typeof group !== 'object') {
+          errors.push(`${path} must be an object`);
+          return;
+        }
+        if (group.group_id !== undefined && group.group_id !== null && !isId(group.group_id)) {
+          errors.push(`${path}.group_id must be an integer`);
+        }
+        if (typeof group.group_name !== 'string' || group.group_name.trim() === '' || group.group_name.length > MAX_NAME_LENGTH) {
+          errors.push(`${path}.group_name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+        }
+        if (!Array.isArray(group.addons) || group.addons.length === 0) {
+          errors.push(`${path}.addons must be a non-empty array`);
+          return;
+        }
+        group.addons.forEach((addon, j) => {
+          checkEntry(addon, `${path}.addons[${j}]`, 'addon_name', 'addon_id', errors, { allowNegative: false });
+          if (addon?.is_veg !== undefined && addon.is_veg !== null && typeof addon.is_veg !== 'boolean') {
+            errors.push(`${path}.addons[${j}].is_veg must be a boolean`);
+          }
+        });
+        for (const name of duplicateNames(group.addons, 'addon_name')) errors.push(`Duplicate add-on '${name}' in ${path}`);
+
+        const min = group.min_select === undefined ? 0 : group.min_select;
+        const max = group.max_select === undefined ? null : group.max_select;
+        if (!Number.isInteger(min) || min < 0) errors.push(`${path}.min_select must be a non-negative integer`);
+        if (max !== null && (!Number.isInteger(max) || max < 1)) errors.push(`${path}.max_select must be a positive integer or null`);
+        if (Number.isInteger(min) && Number.isInteger(max) && max < min) errors.push(`${path}.max_select cannot be below min_select`);
+        if (Number.isInteger(min) && min > group.addons.length) errors.push(`${path}.min_select exceeds the number of add-ons`);
+      });
+      for (const name of duplicateNames(addonGroups, 'group_name')) errors.push(`Duplicate add-on group '${name}'`);
+    }
+  }
+
+  return errors;
+}
+
+const hasId = (entry, idColumn) => entry[idColumn] !== undefined && entry[idColumn] !== null;
+
+// First id in the payload that is not one of the item's own rows, so nothing is written for a bad payload
+async function findForeignId(tx, itemId, { variants, addonGroups }) {
+  const options = (await loadOptions(tx, [itemId])).get(Number(itemId));
+  const variantIds = new Set(options.variants.map((v) => Number(v.variant_id)));
+  const groupsById = new Map(options.addonGroups.map((g) => [Number(g.group_id), g]));
+
+  for (const variant of variants || []) {
+    if (hasId(variant, 'variant_id') && !variantIds.has(Number(variant.variant_id))) return `variant_id ${variant.variant_id}`;
+  }
+  for (const group of addonGroups || []) {
+    if (!hasId(group, 'group_id')) {
+      // Add-ons of a new group are new as well
+      const reused = group.addons.find((addon) => hasId(addon, 'addon_id'));
+      if (reused) return `addon_id ${reused.addon_id}`;
+      continue;
+    }
+    const existing = groupsById.get(Number(group.group_id));
+    if (!existing) return `group_id ${group.group_id}`;
+    const addonIds = new Set(existing.addons.map((a) => Number(a.addon_id)));
+    const foreign = group.addons.find((addon) => hasId(addon, 'addon_id') && !addonIds.has(Number(addon.addon_id)));
+    if (foreign) return `addon_id ${foreign.addon_id}`;
+  }
+  return null;
+}
+
+/**
+ * Sync rows of one child table to the given entries (update by id, insert, delete the rest)
+ * @returns {Promise<number[]>} Ids of the entries, in order
+ */
+async function syncRows(tx, { table, idColumn, parentColumn, parentId, entries, columns }) {
+  const keptIds = entries.filter((e) => hasId(e, idColumn)).map((e) => Number(e[idColumn]));
+
+  // Entries no longer listed are removed
+  await tx.query(
+    `DELETE FROM ${table} WHERE ${parentColumn} = $1 AND NOT (${idColumn} = ANY($2::int[]))`,
+    [parentId, keptIds]
+  );
+
+  const ids = [];
+  for (const [index, entry] of entries.entries()) {
+    const values = [...columns.map((c) => c.value(entry)), index];
+    const names = [...columns.map((c) => c.name), 'sort_order'];
+    if (hasId(entry, idColumn)) {
+      const setClause = names.map((name, i) => `${name} = $${i + 3}`).join(', ');
+      await tx.query(
+        `UPDATE ${table} SET ${setClause} WHERE ${idColumn} = $1 AND ${parentColumn} = $2`,
+        [entry[idColumn], parentId, ...values]
+      );
+      ids.push(Number(entry[idColumn]));
+    } else {
+      const rows = await tx.query(
+        `INSERT INTO ${table} (${parentColumn}, ${names.join(', ')})
+         VALUES ($1, ${names.map((_, i) => `$${i + 2}`).join(', ')})
+         RETURNING ${idColumn}`,
+        [parentId, ...values]
+      );
+      ids.push(Number(rows[0][idColumn]));
+    }
+  }
+  return ids;
+}
+
+/**
+ * Replace an item's variants and/or add-on groups with the given (validated) set.
+ * Must run inside a transaction; an omitted list is left unchanged.
+ * @param {object} tx - QueryRunner in a transaction
+ * @param {number|string} itemId
+ * @param {{ variants?: object[], addonGroups?: object[] }} input - Passed validateOptions
+ * @returns {Promise<{ error?: string }>} error (nothing written) when an id does not belong to the item
+ */
+async function saveOptions(tx, itemId, { variants, addonGroups }) {
+  const foreign = await findForeignId(tx, itemId, { variants, addonGroups });
+  if (foreign) return { error: `${foreign} does not belong to this item` };
+
+  if (variants !== undefined) {
+    // Clear the current default first so the partial unique index never sees two
+    await tx.query('UPDATE menu_variants SET is_default = FALSE WHERE item_id = $1', [itemId]);
+    await syncRows(tx, {
+      table: 'menu_variants',
+      idColumn: 'variant_id',
+      parentColumn: 'item_id',
+      parentId: itemId,
+      entries: variants,
+      columns: [
+        { name: 'variant_name', value: (v) => v.variant_name.trim() },
+        { name: 'price_delta', value: (v) => String(v.price_delta ?? 0) },
+        { name: 'is_default', value: (v) => v.is_default === true },
+      ],
+    });
+  }
+
+  if (addonGroups !== undefined) {
+    const groupIds = await syncRows(tx, {
+      table: 'menu_addon_groups',
+      idColumn: 'group_id',
+      parentColumn: 'item_id',
+      parentId: itemId,
+      entries: addonGroups,
+      columns: [
+        { name: 'group_name', value: (g) => g.group_name.trim() },
+        { name: 'min_select', value: (g) => g.min_select ?? 0 },
+        { name: 'max_select', value: (g) => g.max_select ?? null },
+      ],
+    });
+
+    for (const [index, group] of addonGroups.entries()) {
+      await syncRows(tx, {
+        table: 'menu_addons',
+        idColumn: 'addon_id',
+        parentColumn: 'group_id',
+        parentId: groupIds[index],
+        entries: group.addons,
+        columns: [
+          { name: 'addon_name', value: (a) => a.addon_name.trim() },
+          { name: 'price_delta', value: (a) => String(a.price_delta ?? 0) },
+          { name: 'is_veg', value: (a) => (a.is_veg === undefined ? null : a.is_veg) },
+        ],
+      });
+    }
+  }
+
+  return {};
+}
+
+module.exports = { loadOptions, attachOptions, validateOptions, saveOptions, toCents };
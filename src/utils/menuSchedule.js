@@ -0,0 +1,188 @@
+const { DAY_NAMES, menuTimeZone, localClock, parseTimeOfDay, formatTimeOfDay } = require('./localTime');
+
+// -----------------------------------------------------------------------------
+// Time-slotted menus
+// -----------------------------------------------------------------------------
+// Items and menu sections (see menuSections.js) may carry availability
+// windows: days of the week plus a start and end time, stored in
+// menu_schedules. A missing start or end stands for the seller's opening_time /
+// closing_time, so "breakfast from opening until 11:00" keeps following the
+// seller's hours.
+//
+// An item can be ordered at a given moment when the restaurant is open and
+//   - the item has windows and one of them covers the moment, or
+//   - it has none, and its section's windows cover it (or the section has none).
+// An item's own windows therefore override its section's. A window ending
+// earlier than it starts runs past midnight; it belongs to the day it starts on.
+
+const MAX_WINDOWS = 10;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const END_OF_DAY = 24 * 60;
+
+// JSON schema of a windows list, for the OpenAPI annotations
+const WINDOWS_SCHEMA = {
+  type: 'array',
+  description: 'A missing start_time/end_time means the opening/closing time; a window ending before it starts runs past midnight',
+  items: {
+    type: 'object',
+    properties: {
+      days: { type: 'array', items: { type: 'string', enum: DAY_NAMES } },
+      start_time: { type: 'string', example: '07:00', nullable: true },
+      end_time: { type: 'string', example: '11:00', nullable: true },
+    },
+  },
+};
+
+/**
+ * Validate schedule windows: [{ days?: ['mon', ...], start_time?: 'HH:MM'|null, end_time?: 'HH:MM'|null }]
+ * days defaults to every day; an empty list clears the schedule
+ * @param {any} input
+ * @returns {{ windows: Array<{ days: number[], start_time: string|null, end_time: string|null }>, errors: string[] }}
+ */
+function validateWindows(input) {
+  const errors = [];
+  if (!Array.isArray(input)) return { windows: [], errors: ['windows must be an array'] };
+  if (input.length > MAX_WINDOWS) return { windows: [], errors: [`At most ${MAX_WINDOWS} windows are allowed`] };
+
+  const windows = input.map((entry, i) => {
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`windows[${i}] must be an object`);
+      return null;
+    }
+    let days = ALL_DAYS;
+    if (entry.days !== undefined) {
+      if (!Array.isArray(entry.days) || entry.days.length === 0
+        || !entry.days.every((day) => DAY_NAMES.includes(String(day).toLowerCase()))) {
+        errors.push(`windows[${i}].days must be a non-empty list of ${DAY_NAMES.join(', ')}`);
+      } else {
+        days = [...new Set(entry.days.map((day) => DAY_NAMES.indexOf(String(day).toLowerCase())))].sort();
+      }
+    }
+    const times = {};
+    for (const field of ['start_time', 'end_time']) {
+      const value = entry[field];
+      if (value === undefined || value === null) {
+        times[field] = null;
+      } else if (parseTimeOfDay(value) === null) {
+        errors.push(`windows[${i}].${field} must be HH:MM or null`);
+      } else {
+        times[field] = formatTimeOfDay(parseTimeOfDay(value));
+      }
+    }
+    return { days, ...times };
+  });
+  return { windows: errors.length > 0 ? [] : windows, errors };
+}
+
+// API shape of a stored window
+const toWindow = (row) => ({
+  days: row.days.map((day) => DAY_NAMES[day]),
+  start_time: row.start_time === null ? null : formatTimeOfDay(parseTimeOfDay(row.start_time)),
+  end_time: row.end_time === null ? null : formatTimeOfDay(parseTimeOfDay(row.end_time)),
+});
+
+/**
+ * A seller's item and section windows
+ * @param {object} db - AppDataSource or QueryRunner
+ * @param {string} restId
+ * @returns {Promise<{ items: Map<number, object[]>, sections: Map<number, object[]> }>}
+ *   windows as rows (days as numbers, times as Postgres returns them)
+ */
+async function loadSchedules(db, restId) {
+  const rows = await db.query(
+    'SELECT * FROM menu_schedules WHERE rest_id = $1 ORDER BY sort_order, schedule_id',
+    [restId]
+  );
+  const schedules = { items: new Map(), sections: new Map() };
+  for (const row of rows) {
+    const [map, key] = row.item_id !== null ? [schedules.items, Number(row.item_id)] : [schedules.sections, Number(row.section_id)];
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push({ ...row, days: row.days.map(Number) });
+  }
+  return schedules;
+}
+
+/**
+ * Replace the windows of an item or of a menu section
+ * @param {object} tx - QueryRunner
+ * @param {string} restId
+ * @param {{ itemId?: number|string, sectionId?: number|string }} target
+ * @param {Array<{ days: number[], start_time: string|null, end_time: string|null }>} windows - from validateWindows
+ * @returns {Promise<object[]>} The saved windows in API shape
+ */
+async function saveSchedule(tx, restId, { itemId, sectionId }, windows) {
+  const [column, key] = itemId !== undefined ? ['item_id', itemId] : ['section_id', sectionId];
+  await tx.query(`DELETE FROM menu_schedules WHERE rest_id = $1 AND ${column} = $2`, [restId, key]);
+
+  const saved = [];
+  for (const [index, window] of windows.entries()) {
+    const [row] = await tx.query(
+      `INSERT INTO menu_schedules (rest_id, ${column}, days, start_time, end_time, sort_order)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [restId, key, window.days, window.start_time, window.end_time, index]
+    );
+    saved.push(toWindow(row));
+  }
+  return saved;
+}
+
+// Whether [start, end) on the given days covers a local moment
+function covers(days, start, end, clock) {
+  if (start === end) return days.includes(clock.day);
+  if (start < end) return days.includes(clock.day) && clock.minutes >= start && clock.minutes < end;
+  // Past midnight: the evening part belongs to today, the early hours to yesterday
+  if (clock.minutes >= start) return days.includes(clock.day);
+  if (clock.minutes < end) return days.includes((clock.day + 6) % 7);
+  return false;
+}
+
+/**
+ * What can be ordered from a seller at a moment
+ * @param {object} db - AppDataSource or QueryRunner
+ * @param {{ seller_id: string, opening_time?: string|null, closing_time?: string|null }} seller
+ * @param {Date} [at] - Defaults to now
+ * @returns {Promise<{ at: Date, open: boolean, isScheduled: (item: object) => boolean }>}
+ */
+async function scheduleAt(db, seller, at = new Date()) {
+  const clock = localClock(menuTimeZone(), at);
+  // Without opening hours the restaurant counts as open all day
+  const opening = parseTimeOfDay(seller.opening_time) ?? 0;
+  const closing = parseTimeOfDay(seller.closing_time) ?? END_OF_DAY;
+  const open = covers(ALL_DAYS, opening, closing, clock);
+  const schedules = await loadSchedules(db, seller.seller_id);
+
+  const inWindows = (windows) => windows.some((window) => covers(
+    window.days,
+    parseTimeOfDay(window.start_time) ?? opening,
+    parseTimeOfDay(window.end_time) ?? closing,
+    clock
+  ));
+
+  const isScheduled = (item) => {
+    if (!open) return false;
+    const windows = schedules.items.get(Number(item.item_id))
+      || (item.section_id !== null && item.section_id !== undefined ? schedules.sections.get(Number(item.section_id)) : undefined);
+    return !windows || inWindows(windows);
+  };
+  return { at, open, isScheduled };
+}
+
+/**
+ * Menu items or sections with their own `schedule` windows attached
+ * @param {object} db
+ * @param {string} restId
+ * @param {object[]} rows - menu or menu_sections rows of that seller
+ * @returns {Promise<object[]>}
+ */
+async function attachSchedules(db, restId, rows) {
+  const schedules = await loadSchedules(db, restId);
+  return rows.map((row) => {
+    const windows = row.item_id !== undefined
+      ? schedules.items.get(Number(row.item_id))
+      : schedules.sections.get(Number(row.section_id));
+    return { ...row, schedule: (windows || []).map(toWindow) };
+  });
+}
+
+module.exports = { MAX_WINDOWS, WINDOWS_SCHEMA, validateWindows, loadSchedules, saveSchedule, scheduleAt, attachSchedules };
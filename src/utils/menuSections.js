@@ -0,0 +1,199 @@
+const { isId } = require('./rowKey');
+
+// -----------------------------------------------------------------------------
+// Platform categories and seller menu sections
+// -----------------------------------------------------------------------------
+// Platform categories (categories) are managed by admins and shown on the home
+// screen with their icon, in display order. Sellers group their menu into
+// sections (menu_sections), in their own display order, each optionally filed
+// under a platform category. Names are compared case-insensitively with
+// spacing collapsed, so "Main Course" and "main  course" are the same.
+// menu.item_cat mirrors the item's section name for older clients; a trigger
+// keeps it in step (see migration 0013).
+
+const MAX_NAME_LENGTH = 100;
+const MAX_SLUG_LENGTH = 120;
+const SLUG = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const normalizeName = (value) => String(value).trim().replace(/\s+/g, ' ');
+
+/**
+ * URL-safe slug for a category name
+ * @param {string} name
+ * @returns {string}
+ */
+function slugify(name) {
+  const slug = normalizeName(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return (slug || 'category').slice(0, MAX_SLUG_LENGTH);
+}
+
+// Normalized name, or an error recorded under `name`
+function checkName(value, errors) {
+  if (typeof value !== 'string' || normalizeName(value) === '') {
+    errors.name = 'must be a non-empty string';
+    return undefined;
+  }
+  const name = normalizeName(value);
+  if (name.length > MAX_NAME_LENGTH) {
+    errors.name = `must be at most ${MAX_NAME_LENGTH} characters`;
+    return undefined;
+  }
+  return name;
+}
+
+/**
+ * Validate a platform category body: { name, slug?, icon?, is_active? }
+ * The slug defaults to one derived from the name on create.
+ * @param {object} body
+ * @param {{ isCreate: boolean }} options
+ * @returns {{ values: object, errors?: undefined } | { errors: object }}
+ */
+function validateCategory(body, { isCreate }) {
+  const input = body || {};
+  const errors = {};
+  const values = {};
+
+  if (isCreate || input.name !== undefined) values.name = checkName(input.name, errors);
+  if (input.slug !== undefined) {
+    if (typeof input.slug !== 'string' || !SLUG.test(input.slug) || input.slug.length > MAX_SLUG_LENGTH) {
+      errors.slug = 'must be lowercase letters and digits separated by single hyphens';
+    } else {
+      values.slug = input.slug;
+    }
+  } else if (isCreate && values.name) {
+    values.slug = slugify(values.name);
+  }
+  if (input.icon !== undefined) {
+    if (input.icon !== null && (typeof input.icon !== 'string' || !/^https?:\/\//.test(input.icon))) {
+      errors.icon = 'must be an http(s) URL or null';
+    } else {
+      values.icon = input.icon;
+    }
+  }
+  if (input.is_active !== undefined) {
+    if (typeof input.is_active !== 'boolean') errors.is_active = 'must be a boolean';
+    else values.is_active = input.is_active;
+  }
+
+  if (Object.keys(errors).length > 0) return { errors };
+  return { values };
+}
+
+/**
+ * Validate a seller section body: { name, category_id?: number|null }
+ * @param {object} body
+ * @param {{ isCreate: boolean }} options
+ * @returns {{ values: object, errors?: undefined } | { errors: object }}
+ */
+function validateSection(body, { isCreate }) {
+  const input = body || {};
+  const errors = {};
+  const values = {};
+
+  if (isCreate || input.name !== undefined) values.name = checkName(input.name, errors);
+  if (input.category_id !== undefined) {
+    if (input.category_id !== null && !isId(input.category_id)) errors.category_id = 'must be a category id or null';
+    else values.category_id = input.category_id === null ? null : Number(input.category_id);
+  }
+
+  if (Object.keys(errors).length > 0) return { errors };
+  return { values };
+}
+
+/**
+ * Whether an active platform category exists
+ * @param {object} db - AppDataSource or QueryRunner
+ * @param {number} categoryId
+ * @returns {Promise<boolean>}
+ */
+async function isActiveCategory(db, categoryId) {
+  const rows = await db.query('SELECT 1 FROM categories WHERE category_id = $1 AND is_active', [categoryId]);
+  return rows.length > 0;
+}
+
+/**
+ * A section of the seller's menu, or undefined
+ * @param {object} db - AppDataSource or QueryRunner
+ * @param {string} sellerId
+ * @param {number|string} sectionId
+ * @param {{ forUpdate?: boolean }} [options]
+ * @returns {Promise<object|undefined>}
+ */
+async function findOwnSection(db, sellerId, sectionId, { forUpdate = false } = {}) {
+  if (!isId(sectionId)) return undefined;
+  const rows = await db.query(
+    `SELECT * FROM menu_sections WHERE section_id = $1 AND rest_id = $2${forUpdate ? ' FOR UPDATE' : ''}`,
+    [sectionId, sellerId]
+  );
+  return rows[0];
+}
+
+/**
+ * The seller's section with this name, created at the end of the menu if missing.
+ * A new section is filed under the platform category of the same name, if any.
+ * @param {object} db - AppDataSource or QueryRunner
+ * @param {string} sellerId
+ * @param {string} name
+ * @returns {Promise<object>} menu_sections row
+ */
+async function sectionForName(db, sellerId, name) {
+  const normalized = normalizeName(name);
+  const created = await db.query(`
+    INSERT INTO menu_sections (rest_id, name, category_id, sort_order)
+    VALUES (
+      $1, $2,
+      (SELECT category_id FROM categories WHERE lower(name) = lower($2) AND is_active),
+      (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM menu_sections WHERE rest_id = $1)
+    )
+    ON CONFLICT (rest_id, lower(name)) DO NOTHING
+    RETURNING *
+  `, [sellerId, normalized]);
+  if (created.length > 0) {
+    console.log(`📂 Created menu section '${normalized}' for seller: ${sellerId}`);
+    return created[0];
+  }
+  const rows = await db.query(
+    'SELECT * FROM menu_sections WHERE rest_id = $1 AND lower(name) = lower($2)',
+    [sellerId, normalized]
+  );
+  return rows[0];
+}
+
+/**
+ * Settle the section of a menu item body. section_id must be one of the
+ * seller's sections; a free-text item_cat (older clients) is filed into the
+ * section of that name, which is created when missing.
+ * @param {object} db - AppDataSource or QueryRunner
+ * @param {string} sellerId
+ * @param {object} values - Validated menu columns
+ * @returns {Promise<{ values: object } | { errors: object }>}
+ */
+async function resolveItemSection(db, sellerId, values) {
+  const resolved = { ...values };
+  if (resolved.section_id !== undefined && resolved.section_id !== null) {
+    const section = await findOwnSection(db, sellerId, resolved.section_id);
+    if (!section) return { errors: { section_id: 'is not a section of this menu' } };
+  } else if (resolved.section_id === undefined && resolved.item_cat !== undefined) {
+    if (resolved.item_cat === null || normalizeName(resolved.item_cat) === '') {
+      resolved.section_id = null;
+    } else {
+      resolved.section_id = (await sectionForName(db, sellerId, resolved.item_cat)).section_id;
+    }
+  }
+  // The trigger derives item_cat from the section
+  delete resolved.item_cat;
+  return { values: resolved };
+}
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  isId,
+  normalizeName,
+  slugify,
+  validateCategory,
+  validateSection,
+  isActiveCategory,
+  findOwnSection,
+  sectionForName,
+  resolveItemSection,
+};
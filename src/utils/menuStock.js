@@ -0,0 +1,203 @@
+const { withTransaction } = require('./transaction');
+const { menuTimeZone, localClock, parseTimeOfDay, formatTimeOfDay } = require('./localTime');
+
+// -----------------------------------------------------------------------------
+// Menu availability and daily stock
+// -----------------------------------------------------------------------------
+// An item can be ordered when
+//   - is_available is set (the seller's standing switch),
+//   - sold_out_today is not set (marked out of stock for the day, or stock ran out), and
+//   - stock_remaining is NULL (not counted) or above zero.
+// Placing an order takes its quantities off stock_remaining; reaching zero
+// marks the item sold out. Once a day, at MENU_STOCK_RESET_TIME (local time,
+// see localTime.js), sold_out_today is cleared and stock_remaining refilled
+// from daily_stock. menu_stock_resets records each day's reset so it runs
+// once even with several instances or after a restart.
+
+// Columns written through PUT /menu/:itemId/availability and by orders, never by plain item updates
+const STOCK_COLUMNS = ['is_available', 'sold_out_today', 'sold_out_at', 'daily_stock', 'stock_remaining'];
+
+// SQL expression for "can be ordered now" over a menu row (optionally aliased)
+const availableSql = (alias = 'menu') =>
+  `(${alias}.is_available AND NOT ${alias}.sold_out_today AND (${alias}.stock_remaining IS NULL OR ${alias}.stock_remaining > 0))`;
+
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Why an item cannot be ordered in the requested quantity
+ * @param {object} item - menu row
+ * @param {number} quantity - Total quantity of the item across the order
+ * @returns {string|null} Error message, null when it can be ordered
+ */
+function availabilityError(item, quantity) {
+  if (!item.is_available) return `'${item.item_name}' is not available`;
+  if (item.sold_out_today) return `'${item.item_name}' is sold out`;
+  if (item.stock_remaining !== null && item.stock_remaining !== undefined) {
+    if (item.stock_remaining <= 0) return `'${item.item_name}' is sold out`;
+    if (quantity > item.stock_remaining) return `Only ${item.stock_remaining} of '${item.item_name}' left`;
+  }
+  return null;
+}
+
+/**
+ * Validate an availability update
+ * { is_available?, sold_out_today?, daily_stock?: number|null, stock_remaining?: number|null }
+ * @param {object} body
+ * @param {object} existing - Current menu row
+ * @returns {{ values: object } | { errors: object }} values are the columns to write (empty when nothing was given)
+ */
+function validateAvailability(body, existing) {
+  const input = body || {};
+  const errors = {};
+  const values = {};
+
+  for (const column of ['is_available', 'sold_out_today']) {
+    if (input[column] === undefined) continue;
+    if (typeof input[column] !== 'boolean') errors[column] = 'must be a boolean';
+    else values[column] = input[column];
+  }
+  for (const column of ['daily_stock', 'stock_remaining']) {
+    if (input[column] === undefined) continue;
+    if (input[column] !== null && !isCount(input[column])) errors[column] = 'must be a whole number of at least 0, or null';
+    else values[column] = input[column];
+  }
+  if (Object.keys(errors).length > 0) return { errors };
+  if (Object.keys(values).length === 0) return { values };
+
+  // A new daily quantity also applies to today unless today's count is given
+  if (values.daily_stock !== undefined && values.stock_remaining === undefined) {
+    values.stock_remaining = values.daily_stock;
+  }
+  const dailyStock = values.daily_stock !== undefined ? values.daily_stock : existing.daily_stock;
+  const remaining = values.stock_remaining !== undefined ? values.stock_remaining : existing.stock_remaining;
+  if (dailyStock === null && remaining !== null) {
+    return { errors: { stock_remaining: 'requires daily_stock to be set' } };
+  }
+
+  // Stock decides sold-out unless the seller says otherwise: none left marks it
+  // sold out, a refill clears it
+  if (values.sold_out_today === undefined && values.stock_remaining !== undefined) {
+    if (values.stock_remaining === 0) values.sold_out_today = true;
+    else if (existing.sold_out_today) values.sold_out_today = false;
+  }
+  if (values.sold_out_today !== undefined && values.sold_out_today !== existing.sold_out_today) {
+    values.sold_out_at = values.sold_out_today ? new Date() : null;
+  }
+  return { values };
+}
+
+/**
+ * Take ordered quantities off counted stock; items that reach zero are marked sold out.
+ * Call inside the order transaction, after the items were read FOR UPDATE and
+ * checked with availabilityError, so the CHECK constraint never trips.
+ * @param {object} tx - QueryRunner
+ * @param {Array<{ item_id: number, quantity: number }>} lines
+ * @returns {Promise<object[]>} Items with counted stock, after the update
+ */
+async function reserveStock(tx, lines) {
+  const quantities = new Map();
+  for (const line of lines) {
+    const id = Number(line.item_id);
+    quantities.set(id, (quantities.get(id) || 0) + line.quantity);
+  }
+
+  // Wrapped in a CTE so the query returns plain rows
+  return tx.query(`
+    WITH reserved AS (
+      UPDATE menu m
+      SET stock_remaining = m.stock_remaining - q.quantity,
+          sold_out_today = m.sold_out_today OR m.stock_remaining - q.quantity = 0,
+          sold_out_at = CASE WHEN m.stock_remaining - q.quantity = 0 AND NOT m.sold_out_today THEN NOW() ELSE m.sold_out_at END,
+          updated_at = NOW()
+      FROM unnest($1::int[], $2::int[]) AS q(item_id, quantity)
+      WHERE m.item_id = q.item_id AND m.stock_remaining IS NOT NULL
+      RETURNING m.item_id, m.rest_id, m.item_name, m.stock_remaining, m.sold_out_today
+    )
+    SELECT * FROM reserved
+  `, [[...quantities.keys()], [...quantities.values()]]);
+}
+
+/**
+ * Reset time settings: MENU_STOCK_RESET_TIME (HH:MM, default 04:00) in MENU_TIMEZONE
+ * @returns {{ time: string, minutes: number, timeZone: string }}
+ */
+function stockResetConfig() {
+  let minutes = parseTimeOfDay(process.env.MENU_STOCK_RESET_TIME);
+  if (minutes === null) {
+    if (process.env.MENU_STOCK_RESET_TIME) {
+      console.warn(`⚠️ [STOCK-RESET] Ignoring invalid MENU_STOCK_RESET_TIME "${process.env.MENU_STOCK_RESET_TIME}" (expected HH:MM)`);
+    }
+    minutes = 4 * 60;
+  }
+  return { time: formatTimeOfDay(minutes), minutes, timeZone: menuTimeZone() };
+}
+
+/**
+ * Run the daily reset for a local date unless it already ran
+ * @param {import('typeorm').DataSource} dataSource
+ * @param {string} date - Local date (YYYY-MM-DD) the reset belongs to
+ * @returns {Promise<number|null>} Items reset, null if that date was already reset
+ */
+async function resetDailyStock(dataSource, date) {
+  return withTransaction(dataSource, async (tx) => {
+    const claimed = await tx.query(
+      'INSERT INTO menu_stock_resets (reset_date) VALUES ($1) ON CONFLICT (reset_date) DO NOTHING RETURNING reset_date',
+      [date]
+    );
+    if (claimed.length === 0) return null;
+
+    const [{ count }] = await tx.query(`
+      WITH reset AS (
+        UPDATE menu
+        SET sold_out_today = FALSE, sold_out_at = NULL, stock_remaining = daily_stock, updated_at = NOW()
+        WHERE deleted_at IS NULL AND (sold_out_today OR stock_remaining IS DISTINCT FROM daily_stock)
+        RETURNING item_id
+      )
+      SELECT COUNT(*)::int AS count FROM reset
+    `);
+    await tx.query('UPDATE menu_stock_resets SET items_reset = $2 WHERE reset_date = $1', [date, count]);
+    return count;
+  });
+}
+
+/**
+ * Check every few minutes whether today's stock reset is due and run it.
+ * A reset missed while the server was down runs at the next check.
+ * @param {import('typeorm').DataSource} dataSource
+ * @returns {NodeJS.Timeout}
+ */
+function startStockResetJob(dataSource) {
+  const { time, minutes, timeZone } = stockResetConfig();
+
+  const run = async () => {
+    const clock = localClock(timeZone);
+    if (clock.minutes < minutes) return;
+    try {
+      const count = await resetDailyStock(dataSource, clock.date);
+      if (count !== null) {
+        console.log(`🔄 [STOCK-RESET] Daily stock reset for ${clock.date}: ${count} item(s) restocked`);
+      }
+    } catch (err) {
+      console.error('🚨 [STOCK-RESET] Reset failed:', err.message);
+    }
+  };
+
+  console.log(`🔄 [STOCK-RESET] Resetting menu stock daily at ${time} (${timeZone})`);
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  STOCK_COLUMNS,
+  availableSql,
+  availabilityError,
+  validateAvailability,
+  reserveStock,
+  stockResetConfig,
+  resetDailyStock,
+  startStockResetJob,
+};
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// -----------------------------------------------------------------------------
+// Versioned SQL migrations
+// -----------------------------------------------------------------------------
+// Files live in src/migrations as `<version>_<name>.up.sql` with an optional
+// `<version>_<name>.down.sql`. Applied versions are recorded in
+// schema_migrations with a checksum of the up script, so an edited migration
+// is reported instead of silently diverging from what ran in production.
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+// Arbitrary key for pg_advisory_lock so two processes never migrate at once
+const LOCK_KEY = 73190411;
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+/**
+ * Read migration files in version order
+ * @param {string} [dir]
+ * @returns {{ version: number, name: string, up: string, down: string|null, checksum: string }[]}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+    const [, versionText, name, direction] = match;
+    const version = parseInt(versionText, 10);
+
+    const entry = byVersion.get(version) || { version, name, up: null, down: null };
+    if (entry.name !== name) {
+      throw new Error(`Migration ${versionText} has two names: ${entry.name} and ${name}`);
+    }
+    entry[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, entry);
+  }
+
+  return [...byVersion.values()]
+    .map((entry) => {
+      if (!entry.up) throw new Error(`Migration ${entry.version}_${entry.name} has no .up.sql file`);
+      return { ...entry, checksum: checksum(entry.up) };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+/**
+ * Applied and pending migrations, with checksum mismatches flagged
+ * @param {import('typeorm').DataSource} dataSource
+ */
+async function migrationStatus(dataSource) {
+  await ensureMigrationsTable(dataSource);
+  const applied = await dataSource.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+  const migrations = loadMigrations();
+
+  return {
+    applied: applied.map((row) => {
+      const file = migrations.find((m) => m.version === row.version);
+      return {
+        version: row.version,
+        name: row.name,
+        appliedAt: row.applied_at,
+        missingFile: !file,
+        checksumMismatch: Boolean(file && file.checksum !== row.checksum),
+      };
+    }),
+    pending: migrations
+      .filter((m) => !appliedByVersion.has(m.version))
+      .map(({ version, name }) => ({ version, name })),
+  };
+}
+
+// Run fn on a dedicated connection holding the migration lock
+async function withMigrationLock(dataSource, fn) {
+  const queryRunner = dataSource.createQueryRunner();
+  await queryRunner.connect();
+  try {
+    await queryRunner.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await ensureMigrationsTable(queryRunner);
+    return await fn(queryRunner);
+  } finally {
+    await queryRunner.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    await queryRunner.release();
+  }
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction.
+ * Refuses to run if an applied migration's file has changed.
+ * @param {import('typeorm').DataSource} dataSource
+ * @param {{ to?: number }} [options] - Stop after this version
+ * @returns {Promise<{ version: number, name: string }[]>} Migrations applied
+ */
+async function migrateUp(dataSource, { to } = {}) {
+  return withMigrationLock(dataSource, async (queryRunner) => {
+    const migrations = loadMigrations();
+    const applied = await queryRunner.query('SELECT version, checksum FROM schema_migrations');
+    const appliedByVersion = new Map(applied.map((row) => [row.version, row.checksum]));
+
+    const changed = migrations.filter((m) => appliedByVersion.has(m.version) && appliedByVersion.get(m.version) !== m.checksum);
+    if (changed.length > 0) {
+      throw new Error(`Applied migrations were modified: ${changed.map((m) => `${m.version}_${m.name}`).join(', ')}`);
+    }
+
+    const pending = migrations.filter((m) => !appliedByVersion.has(m.version) && (to === undefined || m.version <= to));
+    const done = [];
+
+    for (const migration of pending) {
+      await queryRunner.startTransaction();
+      try {
+        await queryRunner.query(migration.up);
+        await queryRunner.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        await queryRunner.commitTransaction();
+      } catch (err) {
+        await queryRunner.rollbackTransaction();
+        throw new Error(`Migration ${migration.version}_${migration.name} failed: ${err.message}`);
+      }
+      console.log(`✅ [MIGRATION] Applied ${migration.version}_${migration.name}`);
+      done.push({ version: migration.version, name: migration.name });
+    }
+
+    return done;
+  });
+}
+
+/**
+ * Revert the most recently applied migrations using their .down.sql files
+ * @param {import('typeorm').DataSource} dataSource
+ * @param {{ steps?: number }} [options]
+ * @returns {Promise<{ version: number, name: string }[]>} Migrations reverted
+ */
+async function migrateDown(dataSource, { steps = 1 } = {}) {
+  return withMigrationLock(dataSource, async (queryRunner) => {
+    const migrations = loadMigrations();
+    const applied = await queryRunner.query(
+      'SELECT version, name FROM schema_migrations ORDER BY version DESC LIMIT $1',
+      [steps]
+    );
+    const done = [];
+
+    for (const row of applied) {
+      const migration = migrations.find((m) => m.version === row.version);
+      if (!migration || !migration.down) {
+        throw new Error(`Migration ${row.version}_${row.name} cannot be reverted (no .down.sql file)`);
+      }
+
+      await queryRunner.startTransaction();
+      try {
+        await queryRunner.query(migration.down);
+        await queryRunner.query('DELETE FROM schema_migrations WHERE version = $1', [row.version]);
+        await queryRunner.commitTransaction();
+      } catch (err) {
+        await queryRunner.rollbackTransaction();
+        throw new Error(`Reverting ${row.version}_${row.name} failed: ${err.message}`);
+      }
+      console.log(`↩️ [MIGRATION] Reverted ${row.version}_${row.name}`);
+      done.push({ version: row.version, name: row.name });
+    }
+
+    return done;
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrationStatus,
+  migrateUp,
+  migrateDown,
+};
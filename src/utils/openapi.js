@@ -0,0 +1,189 @@
+const verifyToken = require('../middlewares/verifyToken');
+const { getSchemaTables } = require('./schemaLoader');
+
+// -----------------------------------------------------------------------------
+// OpenAPI 3 document generated from the mounted routers
+// -----------------------------------------------------------------------------
+// Every router passed to documentRouter() is walked for its routes (method and
+// path). Bearer auth, required permissions and roles are read off the middleware
+// (verifyToken, requirePermission, requireRole); anything else comes from the router's
+// optional `openapi` annotations, keyed `'<method> <path>'` as registered:
+//   router.openapi = { 'post /send-otp': { summary, requestBody, responses } };
+// Table schemas come from schema metadata, so the document follows the database.
+
+const documented = [];
+
+/**
+ * Include a mounted router in the generated document
+ * @param {string} prefix - Mount path, e.g. '/auth'
+ * @param {import('express').Router} router
+ * @param {{ tag: string, secured?: boolean, table?: string }} options
+ *   secured: mounted behind an app-level auth middleware; table: generic table router for that table
+ */
+function documentRouter(prefix, router, { tag, secured = false, table = null }) {
+  documented.push({ prefix, router, tag, secured, table });
+}
+
+// JSON request body from a map of property schemas
+const jsonBody = (properties, required = []) => ({
+  required: true,
+  content: { 'application/json': { schema: { type: 'object', properties, ...(required.length ? { required } : {}) } } },
+});
+
+// multipart/form-data body with a single image file field
+const imageUpload = (field = 'image') => ({
+  required: true,
+  content: {
+    'multipart/form-data': {
+      schema: { type: 'object', properties: { [field]: { type: 'string', format: 'binary' } }, required: [field] },
+    },
+  },
+});
+
+// JSON response description, optionally with a schema
+const jsonResponse = (description, schema) => ({
+  description,
+  ...(schema ? { content: { 'application/json': { schema } } } : {}),
+});
+
+// Postgres data_type → OpenAPI schema, as node-postgres returns the value
+function columnSchema(info) {
+  const type = info?.dataType || '';
+  let schema;
+  if (['integer', 'smallint'].includes(type)) schema = { type: 'integer' };
+  else if (['real', 'double precision'].includes(type)) schema = { type: 'number' };
+  else if (['numeric', 'decimal', 'bigint'].includes(type)) schema = { type: 'string', format: 'decimal' }; // returned as strings
+  else if (type === 'boolean') schema = { type: 'boolean' };
+  else if (type === 'date') schema = { type: 'string', format: 'date' };
+  else if (type.startsWith('timestamp')) schema = { type: 'string', format: 'date-time' };
+  else if (type.startsWith('time')) schema = { type: 'string', format: 'time' };
+  else if (type === 'json' || type === 'jsonb') schema = { type: 'object' };
+  else if (type === 'array') schema = { type: 'array', items: { type: 'string' } };
+  else schema = { type: 'string' };
+  return info?.nullable ? { ...schema, nullable: true } : schema;
+}
+
+// Row and write-body schemas for one table
+function tableSchemas(table) {
+  const tableSchema = getSchemaTables()[table];
+  if (!tableSchema) return {};
+
+  const properties = {};
+  const writable = {};
+  const required = [];
+  for (const column of tableSchema.columns) {
+    const info = tableSchema.columnInfo?.[column];
+    properties[column] = columnSchema(info);
+    if (info?.isIdentity || info?.isGenerated) continue;
+    writable[column] = columnSchema(info);
+    if (info && !info.nullable && info.hasDefault === false) required.push(column);
+  }
+
+  return {
+    [table]: { type: 'object', properties },
+    [`${table}Input`]: { type: 'object', properties: writable, ...(required.length ? { required } : {}) },
+  };
+}
+
+// `:name` and Express 5 wildcard `*name` segments become `{name}`
+const toOpenApiPath = (path) => path.replace(/[:*](\w+)/g, '{$1}');
+const pathParams = (path) => [...path.matchAll(/[:*](\w+)/g)].map(([, name]) => ({
+  name, in: 'path', required: true, schema: { type: 'string' },
+}));
+
+const operationId = (method, path) => method + path
+  .split(/[/:{}-]+/)
+  .filter(Boolean)
+  .map((part) => part[0].toUpperCase() + part.slice(1))
+  .join('');
+
+/**
+ * Build the OpenAPI document for everything documented so far
+ * @param {{ serverUrl?: string }} [options]
+ * @returns {object}
+ */
+function buildOpenApiSpec({ serverUrl } = {}) {
+  const paths = {};
+  const schemas = {};
+  const tags = [];
+
+  for (const { prefix, router, tag, secured, table } of documented) {
+    if (!tags.some((t) => t.name === tag)) tags.push({ name: tag });
+    if (table) Object.assign(schemas, tableSchemas(table));
+    const annotations = router.openapi || {};
+
+    for (const layer of router.stack) {
+      if (!layer.route || typeof layer.route.path !== 'string') continue;
+      const { path, methods, stack } = layer.route;
+      const handlers = stack.map((l) => l.handle);
+      const permissions = handlers.flatMap((h) => h.permissions || []);
+      const roles = handlers.flatMap((h) => h.roles || []);
+      const restricted = permissions.length > 0 || roles.length > 0;
+
+      for (const method of Object.keys(methods).filter((m) => m !== '_all')) {
+        const note = annotations[`${method} ${path}`] || {};
+        const needsAuth = secured || note.secured || restricted || handlers.includes(verifyToken);
+        const fullPath = toOpenApiPath(`${prefix}${path === '/' ? '' : path}`) || '/';
+
+        const description = [
+          note.description,
+          roles.length > 0 ? `Only for ${roles.map((r) => `\`${r}\``).join(', ')} accounts.` : null,
+          permissions.length > 0 ? `Requires permission ${permissions.map((p) => `\`${p}\``).join(', ')}.` : null,
+        ].filter(Boolean).join('\n\n');
+
+        paths[fullPath] = paths[fullPath] || {};
+        paths[fullPath][method] = {
+          tags: [tag],
+          operationId: operationId(method, fullPath),
+          summary: note.summary || `${method.toUpperCase()} ${fullPath}`,
+          ...(description ? { description } : {}),
+          parameters: [...pathParams(path), ...(note.parameters || [])],
+          ...(note.requestBody ? { requestBody: note.requestBody } : {}),
+          responses: {
+            ...(note.responses || { 200: { description: 'Success' } }),
+            ...(needsAuth ? { 401: { description: 'Missing or invalid access token' } } : {}),
+            ...(restricted ? { 403: { description: roles.length > 0 ? 'Role not allowed or lacks the required permission' : 'Role lacks the required permission' } } : {}),
+          },
+          ...(needsAuth ? { security: [{ bearerAuth: [] }] } : {}),
+          ...(permissions.length > 0 ? { 'x-permissions': permissions } : {}),
+          ...(roles.length > 0 ? { 'x-roles': roles } : {}),
+        };
+      }
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Nazdeeki API',
+      version: require('../../package.json').version,
+      description: 'Generated from the mounted routers and the live schema metadata.',
+    },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    tags,
+    paths,
+    components: {
+      securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } },
+      schemas,
+    },
+  };
+}
+
+// Swagger UI page pointed at specUrl, loading the swagger-ui-dist assets served under assetsUrl
+const docsPage = (specUrl, assetsUrl) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Nazdeeki API docs</title>
+  <link rel="stylesheet" href="${assetsUrl}/swagger-ui.css" />
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${assetsUrl}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+
+module.exports = { documentRouter, buildOpenApiSpec, docsPage, jsonBody, imageUpload, jsonResponse };
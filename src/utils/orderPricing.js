@@ -0,0 +1,198 @@
+const { loadOptions, toCents } = require('./menuOptions');
+const { availabilityError } = require('./menuStock');
+const { scheduleAt } = require('./menuSchedule');
+const { isId } = require('./menuSections');
+
+// -----------------------------------------------------------------------------
+// Order pricing
+// -----------------------------------------------------------------------------
+// Prices a cart against the current menu: every line names an item of one
+// restaurant, optionally a variant and add-ons. Prices always come from the
+// database (item_price + variant delta + add-on deltas), never from the client.
+// Items must be available in the total quantity ordered (see menuStock.js) and
+// served right now by the restaurant's hours and menu schedules (see menuSchedule.js).
+// Amounts are summed in cents to avoid floating point drift.
+
+const MAX_LINES = 50;
+const MAX_QUANTITY = 99;
+
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+// Variant for a line: the requested one, else the item's default; null when the item has none
+function resolveVariant(item, variants, variantId) {
+  if (variants.length === 0) {
+    return variantId === undefined || variantId === null
+      ? { variant: null }
+      : { error: `'${item.item_name}' has no variants` };
+  }
+  if (variantId === undefined || variantId === null) {
+    const fallback = variants.find((v) => v.is_default);
+    return fallback ? { variant: fallback } : { error: `Choose a variant for '${item.item_name}'` };
+  }
+  const variant = variants.find((v) => Number(v.variant_id) === Number(variantId));
+  return variant ? { variant } : { error: `Variant ${variantId} is not offered for '${item.item_name}'` };
+}
+
+// Chosen add-ons checked against each group's min/max
+function resolveAddons(item, groups, addonIds) {
+  const chosen = [];
+  const byId = new Map();
+  for (const group of groups) {
+    for (const addon of group.addons) byId.set(Number(addon.addon_id), { group, addon });
+  }
+
+  for (const id of addonIds) {
+    const match = byId.get(Number(id));
+    if (!match) return { error: `Add-on ${id} is not offered for '${item.item_name}'` };
+    if (chosen.some((c) => c.addon === match.addon)) return { error: `Add-on ${id} was chosen more than once` };
+    chosen.push(match);
+  }
+
+  for (const group of groups) {
+    const count = chosen.filter((c) => c.group === group).length;
+    if (count < group.min_select) {
+      return { error: `Choose at least ${group.min_select} from '${group.group_name}' for '${item.item_name}'` };
+    }
+    if (group.max_select !== null && count > group.max_select) {
+      return { error: `Choose at most ${group.max_select} from '${group.group_name}' for '${item.item_name}'` };
+    }
+  }
+  return { chosen };
+}
+
+/**
+ * Price a cart for one restaurant
+ * @param {object} db - AppDataSource or QueryRunner
+ * @param {string} restId - Restaurant (seller_id) the order is placed with
+ * @param {Array<{ itemId: number, quantity?: number, variantId?: number, addonIds?: number[] }>} lines
+ * @param {{ forUpdate?: boolean }} [options] - forUpdate locks the menu rows until the transaction ends
+ * @returns {Promise<{ errors: Array<{ index: number|null, error: string }> } | { lines: object[], total: string }>}
+ *   lines hold item_id, quantity, variant_id, unit_price, line_total and a customizations snapshot
+ */
+async function priceOrder(db, restId, lines, { forUpdate = false } = {}) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { errors: [{ index: null, error: 'items must be a non-empty array' }] };
+  }
+  if (lines.length > MAX_LINES) {
+    return { errors: [{ index: null, error: `An order may contain at most ${MAX_LINES} lines` }] };
+  }
+
+  const errors = [];
+  lines.forEach((line, index) => {
+    if (!line || !isId(line.itemId)) errors.push({ index, error: 'itemId must be an integer' });
+    const quantity = line?.quantity ?? 1;
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      errors.push({ index, error: `quantity must be between 1 and ${MAX_QUANTITY}` });
+    }
+    if (line?.variantId !== undefined && line.variantId !== null && !isId(line.variantId)) {
+      errors.push({ index, error: 'variantId must be an integer' });
+    }
+    if (line?.addonIds !== undefined && (!Array.isArray(line.addonIds) || !line.addonIds.every(isId))) {
+      errors.push({ index, error: 'addonIds must be an array of integers' });
+    }
+  });
+  if (errors.length > 0) return { errors };
+
+  const sellers = await db.query(
+    'SELECT seller_id, account_status, opening_time, closing_time FROM sellers WHERE seller_id = $1 AND deleted_at IS NULL',
+    [restId]
+  );
+  if (sellers.length === 0) return { errors: [{ index: null, error: 'Restaurant not found' }] };
+  if (sellers[0].account_status === 'suspended') {
+    return { errors: [{ index: null, error: 'Restaurant is not accepting orders' }] };
+  }
+  const schedule = await scheduleAt(db, sellers[0]);
+  if (!schedule.open) return { errors: [{ index: null, error: 'Restaurant is closed right now' }] };
+
+  const itemIds = [...new Set(lines.map((line) => Number(line.itemId)))];
+  const items = await db.query(
+    `SELECT * FROM menu WHERE item_id = ANY($1) AND rest_id = $2 AND deleted_at IS NULL${forUpdate ? ' ORDER BY item_id FOR UPDATE' : ''}`,
+    [itemIds, restId]
+  );
+  const itemsById = new Map(items.map((item) => [Number(item.item_id), item]));
+  const options = await loadOptions(db, items.map((item) => item.item_id));
+
+  // Stock is checked against everything ordered of an item, across its lines
+  const ordered = new Map();
+  for (const line of lines) {
+    const id = Number(line.itemId);
+    ordered.set(id, (ordered.get(id) || 0) + (line.quantity ?? 1));
+  }
+  const checked = new Set();
+
+  const priced = [];
+  let totalCents = 0;
+  lines.forEach((line, index) => {
+    const item = itemsById.get(Number(line.itemId));
+    if (!item) {
+      errors.push({ index, error: `Item ${line.itemId} is not on this restaurant's menu` });
+      return;
+    }
+    if (item.item_price === null || item.item_price === undefined) {
+      errors.push({ index, error: `'${item.item_name}' has no price` });
+      return;
+    }
+    if (!schedule.isScheduled(item)) {
+      errors.push({ index, error: `'${item.item_name}' is not served at this time` });
+      return;
+    }
+    if (!checked.has(Number(item.item_id))) {
+      checked.add(Number(item.item_id));
+      const unavailable = availabilityError(item, ordered.get(Number(item.item_id)));
+      if (unavailable) {
+        errors.push({ index, error: unavailable });
+        return;
+      }
+    }
+    const { variants, addonGroups } = options.get(Number(item.item_id));
+
+    const variantChoice = resolveVariant(item, variants, line.variantId);
+    if (variantChoice.error) {
+      errors.push({ index, error: variantChoice.error });
+      return;
+    }
+    const addonChoice = resolveAddons(item, addonGroups, line.addonIds || []);
+    if (addonChoice.error) {
+      errors.push({ index, error: addonChoice.error });
+      return;
+    }
+
+    const { variant } = variantChoice;
+    const unitCents = toCents(item.item_price)
+      + (variant ? toCents(variant.price_delta) : 0)
+      + addonChoice.chosen.reduce((sum, { addon }) => sum + toCents(addon.price_delta), 0);
+    if (unitCents < 0) {
+      errors.push({ index, error: `'${item.item_name}' is priced below zero` });
+      return;
+    }
+
+    const quantity = line.quantity ?? 1;
+    totalCents += unitCents * quantity;
+    priced.push({
+      item_id: item.item_id,
+      item_name: item.item_name,
+      quantity,
+      variant_id: variant ? variant.variant_id : null,
+      unit_price: fromCents(unitCents),
+      line_total: fromCents(unitCents * quantity),
+      // Snapshot of what was chosen and at what price, kept on the order line
+      customizations: {
+        base_price: fromCents(toCents(item.item_price)),
+        variant: variant
+          ? { variant_id: variant.variant_id, variant_name: variant.variant_name, price_delta: fromCents(toCents(variant.price_delta)) }
+          : null,
+        addons: addonChoice.chosen.map(({ group, addon }) => ({
+          addon_id: addon.addon_id,
+          addon_name: addon.addon_name,
+          group_name: group.group_name,
+          price_delta: fromCents(toCents(addon.price_delta)),
+        })),
+      },
+    });
+  });
+
+  if (errors.length > 0) return { errors };
+  return { lines: priced, total: fromCents(totalCents) };
+}
+
+module.exports = { priceOrder, MAX_LINES, MAX_QUANTITY };
@@ -0,0 +1,298 @@
+const { coerceValue } = require('./rowValidator');
+
+// -----------------------------------------------------------------------------
+// List queries for the generic table routers: filtering, sorting, pagination
+// -----------------------------------------------------------------------------
+// Query string format:
+//   ?status=active                 equality
+//   ?price[gte]=100&price[lt]=500  range (gt, gte, lt, lte, ne)
+//   ?rest_id[in]=a,b               any of a comma-separated list
+//   ?deleted_at[null]=true         IS NULL / IS NOT NULL
+//   ?sort=-created_at,name         multi-column sort, `-` for descending
+//   ?limit=50&offset=100           offset pagination
+//   ?limit=50&cursor=<nextCursor>  keyset pagination (cursor from the previous page; only
+//                                  for tables whose key is a declared primary key)
+//   ?include=menu                  reserved for relation expansion (utils/relations.js)
+// Every column must be a known column of the table (from utils/schemaLoader.js),
+// and filter values must fit its type (utils/rowValidator.js) or the request is a 400.
+
+const RESERVED_PARAMS = ['sort', 'limit', 'offset', 'cursor', 'include'];
+
+const COMPARISON_OPERATORS = {
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+};
+
+const MAX_LIMIT = 500;
+
+// Cursors hold the sort columns as Postgres prints them (::text) and are compared
+// as such, so timestamps keep their microseconds and no time zone is applied
+const cursorAlias = (i) => `_cursor_${i}`;
+
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(values) && values.every((v) => v === null || typeof v === 'string') ? values : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Split the query string into filters: [{ column, op, value }]
+ * Accepts both `price[gte]=1` keys (Express 5 simple parser) and nested objects.
+ */
+function parseFilters(query) {
+  const filters = [];
+  for (const [key, raw] of Object.entries(query)) {
+    if (RESERVED_PARAMS.includes(key)) continue;
+
+    const bracket = key.match(/^([^[\]]+)\[([a-z]+)\]$/);
+    if (bracket) {
+      filters.push({ column: bracket[1], op: bracket[2], value: raw });
+    } else if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+      for (const [op, value] of Object.entries(raw)) filters.push({ column: key, op, value });
+    } else {
+      filters.push({ column: key, op: 'eq', value: raw });
+    }
+  }
+  return filters;
+}
+
+/**
+ * Parse `sort=-a,b` into [{ column, direction }], always ending with the
+ * primary key(s) so the order is stable and usable as a cursor.
+ */
+function parseSort(sortParam, primaryKeys) {
+  const sort = [];
+  if (sortParam) {
+    for (const part of String(sortParam).split(',').map((p) => p.trim()).filter(Boolean)) {
+      const descending = part.startsWith('-');
+      sort.push({ column: descending ? part.slice(1) : part, direction: descending ? 'DESC' : 'ASC' });
+    }
+  }
+  for (const key of primaryKeys) {
+    if (!sort.some((s) => s.column === key)) sort.push({ column: key, direction: 'ASC' });
+  }
+  return sort;
+}
+
+/**
+ * Condition selecting rows after the cursor position for the given sort.
+ * Follows PostgreSQL's default NULL ordering (NULLS LAST for ASC, NULLS FIRST for DESC).
+ */
+function cursorCondition(sort, values, addParam) {
+  const after = ({ column, direction }, value) => {
+    if (direction === 'ASC') return `(${column} > ${addParam(value)} OR ${column} IS NULL)`;
+    return value === null ? `${column} IS NOT NULL` : `${column} < ${addParam(value)}`;
+  };
+  const equal = ({ column }, value) => (value === null ? `${column} IS NULL` : `${column} = ${addParam(value)}`);
+
+  const branches = [];
+  sort.forEach((field, i) => {
+    if (field.direction === 'ASC' && values[i] === null) return; // nothing sorts after NULL
+    const prefix = sort.slice(0, i).map((prev, j) => equal(prev, values[j]));
+    branches.push(`(${[...prefix, after(field, values[i])].join(' AND ')})`);
+  });
+  return branches.length > 0 ? `(${branches.join(' OR ')})` : 'FALSE';
+}
+
+/**
+ * Build the SELECT and COUNT queries for a list request.
+ * @param {object} options
+ * @param {string} options.tableName
+ * @param {string[]} options.columns - Allowed columns (schema metadata)
+ * @param {object} [options.columnInfo] - Column types (schema metadata) that filter values are coerced to
+ * @param {string[]} options.primaryKeys - Tie-breaker columns for stable ordering
+ * @param {boolean} [options.uniqueKey] - Whether primaryKeys identify one row; cursors need it
+ * @param {object} options.query - req.query
+ * @param {{ sql: string, params: any[] }[]} [options.conditions] - Extra conditions (e.g. ownership scope) using $1..$n
+ * @param {number} [options.defaultLimit]
+ * @returns {{ error: string } | { sql: string, unpagedSql: string, params: any[], countSql: string, countParams: any[], limit: number, offset: number, sort: object[] }}
+ */
+function buildListQuery({ tableName, columns, columnInfo = {}, primaryKeys, uniqueKey = true, query, conditions = [], defaultLimit = 100 }) {
+  const params = [];
+  // Filter value as the column's type; only the type matters, so no length or precision limits.
+  // Array columns are compared against a Postgres array literal from the query string.
+  const filterValue = (column, value) => {
+    const dataType = columnInfo[column]?.dataType;
+    return dataType && dataType !== 'array' ? coerceValue(dataType, value) : { value };
+  };
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const where = [];
+
+  // Fixed conditions number their own placeholders from $1
+  for (const condition of conditions) {
+    const offsetBy = params.length;
+    where.push(condition.sql.replace(/\$(\d+)/g, (_, n) => `$${Number(n) + offsetBy}`));
+    params.push(...condition.params);
+  }
+
+  for (const { column, op, value } of parseFilters(query)) {
+    if (!columns.includes(column)) return { error: `Unknown filter column '${column}'` };
+    if (Array.isArray(value)) return { error: `Filter '${column}' was given more than once` };
+
+    if (op === 'in') {
+      const list = String(value).split(',').map((v) => v.trim()).filter((v) => v !== '');
+      if (list.length === 0) return { error: `Filter '${column}[in]' needs at least one value` };
+      const coerced = list.map((item) => filterValue(column, item));
+      const invalid = coerced.find((result) => result.error);
+      if (invalid) return { error: `Filter '${column}[in]' values ${invalid.error}` };
+      where.push(`${column} = ANY(${addParam(coerced.map((result) => result.value))})`);
+    } else if (op === 'null') {
+      if (!['true', 'false'].includes(String(value))) return { error: `Filter '${column}[null]' must be true or false` };
+      where.push(`${column} IS ${String(value) === 'true' ? '' : 'NOT '}NULL`);
+    } else if (COMPARISON_OPERATORS[op]) {
+      const coerced = filterValue(column, value);
+      if (coerced.error) return { error: `Filter '${column}' ${coerced.error}` };
+      where.push(`${column} ${COMPARISON_OPERATORS[op]} ${addParam(coerced.value)}`);
+    } else {
+      return { error: `Unsupported filter operator '${op}' on '${column}'` };
+    }
+  }
+
+  const sort = parseSort(query.sort, primaryKeys);
+  const unknownSort = sort.find((s) => !columns.includes(s.column));
+  if (unknownSort) return { error: `Unknown sort column '${unknownSort.column}'` };
+
+  const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+  const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+  if (!Number.isInteger(offset) || offset < 0) return { error: 'offset must be a non-negative integer' };
+
+  // Totals ignore the cursor position
+  const countWhere = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  const countSql = `SELECT COUNT(*)::int AS total FROM ${tableName} ${countWhere}`;
+  const countParams = [...params];
+
+  if (query.cursor) {
+    if (!uniqueKey) return { error: `${tableName} has no primary key to page by; use offset` };
+    const values = decodeCursor(query.cursor);
+    if (!values || values.length !== sort.length) return { error: 'Invalid cursor' };
+    where.push(cursorCondition(sort, values, addParam));
+  }
+
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  const orderSql = sort.map((s) => `${s.column} ${s.direction}`).join(', ');
+  // One extra row tells us whether there is a next page
+  const pageSql = query.cursor ? `LIMIT ${limit + 1}` : `LIMIT ${limit + 1} OFFSET ${offset}`;
+  const cursorSql = uniqueKey ? `, ${sort.map(({ column }, i) => `${column}::text AS ${cursorAlias(i)}`).join(', ')}` : '';
+  const unpagedSql = `SELECT *${cursorSql} FROM ${tableName} ${whereSql} ORDER BY ${orderSql}`;
+  const sql = `${unpagedSql} ${pageSql}`;
+
+  return { sql, unpagedSql, params, countSql, countParams, limit, offset: query.cursor ? null : offset, sort, uniqueKey };
+}
+
+/**
+ * Split a fetched page (limit + 1 rows) into the rows to return and the cursor
+ * of the page after it, removing the cursor columns from the rows
+ * @param {object[]} rows
+ * @param {{ limit: number, sort: object[], uniqueKey: boolean }} built - Result of buildListQuery
+ * @returns {{ data: object[], nextCursor: string|null }}
+ */
+function takePage(rows, built) {
+  const hasMore = rows.length > built.limit;
+  const page = hasMore ? rows.slice(0, built.limit) : rows;
+  if (!built.uniqueKey) return { data: page, nextCursor: null };
+
+  const data = page.map((row) => {
+    const copy = { ...row };
+    built.sort.forEach((_, i) => delete copy[cursorAlias(i)]);
+    return copy;
+  });
+  const last = page[page.length - 1];
+  const nextCursor = hasMore && last ? encodeCursor(built.sort.map((_, i) => last[cursorAlias(i)] ?? null)) : null;
+  return { data, nextCursor };
+}
+
+/**
+ * Run a list query and shape the paginated response body.
+ * @param {object} db - AppDataSource
+ * @param {object} options - Same as buildListQuery
+ * @returns {Promise<{ error: string } | { body: object }>}
+ */
+async function runListQuery(db, options) {
+  const built = buildListQuery(options);
+  if (built.error) return built;
+
+  const [rows, countRows] = await Promise.all([
+    db.query(built.sql, built.params),
+    db.query(built.countSql, built.countParams),
+  ]);
+
+  const { data, nextCursor } = takePage(rows, built);
+
+  return {
+    body: {
+      success: true,
+      data,
+      count: data.length,
+      total: countRows[0].total,
+      limit: built.limit,
+      offset: built.offset,
+      nextCursor,
+    },
+  };
+}
+
+/**
+ * Walk every row matching a list query, one page at a time, so exports never
+ * hold more than a page in memory. limit/offset/cursor in the query are ignored.
+ * Tables with a unique key are paged by keyset; the rest are read through a
+ * server-side cursor, since rows that tie on every sort column cannot be resumed after.
+ * @param {object} db - AppDataSource
+ * @param {object} options - Same as buildListQuery
+ * @param {number} [pageSize]
+ * @returns {{ error: string } | { pages: AsyncGenerator<object[]> }}
+ */
+function listPages(db, options, pageSize = MAX_LIMIT) {
+  const { limit, offset, cursor, ...query } = options.query;
+  const first = buildListQuery({ ...options, query: { ...query, limit: pageSize } });
+  if (first.error) return first;
+
+  async function* cursorPages() {
+    const queryRunner = db.createQueryRunner();
+    await queryRunner.connect();
+    try {
+      await queryRunner.startTransaction();
+      await queryRunner.query(`DECLARE export_rows NO SCROLL CURSOR FOR ${first.unpagedSql}`, first.params);
+      while (true) {
+        const rows = await queryRunner.query(`FETCH ${pageSize} FROM export_rows`);
+        if (rows.length > 0) yield rows;
+        if (rows.length < pageSize) break;
+      }
+      await queryRunner.query('CLOSE export_rows');
+      await queryRunner.commitTransaction();
+    } finally {
+      // Also reached when the consumer stops early: the open cursor goes with the rollback
+      if (queryRunner.isTransactionActive) await queryRunner.rollbackTransaction();
+      await queryRunner.release();
+    }
+  }
+
+  async function* keysetPages() {
+    let built = first;
+    while (true) {
+      const rows = await db.query(built.sql, built.params);
+      const { data, nextCursor } = takePage(rows, built);
+      if (data.length > 0) yield data;
+      if (!nextCursor) return;
+
+      built = buildListQuery({ ...options, query: { ...query, limit: pageSize, cursor: nextCursor } });
+    }
+  }
+  return { pages: first.uniqueKey ? keysetPages() : cursorPages() };
+}
+
+module.exports = { buildListQuery, runListQuery, listPages, RESERVED_PARAMS };
@@ -0,0 +1,138 @@
+const { getSchemaTables, getReferencingRelations } = require('./schemaLoader');
+const { SOFT_REFERENCES, OWNED_ROWS } = require('./deletePlanner');
+
+// -----------------------------------------------------------------------------
+// Relation expansion (`include=`) for generic reads
+// -----------------------------------------------------------------------------
+// A table's relations come from foreign keys (schemaLoader's foreignKeys and
+// referencesMap) plus the soft references the delete planner knows about.
+// Each is named after the related table: rows this table points at embed as
+// one object, rows pointing at this table embed as an array.
+//   GET /api/sellers?include=addresses,menu
+//   GET /api/orders/5?include=order_list.menu
+// Every relation at every level is fetched with one `= ANY($1)` query.
+
+const MAX_INCLUDE_DEPTH = 2;
+const MAX_INCLUDES = 10;
+
+/**
+ * Relations of a table keyed by name. Foreign keys win over soft references
+ * when both connect the same pair of tables.
+ * @param {string} table
+ * @returns {{ [name: string]: { table: string, localColumn: string, remoteColumn: string, many: boolean } }}
+ */
+function getRelations(table) {
+  const relations = {};
+  const add = (name, relation) => {
+    if (!relations[name]) relations[name] = relation;
+  };
+
+  for (const fk of getSchemaTables()[table]?.foreignKeys || []) {
+    if (fk.columns.length !== 1) continue; // composite foreign keys are not expanded
+    add(fk.referencesTable, { table: fk.referencesTable, localColumn: fk.columns[0], remoteColumn: fk.referencesColumns[0], many: false });
+  }
+  for (const rel of getReferencingRelations(table)) {
+    add(rel.table, { table: rel.table, localColumn: rel.referencesColumn, remoteColumn: rel.column, many: true });
+  }
+
+  for (const rel of SOFT_REFERENCES[table] || []) {
+    add(rel.table, { table: rel.table, localColumn: rel.referencesColumn, remoteColumn: rel.column, many: true });
+  }
+  for (const rule of OWNED_ROWS[table] || []) {
+    add(rule.table, { table: rule.table, localColumn: rule.column, remoteColumn: rule.referencesColumn, many: false });
+  }
+  for (const [parent, rels] of Object.entries(SOFT_REFERENCES)) {
+    for (const rel of rels.filter((r) => r.table === table)) {
+      add(parent, { table: parent, localColumn: rel.column, remoteColumn: rel.referencesColumn, many: false });
+    }
+  }
+  for (const [owner, rules] of Object.entries(OWNED_ROWS)) {
+    for (const rule of rules.filter((r) => r.table === table)) {
+      add(owner, { table: owner, localColumn: rule.referencesColumn, remoteColumn: rule.column, many: true });
+    }
+  }
+
+  return relations;
+}
+
+/**
+ * Parse an include parameter into a tree of relations
+ * @param {string} table - Table the include starts from
+ * @param {string|string[]|undefined} include - e.g. 'addresses,menu.order_list'
+ * @returns {{ tree: object } | { error: string }} tree maps relation name → { relation, children }
+ */
+function parseInclude(table, include) {
+  const tree = {};
+  if (include === undefined || include === '') return { tree };
+  if (typeof include !== 'string') return { error: 'include was given more than once' };
+
+  const paths = include.split(',').map((p) => p.trim()).filter(Boolean);
+  if (paths.length > MAX_INCLUDES) return { error: `include may name at most ${MAX_INCLUDES} relations` };
+
+  for (const path of paths) {
+    const names = path.split('.');
+    if (names.length > MAX_INCLUDE_DEPTH) {
+      return { error: `include '${path}' is nested deeper than ${MAX_INCLUDE_DEPTH} levels` };
+    }
+
+    let level = tree;
+    let from = table;
+    for (const name of names) {
+      const relation = getRelations(from)[name];
+      if (!relation) return { error: `Unknown relation '${name}' on '${from}'` };
+      if (!level[name]) level[name] = { relation, children: {} };
+      level = level[name].children;
+      from = relation.table;
+    }
+  }
+  return { tree };
+}
+
+/**
+ * Embed related rows into `rows` (in place), one query per relation per level
+ * @param {object} db - AppDataSource or QueryRunner
+ * @param {object[]} rows
+ * @param {object} tree - From parseInclude
+ * @param {(table: string) => { conditions: { sql: string, params: any[] }[] } | { error: string }} authorize
+ *   Extra conditions (using $1..$n) limiting what the caller may see of a related table, or why it may not
+ * @returns {Promise<{ error?: string }>}
+ */
+async function expandRelations(db, rows, tree, authorize) {
+  for (const [name, { relation, children }] of Object.entries(tree)) {
+    const access = authorize(relation.table);
+    if (access.error) return { error: access.error };
+
+    const values = [...new Set(rows.map((row) => row[relation.localColumn]).filter((v) => v !== null && v !== undefined))];
+    let related = [];
+    if (values.length > 0) {
+      const params = [values];
+      const where = [`${relation.remoteColumn} = ANY($1)`];
+      // Access conditions number their own placeholders from $1
+      for (const condition of access.conditions) {
+        const offsetBy = params.length;
+        where.push(condition.sql.replace(/\$(\d+)/g, (_, n) => `$${Number(n) + offsetBy}`));
+        params.push(...condition.params);
+      }
+      related = await db.query(`SELECT * FROM ${relation.table} WHERE ${where.join(' AND ')}`, params);
+    }
+
+    if (Object.keys(children).length > 0 && related.length > 0) {
+      const nested = await expandRelations(db, related, children, authorize);
+      if (nested.error) return nested;
+    }
+
+    const byValue = new Map();
+    for (const child of related) {
+      const value = String(child[relation.remoteColumn]);
+      if (!byValue.has(value)) byValue.set(value, []);
+      byValue.get(value).push(child);
+    }
+    for (const row of rows) {
+      const matches = byValue.get(String(row[relation.localColumn])) || [];
+      row[name] = relation.many ? matches : matches[0] || null;
+    }
+  }
+  return {};
+}
+
+module.exports = { MAX_INCLUDE_DEPTH, getRelations, parseInclude, expandRelations };
@@ -0,0 +1,82 @@
+const { getSchemaTables } = require('./schemaLoader');
+
+// -----------------------------------------------------------------------------
+// Row keys for the generic table routers
+// -----------------------------------------------------------------------------
+// A key is an object of primary key column → value. Single-column keys keep the
+// `/:id` route; composite keys get one path segment per column in key order,
+// e.g. /api/likes/:user_id/:rest_id.
+
+// Generated ids are INTEGER columns; larger values would make Postgres reject the query
+const MAX_ID = 2147483647;
+
+/**
+ * Whether value is a row id: a non-negative integer, or a string of digits, within INTEGER range
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isId = (value) => (Number.isInteger(value) || (typeof value === 'string' && /^\d{1,10}$/.test(value)))
+  && Number(value) >= 0 && Number(value) <= MAX_ID;
+
+/**
+ * Primary key columns of a table, taken from the schema when it declares them
+ * @param {string} table
+ * @param {string|string[]} fallback - Configured key used when the schema has none
+ * @returns {string[]}
+ */
+function keyColumnsFor(table, fallback) {
+  const fromSchema = getSchemaTables()[table]?.primaryKeys;
+  if (fromSchema && fromSchema.length > 0) return fromSchema;
+  return Array.isArray(fallback) ? fallback : [fallback];
+}
+
+/**
+ * Whether a table's key columns are a declared primary key, so they identify
+ * one row. A configured fallback key may repeat (e.g. order lines keyed by order).
+ * @param {string} table
+ * @returns {boolean}
+ */
+function hasUniqueKey(table) {
+  return (getSchemaTables()[table]?.primaryKeys?.length || 0) > 0;
+}
+
+// Express route path addressing one row
+const keyPath = (columns) => (columns.length === 1 ? '/:id' : columns.map((c) => `/:${c}`).join(''));
+
+// Key object from req.params for a route built with keyPath
+const keyFromParams = (columns, params) => (columns.length === 1
+  ? { [columns[0]]: params.id }
+  : Object.fromEntries(columns.map((c) => [c, params[c]])));
+
+/**
+ * Key from a request body: `id` for single-column keys, otherwise a `key`
+ * object naming every key column
+ * @param {string[]} columns
+ * @param {{ id?: any, key?: object }} input
+ * @returns {object|null} null when the key is missing or incomplete
+ */
+function keyFromInput(columns, input) {
+  if (columns.length === 1 && input?.id !== undefined && input.id !== null) {
+    return { [columns[0]]: input.id };
+  }
+  const given = input?.key;
+  if (!given || typeof given !== 'object') return null;
+  if (columns.some((c) => given[c] === undefined || given[c] === null)) return null;
+  return Object.fromEntries(columns.map((c) => [c, given[c]]));
+}
+
+/**
+ * SQL condition matching one row by key
+ * @param {object} key - Column → value
+ * @param {number} paramIndex - Placeholder number for the first key column
+ * @returns {{ sql: string, params: any[] }}
+ */
+function keyCondition(key, paramIndex) {
+  const columns = Object.keys(key);
+  return {
+    sql: columns.map((c, i) => `${c} = $${paramIndex + i}`).join(' AND '),
+    params: columns.map((c) => key[c]),
+  };
+}
+
+module.exports = { isId, keyColumnsFor, hasUniqueKey, keyPath, keyFromParams, keyFromInput, keyCondition };
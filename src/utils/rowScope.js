@@ -0,0 +1,76 @@
+const { ROLES } = require('../configs/roles');
+
+// -----------------------------------------------------------------------------
+// Row-level ownership for the generic table routers
+// -----------------------------------------------------------------------------
+// An ownership map goes from role to rule. A rule is either the column holding
+// the owner's id (e.g. `rest_id`) or `{ column, via: { table, column, ownerColumn } }`
+// when ownership is recorded on a parent row (order_list → orders.user_id).
+// Roles without a rule are not scoped; admins are never scoped.
+
+/**
+ * Resolve the scope a caller is limited to on one table
+ * @param {object} [ownership] - Role → rule map from the table config
+ * @param {object} user - Access token payload (req.user)
+ * @returns {null|{ column: string, ownerId: string|number, via?: object }} null when unrestricted
+ */
+function resolveScope(ownership, user) {
+  if (!ownership || !user || user.role === ROLES.ADMIN) return null;
+  const rule = ownership[user.role];
+  if (!rule) return null;
+  const normalized = typeof rule === 'string' ? { column: rule } : rule;
+  return { ...normalized, ownerId: user.userId };
+}
+
+/**
+ * SQL condition limiting rows to a scope
+ * @param {object} scope - Result of resolveScope
+ * @param {number} paramIndex - Placeholder number to use for the owner id
+ * @returns {{ sql: string, params: any[] }}
+ */
+function scopeCondition(scope, paramIndex) {
+  if (!scope.via) {
+    return { sql: `${scope.column} = $${paramIndex}`, params: [scope.ownerId] };
+  }
+  const { table, column, ownerColumn } = scope.via;
+  return {
+    sql: `${scope.column} IN (SELECT ${column} FROM ${table} WHERE ${ownerColumn} = $${paramIndex})`,
+    params: [scope.ownerId],
+  };
+}
+
+/**
+ * Keep a row being written inside the caller's scope. On create, a direct
+ * owner column is filled in from the token when the body leaves it out.
+ * @param {object} db - AppDataSource or QueryRunner
+ * @param {object} scope - Result of resolveScope
+ * @param {object} body - Request body
+ * @param {{ isCreate: boolean }} options
+ * @returns {Promise<{ body: object, error?: string }>}
+ */
+async function applyScopeToWrite(db, scope, body, { isCreate }) {
+  const value = body[scope.column];
+
+  if (!scope.via) {
+    if (value !== undefined && String(value) !== String(scope.ownerId)) {
+      return { body, error: `Cannot write ${scope.column} for another owner` };
+    }
+    return isCreate ? { body: { ...body, [scope.column]: scope.ownerId } } : { body };
+  }
+
+  if (value === undefined) {
+    return isCreate ? { body, error: `${scope.column} is required` } : { body };
+  }
+  const { table, column, ownerColumn } = scope.via;
+  // Compared as text so a malformed id is simply "not yours" (the body is validated afterwards)
+  const rows = await db.query(
+    `SELECT 1 FROM ${table} WHERE ${column}::text = $1::text AND ${ownerColumn} = $2`,
+    [value, scope.ownerId]
+  );
+  if (rows.length === 0) {
+    return { body, error: `Cannot write ${scope.column} for another owner` };
+  }
+  return { body };
+}
+
+module.exports = { resolveScope, scopeCondition, applyScopeToWrite };
@@ -0,0 +1,160 @@
+// -----------------------------------------------------------------------------
+// Schema-driven validation for generic table writes
+// -----------------------------------------------------------------------------
+// Body keys must be known columns, NOT NULL columns cannot be set to null (or
+// left out on create when the column has no default), and values are coerced
+// to what node-postgres should send for the column's Postgres type and checked
+// against its limits (integer range, varchar length, numeric precision), so
+// nothing Postgres would reject reaches it.
+
+const INTEGER_TYPES = ['smallint', 'integer', 'bigint'];
+const INTEGER_RANGES = {
+  smallint: [-32768n, 32767n],
+  integer: [-2147483648n, 2147483647n],
+  bigint: [-9223372036854775808n, 9223372036854775807n],
+};
+const FLOAT_TYPES = ['real', 'double precision'];
+const TEXT_TYPES = ['text', 'character varying', 'character', 'varchar', 'char', 'citext'];
+const TIMESTAMP_TYPES = ['date', 'timestamp without time zone', 'timestamp with time zone'];
+const TIME_TYPES = ['time without time zone', 'time with time zone'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?([+-]\d{2}(:?\d{2})?)?$/;
+
+// Integer text within the range of an integer type
+function integerInRange(dataType, text) {
+  const [min, max] = INTEGER_RANGES[dataType];
+  const n = BigInt(text);
+  return n >= min && n <= max;
+}
+
+/**
+ * Coerce one value for a Postgres data type
+ * @param {string} dataType
+ * @param {any} value
+ * @param {{ maxLength?: number|null, precision?: number|null, scale?: number|null }} [limits] - From schemaLoader's columnInfo
+ * @returns {{ value: any } | { error: string }}
+ */
+function coerceValue(dataType, value, { maxLength = null, precision = null, scale = null } = {}) {
+  if (INTEGER_TYPES.includes(dataType)) {
+    const text = typeof value === 'number' && Number.isInteger(value) ? BigInt(value).toString()
+      : typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? value.trim() : null;
+    if (text === null) return { error: 'must be an integer' };
+    if (!integerInRange(dataType, text)) {
+      const [min, max] = INTEGER_RANGES[dataType];
+      return { error: `must be between ${min} and ${max}` };
+    }
+    if (typeof value === 'number') return { value };
+    // bigint values beyond 2^53 stay strings so no precision is lost
+    return { value: Number.isSafeInteger(Number(text)) ? Number(text) : text };
+  }
+
+  if (dataType === 'numeric' || FLOAT_TYPES.includes(dataType)) {
+    const asNumber = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof asNumber !== 'number' || !Number.isFinite(asNumber)) return { error: 'must be a number' };
+    if (dataType === 'numeric' && precision !== null) {
+      // Postgres rounds extra decimals to the scale but rejects too many digits before the point
+      const digits = precision - (scale || 0);
+      if (Math.abs(Number(asNumber.toFixed(Math.min(scale || 0, 100)))) >= 10 ** digits) {
+        return { error: digits > 0 ? `must have at most ${digits} digit(s) before the decimal point` : 'must be less than 1 in magnitude' };
+      }
+    }
+    // numeric keeps its string form to preserve precision
+    return { value: dataType === 'numeric' && typeof value === 'string' ? value.trim() : asNumber };
+  }
+
+  if (dataType === 'boolean') {
+    if (typeof value === 'boolean') return { value };
+    if (value === 'true' || value === '1' || value === 1) return { value: true };
+    if (value === 'false' || value === '0' || value === 0) return { value: false };
+    return { error: 'must be a boolean' };
+  }
+
+  if (TEXT_TYPES.includes(dataType)) {
+    if (typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean') return { error: 'must be a string' };
+    const text = String(value);
+    // Lengths count characters, as Postgres does, not UTF-16 units
+    if (maxLength !== null && [...text].length > maxLength) return { error: `must be at most ${maxLength} characters` };
+    return { value: text };
+  }
+
+  if (dataType === 'uuid') {
+    return typeof value === 'string' && UUID_PATTERN.test(value) ? { value } : { error: 'must be a UUID' };
+  }
+
+  if (TIMESTAMP_TYPES.includes(dataType)) {
+    if ((typeof value === 'string' || typeof value === 'number') && !Number.isNaN(new Date(value).getTime())) {
+      return { value: typeof value === 'number' ? new Date(value).toISOString() : value };
+    }
+    return { error: dataType === 'date' ? 'must be a date' : 'must be a date-time' };
+  }
+
+  if (TIME_TYPES.includes(dataType)) {
+    return typeof value === 'string' && TIME_PATTERN.test(value) ? { value } : { error: 'must be a time (HH:MM[:SS])' };
+  }
+
+  if (dataType === 'json' || dataType === 'jsonb') {
+    // node-postgres would send JS arrays as Postgres arrays, so serialise explicitly
+    if (typeof value === 'string') {
+      try {
+        JSON.parse(value);
+        return { value };
+      } catch {
+        return { value: JSON.stringify(value) };
+      }
+    }
+    return { value: JSON.stringify(value) };
+  }
+
+  if (dataType === 'array') {
+    return Array.isArray(value) ? { value } : { error: 'must be an array' };
+  }
+
+  // Unknown or user-defined types are left to Postgres
+  return { value };
+}
+
+/**
+ * Validate and coerce a write body against a table's schema metadata.
+ * @param {object} tableSchema - Entry from schemaLoader (columns, columnInfo)
+ * @param {object} body - Request body
+ * @param {{ isCreate: boolean }} options
+ * @returns {{ values: object, errors: object|null }} errors maps column → message
+ */
+function validateRow(tableSchema, body, { isCreate }) {
+  const errors = {};
+  const values = {};
+  const columnInfo = tableSchema.columnInfo || {};
+
+  for (const [column, raw] of Object.entries(body)) {
+    if (!tableSchema.columns.includes(column)) {
+      errors[column] = 'unknown column';
+      continue;
+    }
+    const info = columnInfo[column] || {};
+
+    if (raw === null) {
+      if (info.nullable === false) errors[column] = 'cannot be null';
+      else values[column] = null;
+      continue;
+    }
+
+    const result = coerceValue(info.dataType, raw, info);
+    if (result.error) errors[column] = result.error;
+    else values[column] = result.value;
+  }
+
+  if (isCreate) {
+    for (const column of tableSchema.columns) {
+      const info = columnInfo[column] || {};
+      // hasDefault null means "unknown" (str.csv has no defaults), so only a known false is enforced
+      if (info.nullable === false && info.hasDefault === false && body[column] === undefined) {
+        errors[column] = 'is required';
+      }
+    }
+  }
+
+  return { values, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+module.exports = { validateRow, coerceValue };
@@ -3,12 +3,34 @@ const path = require('path');
 
 let cachedSchema = null;
 
+// SCHEMA_SOURCE=database (default) introspects the live database at startup;
+// SCHEMA_SOURCE=csv keeps using the exported str.csv.
+const getSchemaSource = () => (process.env.SCHEMA_SOURCE || 'database').toLowerCase();
+
+const emptySchema = (source) => ({ tables: {}, referencesMap: {}, source, loadedAt: new Date().toISOString() });
+
 /**
- * Load and parse str.csv into an in-memory schema description.
- * Returns an object keyed by table name → { columns: string[], primaryKeys: string[] }
+ * Current schema description: { tables, referencesMap, source, loadedAt }.
+ * `tables` is keyed by table name →
+ *   { columns: string[], primaryKeys: string[], foreignKeys: object[],
+ *     columnInfo: { [column]: { dataType, nullable, hasDefault, isIdentity, isGenerated,
+ *                               maxLength, precision, scale } } }
+ * maxLength is set for varchar/char columns with a length, precision and scale
+ * for numeric columns that declare them; they are null otherwise.
+ * In database mode the schema is empty until loadSchemaFromDatabase() has run.
  */
 function loadSchema() {
   if (cachedSchema) return cachedSchema;
+  if (getSchemaSource() === 'database') return emptySchema('database');
+  return loadSchemaFromCsv();
+}
+
+/**
+ * Load and parse str.csv into the schema cache.
+ * str.csv does not record defaults or identity columns, so `hasDefault` is null (unknown) here,
+ * nor type modifiers, so maxLength, precision and scale are null.
+ */
+function loadSchemaFromCsv() {
 
   // Try multiple possible paths for str.csv
   const possiblePaths = [
@@ -29,7 +51,7 @@ function loadSchema() {
   if (!csvPath) {
     console.warn(`⚠️  [SCHEMA-LOADER] str.csv not found. Tried paths:`, possiblePaths);
     console.warn(`⚠️  [SCHEMA-LOADER] Falling back to empty schema.`);
-    cachedSchema = { tables: {}, referencesMap: {} };
+    cachedSchema = emptySchema('csv');
     return cachedSchema;
   }
 
@@ -39,7 +61,7 @@ function loadSchema() {
   const lines = csvContent.split(/\r?\n/).filter(Boolean);
   const header = lines.shift();
   if (!header) {
-    cachedSchema = { tables: {}, referencesMap: {} };
+    cachedSchema = emptySchema('csv');
     return cachedSchema;
   }
 
@@ -75,30 +97,160 @@ function loadSchema() {
 
   for (const line of lines) {
     const cells = splitCsvLine(line).map((cell) => cell.replace(/(^\"|\"$)/g, '')); // Trim surrounding quotes
-    const [tableSchema, tableName, _ordinal, columnName, _dataType, _nullable, isPrimaryKey, fkTable, fkColumn] = cells;
+    const [tableSchema, tableName, _ordinal, columnName, dataType, nullable, isPrimaryKey, fkTable, fkColumn] = cells;
 
     // Only consider public schema tables for now
     if (tableSchema !== 'public') continue;
     // Initialize table entry
     if (!schema[tableName]) {
-      schema[tableName] = { columns: [], primaryKeys: [] };
+      schema[tableName] = { columns: [], primaryKeys: [], foreignKeys: [], columnInfo: {} };
     }
 
     schema[tableName].columns.push(columnName);
+    schema[tableName].columnInfo[columnName] = {
+      dataType: (dataType || '').toLowerCase(),
+      nullable: nullable !== 'NO',
+      hasDefault: null,
+      isIdentity: null,
+      isGenerated: false,
+      maxLength: null,
+      precision: null,
+      scale: null,
+    };
     if (isPrimaryKey === 'YES') {
       schema[tableName].primaryKeys.push(columnName);
     }
 
     if (fkTable && fkColumn) {
+      schema[tableName].foreignKeys.push({ columns: [columnName], referencesTable: fkTable, referencesColumns: [fkColumn], onDelete: null });
       if (!referencesMap[fkTable]) referencesMap[fkTable] = [];
       referencesMap[fkTable].push({ table: tableName, column: columnName, referencesColumn: fkColumn });
     }
   }
 
-  cachedSchema = { tables: schema, referencesMap };
+  cachedSchema = { tables: schema, referencesMap, source: 'csv', loadedAt: new Date().toISOString() };
   return cachedSchema;
 }
 
+const ON_DELETE_ACTIONS = { a: 'NO ACTION', r: 'RESTRICT', c: 'CASCADE', n: 'SET NULL', d: 'SET DEFAULT' };
+
+/**
+ * Introspect the public schema of the live database into the schema cache:
+ * columns and types from information_schema, primary keys (including
+ * composite ones) and foreign keys from pg_constraint.
+ * @param {import('typeorm').DataSource} dataSource
+ * @returns {Promise<object>} The new schema
+ */
+async function loadSchemaFromDatabase(dataSource) {
+  const columns = await dataSource.query(`
+    SELECT c.table_name, c.column_name, c.data_type, c.is_nullable, c.column_default,
+           c.is_identity, c.is_generated, c.character_maximum_length, c.numeric_precision, c.numeric_scale
+    FROM information_schema.columns c
+    JOIN information_schema.tables t
+      ON t.table_schema = c.table_schema AND t.table_name = c.table_name AND t.table_type = 'BASE TABLE'
+    WHERE c.table_schema = 'public'
+    ORDER BY c.table_name, c.ordinal_position
+  `);
+
+  const constraints = await dataSource.query(`
+    SELECT con.conname AS constraint_name, con.contype AS type, cl.relname AS table_name,
+           fcl.relname AS foreign_table, con.confdeltype AS on_delete,
+           ARRAY(
+             SELECT a.attname::text FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, ord)
+             JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+             ORDER BY k.ord
+           ) AS columns,
+           ARRAY(
+             SELECT a.attname::text FROM unnest(con.confkey) WITH ORDINALITY AS k(attnum, ord)
+             JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum
+             ORDER BY k.ord
+           ) AS foreign_columns
+    FROM pg_constraint con
+    JOIN pg_class cl ON cl.oid = con.conrelid
+    JOIN pg_namespace n ON n.oid = cl.relnamespace
+    LEFT JOIN pg_class fcl ON fcl.oid = con.confrelid
+    WHERE n.nspname = 'public' AND con.contype IN ('p', 'f')
+    ORDER BY cl.relname, con.conname
+  `);
+
+  const schema = {};
+  const referencesMap = {};
+
+  for (const col of columns) {
+    if (!schema[col.table_name]) {
+      schema[col.table_name] = { columns: [], primaryKeys: [], foreignKeys: [], columnInfo: {} };
+    }
+    const isIdentity = col.is_identity === 'YES';
+    const isGenerated = col.is_generated === 'ALWAYS';
+    schema[col.table_name].columns.push(col.column_name);
+    const dataType = String(col.data_type).toLowerCase();
+    schema[col.table_name].columnInfo[col.column_name] = {
+      dataType,
+      nullable: col.is_nullable === 'YES',
+      hasDefault: col.column_default !== null || isIdentity || isGenerated,
+      isIdentity,
+      isGenerated,
+      maxLength: col.character_maximum_length === null ? null : Number(col.character_maximum_length),
+      // information_schema also reports a binary precision for integer and float types
+      precision: dataType === 'numeric' && col.numeric_precision !== null ? Number(col.numeric_precision) : null,
+      scale: dataType === 'numeric' && col.numeric_scale !== null ? Number(col.numeric_scale) : null,
+    };
+  }
+
+  for (const con of constraints) {
+    const table = schema[con.table_name];
+    if (!table) continue;
+
+    if (con.type === 'p') {
+      table.primaryKeys = con.columns;
+      continue;
+    }
+
+    table.foreignKeys.push({
+      name: con.constraint_name,
+      columns: con.columns,
+      referencesTable: con.foreign_table,
+      referencesColumns: con.foreign_columns,
+      onDelete: ON_DELETE_ACTIONS[con.on_delete] || null,
+    });
+    if (!referencesMap[con.foreign_table]) referencesMap[con.foreign_table] = [];
+    con.columns.forEach((column, i) => {
+      referencesMap[con.foreign_table].push({
+        table: con.table_name,
+        column,
+        referencesColumn: con.foreign_columns[i],
+        constraint: con.constraint_name,
+        onDelete: ON_DELETE_ACTIONS[con.on_delete] || null,
+      });
+    });
+  }
+
+  cachedSchema = { tables: schema, referencesMap, source: 'database', loadedAt: new Date().toISOString() };
+  console.log(`✅ [SCHEMA-LOADER] Introspected ${Object.keys(schema).length} tables from the database`);
+  return cachedSchema;
+}
+
+/**
+ * (Re)load the schema from the configured source. If database introspection
+ * fails, the previous schema is kept, or str.csv is used when nothing is loaded yet.
+ * @param {import('typeorm').DataSource} dataSource
+ * @returns {Promise<object>} The current schema
+ */
+async function refreshSchema(dataSource) {
+  if (getSchemaSource() !== 'database') {
+    cachedSchema = null;
+    return loadSchemaFromCsv();
+  }
+  try {
+    return await loadSchemaFromDatabase(dataSource);
+  } catch (err) {
+    console.error('⚠️  [SCHEMA-LOADER] Database introspection failed:', err.message);
+    if (cachedSchema) return cachedSchema;
+    console.warn('⚠️  [SCHEMA-LOADER] Falling back to str.csv');
+    return loadSchemaFromCsv();
+  }
+}
+
 /**
  * Convenience helper – returns the first primary key column for a table,
  * or `id` as a sensible default.
@@ -112,10 +264,21 @@ function getSchemaTables() {
   return loadSchema().tables;
 }
 
+/**
+ * Foreign keys pointing at a table: [{ table, column, referencesColumn, onDelete }].
+ * Pass `targetColumn` to only get references to that column.
+ */
 function getReferencingRelations(targetTable, targetColumn) {
   const { referencesMap } = loadSchema();
   const list = referencesMap[targetTable] || [];
+  if (targetColumn === undefined) return list;
   return list.filter((rel) => rel.referencesColumn === targetColumn);
 }
 
-module.exports = { loadSchema, getSchemaTables, getPrimaryKey, getReferencingRelations }; 
\ No newline at end of file
+module.exports = {
+  loadSchema,
+  refreshSchema,
+  getSchemaTables,
+  getPrimaryKey,
+  getReferencingRelations,
+}; 
\ No newline at end of file
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+
+// auth_sessions column that identifies the owner of a session, per principal type
+const PRINCIPAL_COLUMNS = {
+  seller: 'seller_id',
+  customer: 'user_id',
+  admin: 'admin_id',
+};
+
+const REFRESH_TTL_SQL = "NOW() + INTERVAL '7 days'";
+
+// UPDATE ... RETURNING comes back from TypeORM as [rows, rowCount], so updates
+// whose rows or count matter select them through a CTE instead
+const countUpdated = async (db, updateSql, params) => {
+  const rows = await db.query(`WITH updated AS (${updateSql} RETURNING session_id) SELECT COUNT(*)::int AS count FROM updated`, params);
+  return rows[0].count;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const principalColumn = (principal) => {
+  const column = PRINCIPAL_COLUMNS[principal];
+  if (!column) throw new Error(`Unknown session principal: ${principal}`);
+  return column;
+};
+
+/**
+ * Start a new session family (one per login) or continue an existing one.
+ * @param {object} db - AppDataSource or QueryRunner
+ * @param {object} params
+ * @param {'seller'|'customer'|'admin'} params.principal
+ * @param {string|number} params.principalId
+ * @param {string} params.refreshToken - Raw refresh token (only its hash is stored)
+ * @param {string} params.familyId - Session family, shared by all rotations of one login
+ * @param {string} [params.deviceInfo]
+ * @param {string} [params.ipAddress]
+ * @param {number} [params.staffId] - Set when a seller-staff member logs in for the restaurant
+ * @returns {Promise<object>} Inserted session row
+ */
+async function createSession(db, { principal, principalId, refreshToken, familyId, deviceInfo = null, ipAddress = null, staffId = null }) {
+  const column = principalColumn(principal);
+  const columns = [column, 'refresh_token_hash', 'family_id', 'device_info', 'ip_address'];
+  const values = [principalId, hashToken(refreshToken), familyId, deviceInfo, ipAddress];
+  if (staffId) {
+    columns.push('staff_id');
+    values.push(staffId);
+  }
+  const placeholders = values.map((_, i) => `$${i + 1}`).join(', ');
+  const rows = await db.query(
+    `INSERT INTO auth_sessions (${columns.join(', ')}, expires_at)
+     VALUES (${placeholders}, ${REFRESH_TTL_SQL})
+     RETURNING *`,
+    values
+  );
+  return rows[0];
+}
+
+/**
+ * Look up the session row for a refresh token regardless of its state, so
+ * callers can tell a replayed (rotated) token from an unknown one.
+ */
+async function findSessionByToken(db, principal, principalId, refreshToken) {
+  const column = principalColumn(principal);
+  const rows = await db.query(
+    `SELECT * FROM auth_sessions WHERE ${column} = $1 AND refresh_token_hash = $2`,
+    [principalId, hashToken(refreshToken)]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Revoke every session in a family (used on logout and on token reuse).
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeFamily(db, familyId, reason) {
+  return countUpdated(
+    db,
+    `UPDATE auth_sessions
+     SET is_active = FALSE, revoked_at = COALESCE(revoked_at, NOW()), revoked_reason = COALESCE(revoked_reason, $2)
+     WHERE family_id = $1 AND is_active = TRUE`,
+    [familyId, reason]
+  );
+}
+
+/**
+ * One-time refresh token rotation with reuse detection.
+ *
+ * The presented token's session is retired and a new session in the same
+ * family is created for `newRefreshToken`. If the presented token was already
+ * rotated, someone is replaying an old token: the whole family is revoked.
+ *
+ * @returns {Promise<{ status: 'rotated', session: object } | { status: 'reused' | 'invalid' }>}
+ */
+async function rotateSession(dataSource, { principal, principalId, refreshToken, newRefreshToken, deviceInfo = null, ipAddress = null }) {
+  const current = await findSessionByToken(dataSource, principal, principalId, refreshToken);
+  if (!current) return { status: 'invalid' };
+
+  if (current.rotated_at) {
+    const revoked = await revokeFamily(dataSource, current.family_id, 'reuse_detected');
+    console.log(`🚨 [SESSION-REUSE] Rotated refresh token replayed for family ${current.family_id}, revoked ${revoked} session(s)`);
+    return { status: 'reused' };
+  }
+
+  if (!current.is_active || new Date(current.expires_at) <= new Date()) {
+    return { status: 'invalid' };
+  }
+
+  const queryRunner = dataSource.createQueryRunner();
+  await queryRunner.connect();
+  await queryRunner.startTransaction();
+  try {
+    // Guarded update: a concurrent refresh with the same token loses the race and counts as reuse
+    const retired = await countUpdated(
+      queryRunner,
+      `UPDATE auth_sessions
+       SET is_active = FALSE, rotated_at = NOW(), last_used = NOW(), revoked_reason = 'rotated'
+       WHERE session_id = $1 AND rotated_at IS NULL AND is_active = TRUE`,
+      [current.session_id]
+    );
+
+    if (retired === 0) {
+      await queryRunner.rollbackTransaction();
+      await revokeFamily(dataSource, current.family_id, 'reuse_detected');
+      return { status: 'reused' };
+    }
+
+    const session = await createSession(queryRunner, {
+      principal,
+      principalId,
+      refreshToken: newRefreshToken,
+      familyId: current.family_id,
+      deviceInfo: deviceInfo || current.device_info,
+      ipAddress,
+      staffId: current.staff_id,
+    });
+
+    await queryRunner.commitTransaction();
+    return { status: 'rotated', session };
+  } catch (error) {
+    await queryRunner.rollbackTransaction();
+    throw error;
+  } finally {
+    await queryRunner.release();
+  }
+}
+
+/**
+ * Revoke the family a refresh token belongs to.
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeByToken(db, refreshToken, reason = 'logout') {
+  const rows = await db.query(
+    'SELECT family_id, session_id FROM auth_sessions WHERE refresh_token_hash = $1',
+    [hashToken(refreshToken)]
+  );
+  if (rows.length === 0) return 0;
+
+  if (!rows[0].family_id) {
+    await db.query(
+      'UPDATE auth_sessions SET is_active = FALSE, revoked_at = NOW(), revoked_reason = $2 WHERE session_id = $1',
+      [rows[0].session_id, reason]
+    );
+    return 1;
+  }
+  return revokeFamily(db, rows[0].family_id, reason);
+}
+
+/**
+ * Active, unexpired sessions for one principal, most recently used first.
+ * @returns {Promise<object[]>}
+ */
+async function listActiveSessions(db, principal, principalId) {
+  const column = principalColumn(principal);
+  return db.query(
+    `SELECT *
+     FROM auth_sessions
+     WHERE ${column} = $1 AND is_active = TRUE AND expires_at > NOW()
+     ORDER BY COALESCE(last_used, created_at) DESC`,
+    [principalId]
+  );
+}
+
+/**
+ * Revoke one session (and the rest of its family) owned by the principal.
+ * @returns {Promise<number>} Number of sessions revoked, 0 if not found or not owned
+ */
+async function revokeSession(db, principal, principalId, sessionId, reason = 'revoked') {
+  const column = principalColumn(principal);
+  const rows = await db.query(
+    `SELECT session_id, family_id FROM auth_sessions WHERE session_id = $1 AND ${column} = $2`,
+    [sessionId, principalId]
+  );
+  if (rows.length === 0) return 0;
+
+  if (!rows[0].family_id) {
+    return countUpdated(
+      db,
+      `UPDATE auth_sessions SET is_active = FALSE, revoked_at = NOW(), revoked_reason = $2
+       WHERE session_id = $1 AND is_active = TRUE`,
+      [sessionId, reason]
+    );
+  }
+  return revokeFamily(db, rows[0].family_id, reason);
+}
+
+/**
+ * Revoke every active session of a principal ("log out everywhere").
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(db, principal, principalId, reason = 'logout_all') {
+  const column = principalColumn(principal);
+  return countUpdated(
+    db,
+    `UPDATE auth_sessions SET is_active = FALSE, revoked_at = NOW(), revoked_reason = $2
+     WHERE ${column} = $1 AND is_active = TRUE`,
+    [principalId, reason]
+  );
+}
+
+module.exports = {
+  PRINCIPAL_COLUMNS,
+  hashToken,
+  createSession,
+  findSessionByToken,
+  rotateSession,
+  revokeFamily,
+  revokeByToken,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+};
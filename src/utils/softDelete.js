@@ -0,0 +1,166 @@
+const { executeCascadeDelete } = require('./deletePlanner');
+const { deleteImage } = require('../configs/cloudinary');
+
+// -----------------------------------------------------------------------------
+// Soft delete (trash) for sellers, menu items and offers
+// -----------------------------------------------------------------------------
+// Deleting sets deleted_at/deleted_by; every list and lookup filters those rows
+// out. Admins can list the trash and restore rows until the purge job
+// hard-deletes them (with their dependents) after the retention window.
+
+const SOFT_DELETE_TABLES = {
+  sellers: 'seller_id',
+  menu: 'item_id',
+  offers: 'offer_id',
+};
+
+// Cloudinary images kept while a row is in the trash and removed when it is purged
+const IMAGE_PUBLIC_ID_COLUMNS = {
+  menu: 'image_public_id',
+  offers: 'offer_image_public_id',
+};
+
+const isSoftDeleteTable = (table) => Boolean(SOFT_DELETE_TABLES[table]);
+
+// SQL condition hiding trashed rows; pass an alias when the table is aliased
+const notDeleted = (alias) => (alias ? `${alias}.deleted_at IS NULL` : 'deleted_at IS NULL');
+
+/**
+ * Move a row to the trash
+ * @param {object} db - AppDataSource or QueryRunner
+ * @param {string} table - One of SOFT_DELETE_TABLES
+ * @param {string|number} id
+ * @param {string|number} actor - Who deleted it (token userId)
+ * @returns {Promise<object|null>} The trashed row, null if missing or already trashed
+ */
+async function softDeleteRow(db, table, id, actor) {
+  const key = SOFT_DELETE_TABLES[table];
+  // Selected through a CTE so the driver hands back the rows rather than [rows, rowCount]
+  const rows = await db.query(
+    `WITH trashed AS (
+       UPDATE ${table} SET deleted_at = NOW(), deleted_by = $2
+       WHERE ${key} = $1 AND deleted_at IS NULL
+       RETURNING *
+     ) SELECT * FROM trashed`,
+    [id, String(actor)]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Take a row back out of the trash
+ * @returns {Promise<object|null>} The restored row, null if it is not in the trash
+ */
+async function restoreRow(db, table, id) {
+  const key = SOFT_DELETE_TABLES[table];
+  const rows = await db.query(
+    `WITH restored AS (
+       UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL
+       WHERE ${key} = $1 AND deleted_at IS NOT NULL
+       RETURNING *
+     ) SELECT * FROM restored`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Trashed rows of one table, most recently deleted first
+ * @returns {Promise<{ rows: object[], total: number }>}
+ */
+async function listTrash(db, table, { limit = 50, offset = 0 } = {}) {
+  const [rows, totalRows] = await Promise.all([
+    db.query(
+      `SELECT * FROM ${table} WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    ),
+    db.query(`SELECT COUNT(*)::int AS total FROM ${table} WHERE deleted_at IS NOT NULL`),
+  ]);
+  return { rows, total: totalRows[0].total };
+}
+
+/**
+ * Hard-delete one trashed row and everything that depends on it
+ * @returns {Promise<object|null>} Cascade result, null if the row is not in the trash
+ */
+async function purgeRow(dataSource, table, id) {
+  const key = SOFT_DELETE_TABLES[table];
+  const trashed = await dataSource.query(
+    `SELECT * FROM ${table} WHERE ${key} = $1 AND deleted_at IS NOT NULL`,
+    [id]
+  );
+  if (trashed.length === 0) return null;
+
+  const result = await executeCascadeDelete(dataSource, table, id, key);
+  const publicId = trashed[0][IMAGE_PUBLIC_ID_COLUMNS[table]];
+  if (publicId) {
+    console.log(`🗑️ Deleting purged ${table} image from Cloudinary: ${publicId}`);
+    await deleteImage(publicId);
+  }
+  return result;
+}
+
+/**
+ * Hard-delete every row that has been in the trash longer than the retention window
+ * @param {import('typeorm').DataSource} dataSource
+ * @param {number} retentionDays
+ * @returns {Promise<{ [table: string]: number }>} Rows purged per table
+ */
+async function purgeExpired(dataSource, retentionDays) {
+  const purged = {};
+  for (const [table, key] of Object.entries(SOFT_DELETE_TABLES)) {
+    const expired = await dataSource.query(
+      `SELECT ${key} AS id FROM ${table}
+       WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - ($1 || ' days')::interval`,
+      [String(retentionDays)]
+    );
+    purged[table] = 0;
+    for (const { id } of expired) {
+      // A seller purge may already have taken its trashed menu items and offers with it
+      const result = await purgeRow(dataSource, table, id);
+      if (result) purged[table] += 1;
+    }
+  }
+  return purged;
+}
+
+/**
+ * Periodically purge expired trash.
+ * TRASH_RETENTION_DAYS (default 30) and TRASH_PURGE_INTERVAL_HOURS (default 6) tune it.
+ * @param {import('typeorm').DataSource} dataSource
+ * @returns {NodeJS.Timeout}
+ */
+function startTrashPurgeJob(dataSource) {
+  const retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+  const intervalHours = parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS) || 6;
+
+  const run = async () => {
+    try {
+      const purged = await purgeExpired(dataSource, retentionDays);
+      const total = Object.values(purged).reduce((sum, n) => sum + n, 0);
+      if (total > 0) {
+        console.log(`🧹 [TRASH-PURGE] Purged ${total} row(s) older than ${retentionDays} days:`, purged);
+      }
+    } catch (err) {
+      console.error('🚨 [TRASH-PURGE] Purge failed:', err.message);
+    }
+  };
+
+  console.log(`🧹 [TRASH-PURGE] Purging trash older than ${retentionDays} days every ${intervalHours}h`);
+  run();
+  const timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  SOFT_DELETE_TABLES,
+  isSoftDeleteTable,
+  notDeleted,
+  softDeleteRow,
+  restoreRow,
+  listTrash,
+  purgeRow,
+  purgeExpired,
+  startTrashPurgeJob,
+};
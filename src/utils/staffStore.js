@@ -0,0 +1,77 @@
+/**
+ * Active staff member for a phone number, joined with the restaurant they work for.
+ * @returns {Promise<object|null>}
+ */
+async function findActiveStaffByPhone(db, phoneNumber) {
+  const rows = await db.query(
+    `SELECT st.staff_id, st.name AS staff_name, st.phone_number,
+            s.seller_id, s.owner_name, s.restaurant_name, s.address_id, s.menu_id, s.account_status
+     FROM seller_staff st
+     JOIN sellers s ON s.seller_id = st.seller_id
+     WHERE st.phone_number = $1 AND st.is_active = TRUE AND s.deleted_at IS NULL`,
+    [phoneNumber]
+  );
+  return rows[0] || null;
+}
+
+async function findActiveStaffById(db, staffId, sellerId) {
+  const rows = await db.query(
+    'SELECT * FROM seller_staff WHERE staff_id = $1 AND seller_id = $2 AND is_active = TRUE',
+    [staffId, sellerId]
+  );
+  return rows[0] || null;
+}
+
+async function listStaff(db, sellerId) {
+  return db.query(
+    `SELECT staff_id, name, phone_number, is_active, created_at, last_login
+     FROM seller_staff WHERE seller_id = $1 ORDER BY created_at DESC`,
+    [sellerId]
+  );
+}
+
+async function addStaff(db, sellerId, { name, phoneNumber }) {
+  const rows = await db.query(
+    `INSERT INTO seller_staff (seller_id, name, phone_number)
+     VALUES ($1, $2, $3)
+     RETURNING staff_id, name, phone_number, is_active, created_at, last_login`,
+    [sellerId, name || null, phoneNumber]
+  );
+  return rows[0];
+}
+
+/**
+ * Deactivate a staff member and end all of their sessions.
+ * @returns {Promise<boolean>} false if the staff member does not belong to the seller
+ */
+async function deactivateStaff(db, sellerId, staffId) {
+  const rows = await db.query(
+    `WITH removed AS (
+       UPDATE seller_staff SET is_active = FALSE
+       WHERE staff_id = $1 AND seller_id = $2
+       RETURNING staff_id
+     ) SELECT * FROM removed`,
+    [staffId, sellerId]
+  );
+  if (rows.length === 0) return false;
+
+  await db.query(
+    `UPDATE auth_sessions SET is_active = FALSE, revoked_at = NOW(), revoked_reason = 'staff_removed'
+     WHERE staff_id = $1 AND is_active = TRUE`,
+    [staffId]
+  );
+  return true;
+}
+
+async function touchStaffLogin(db, staffId) {
+  await db.query('UPDATE seller_staff SET last_login = NOW() WHERE staff_id = $1', [staffId]);
+}
+
+module.exports = {
+  findActiveStaffByPhone,
+  findActiveStaffById,
+  listStaff,
+  addStaff,
+  deactivateStaff,
+  touchStaffLogin,
+};
@@ -0,0 +1,286 @@
+const zlib = require('zlib');
+const { once } = require('events');
+
+// -----------------------------------------------------------------------------
+// Streamed CSV / XLSX exports
+// -----------------------------------------------------------------------------
+// Rows arrive as an async iterable of pages (see listPages in queryBuilder.js)
+// and are written to the response as they come, waiting on backpressure, so an
+// export of any size only holds one page in memory.
+//
+// XLSX is written without a spreadsheet library: a single-sheet workbook with
+// inline strings, zipped on the fly (deflate entries with data descriptors).
+// Files over 4 GB would need ZIP64 and are not supported.
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+// Postgres types exported as numbers rather than text
+const NUMERIC_TYPES = ['integer', 'smallint', 'bigint', 'numeric', 'decimal', 'real', 'double precision'];
+
+const PLAIN_NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+// Write to the response, waiting for it to drain when its buffer is full. A client
+// that goes away closes the response without draining it, so the wait also ends
+// on close; the error then unwinds the page generators and releases their connection.
+async function write(out, chunk) {
+  if (out.destroyed) throw new Error('Client disconnected');
+  if (out.write(chunk)) return;
+  const waiting = new AbortController();
+  const { signal } = waiting;
+  try {
+    await Promise.race([
+      once(out, 'drain', { signal }),
+      once(out, 'close', { signal }).then(() => { throw new Error('Client disconnected'); }),
+    ]);
+  } finally {
+    waiting.abort();
+  }
+}
+
+// Cell text for any value node-postgres returns
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// -----------------------------------------------------------------------------
+// CSV
+// -----------------------------------------------------------------------------
+
+// RFC 4180 field; text that a spreadsheet would run as a formula is prefixed with '
+function csvField(value) {
+  let text = cellText(value);
+  if (/^[=+\-@\t\r]/.test(text) && !PLAIN_NUMBER.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Stream rows as CSV (UTF-8 with BOM so Excel detects the encoding)
+ * @param {import('stream').Writable} out
+ * @param {string[]} columns
+ * @param {AsyncIterable<object[]>} pages
+ * @returns {Promise<number>} Rows written
+ */
+async function writeCsv(out, columns, pages) {
+  let count = 0;
+  await write(out, `\uFEFF${columns.map(csvField).join(',')}\r\n`);
+  for await (const page of pages) {
+    await write(out, page.map((row) => `${columns.map((c) => csvField(row[c])).join(',')}\r\n`).join(''));
+    count += page.length;
+  }
+  return count;
+}
+
+// -----------------------------------------------------------------------------
+// XLSX
+// -----------------------------------------------------------------------------
+
+const xmlEscape = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Control characters are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+const XLSX_PARTS = {
+  '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '</Types>',
+  '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '</Relationships>',
+};
+
+const workbookXml = (sheetName) => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+  + `<sheets><sheet name="${xmlEscape(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+  + '</workbook>';
+
+function xlsxCell(value, numeric) {
+  if (value === null || value === undefined) return '<c/>';
+  if (typeof value === 'boolean') return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+  const text = cellText(value);
+  if ((numeric || typeof value === 'number') && PLAIN_NUMBER.test(text)) return `<c><v>${text}</v></c>`;
+  return `<c t="inlineStr"><is><t xml:space="preserve">${xmlEscape(text)}</t></is></c>`;
+}
+
+// CRC-32 (IEEE) as zip entries need it; zlib.crc32 only exists on newer Node releases
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+// Minimal streaming zip writer: deflated entries followed by the central directory
+function createZipWriter(out) {
+  const entries = [];
+  let offset = 0;
+  // MS-DOS date/time of "now", shared by every entry
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const FLAGS = 0x0808; // sizes in a data descriptor, UTF-8 names
+
+  const emit = async (buffer) => {
+    offset += buffer.length;
+    await write(out, buffer);
+  };
+
+  /**
+   * @param {string} name
+   * @param {AsyncIterable<string|Buffer>|Iterable<string|Buffer>} source
+   */
+  async function addEntry(name, source) {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(dosTime, 10);
+    header.writeUInt16LE(dosDate, 12);
+    header.writeUInt16LE(nameBytes.length, 26);
+    const entry = { nameBytes, headerOffset: offset, crc: 0, size: 0, compressedSize: 0 };
+    await emit(Buffer.concat([header, nameBytes]));
+
+    const deflate = zlib.createDeflateRaw();
+    const drained = (async () => {
+      for await (const chunk of deflate) {
+        entry.compressedSize += chunk.length;
+        await emit(chunk);
+      }
+    })();
+    // A failed write (client gone) stops the deflate stream, which ends the loop below
+    drained.catch((err) => deflate.destroy(err));
+    try {
+      for await (const piece of source) {
+        if (deflate.destroyed) break;
+        const buffer = Buffer.from(piece);
+        entry.crc = crc32(buffer, entry.crc);
+        entry.size += buffer.length;
+        if (!deflate.write(buffer)) await once(deflate, 'drain');
+      }
+      deflate.end();
+    } catch (err) {
+      deflate.destroy(err);
+      // A write that failed first (client gone) is the cause; the deflate stream only reports the abort
+      throw await drained.then(() => err, (writeError) => writeError);
+    }
+    await drained;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await emit(descriptor);
+    entries.push(entry);
+  }
+
+  async function finish() {
+    const directoryOffset = offset;
+    for (const entry of entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(FLAGS, 8);
+      record.writeUInt16LE(8, 10);
+      record.writeUInt16LE(dosTime, 12);
+      record.writeUInt16LE(dosDate, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBytes.length, 28);
+      record.writeUInt32LE(entry.headerOffset, 42);
+      await emit(Buffer.concat([record, entry.nameBytes]));
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await emit(end);
+  }
+
+  return { addEntry, finish };
+}
+
+/**
+ * Stream rows as a single-sheet XLSX workbook
+ * @param {import('stream').Writable} out
+ * @param {string[]} columns
+ * @param {AsyncIterable<object[]>} pages
+ * @param {{ sheetName?: string, numericColumns?: string[] }} [options]
+ * @returns {Promise<number>} Rows written
+ */
+async function writeXlsx(out, columns, pages, { sheetName = 'Sheet1', numericColumns = [] } = {}) {
+  const zip = createZipWriter(out);
+  for (const [name, xml] of Object.entries(XLSX_PARTS)) await zip.addEntry(name, [xml]);
+  await zip.addEntry('xl/workbook.xml', [workbookXml(sheetName)]);
+
+  let count = 0;
+  const numeric = columns.map((c) => numericColumns.includes(c));
+  async function* sheet() {
+    yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>';
+    yield `<row>${columns.map((c) => xlsxCell(c, false)).join('')}</row>`;
+    for await (const page of pages) {
+      yield page.map((row) => `<row>${columns.map((c, i) => xlsxCell(row[c], numeric[i])).join('')}</row>`).join('');
+      count += page.length;
+    }
+    yield '</sheetData></worksheet>';
+  }
+  await zip.addEntry('xl/worksheets/sheet1.xml', sheet());
+  await zip.finish();
+  return count;
+}
+
+/**
+ * Send an export as a download. Headers go out before the first row, so a
+ * failure part-way can only abort the response, not turn it into a JSON error.
+ * @param {import('express').Response} res
+ * @param {{ format: 'csv'|'xlsx', filename: string, columns: string[], pages: AsyncIterable<object[]>, columnInfo?: object }} options
+ *   filename without extension; columnInfo from schema metadata decides which columns are numeric
+ * @returns {Promise<number>} Rows written
+ */
+async function sendExport(res, { format, filename, columns, pages, columnInfo = {} }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.status(200);
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+  res.set('Cache-Control', 'no-store');
+
+  const count = format === 'csv'
+    ? await writeCsv(res, columns, pages)
+    : await writeXlsx(res, columns, pages, {
+      sheetName: filename,
+      numericColumns: columns.filter((c) => NUMERIC_TYPES.includes(columnInfo[c]?.dataType)),
+    });
+  res.end();
+  return count;
+}
+
+module.exports = { EXPORT_FORMATS, writeCsv, writeXlsx, sendExport };
@@ -0,0 +1,28 @@
+/**
+ * Run fn inside a transaction. Given the DataSource, a QueryRunner is opened and
+ * committed (or rolled back on error) around fn; given a QueryRunner, fn runs
+ * inside the caller's transaction as-is.
+ * @template T
+ * @param {object} db - AppDataSource or a QueryRunner already in a transaction
+ * @param {(queryRunner: object) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withTransaction(db, fn) {
+  if (typeof db.createQueryRunner !== 'function') return fn(db);
+
+  const queryRunner = db.createQueryRunner();
+  await queryRunner.connect();
+  await queryRunner.startTransaction();
+  try {
+    const result = await fn(queryRunner);
+    await queryRunner.commitTransaction();
+    return result;
+  } catch (err) {
+    await queryRunner.rollbackTransaction();
+    throw err;
+  } finally {
+    await queryRunner.release();
+  }
+}
+
+module.exports = { withTransaction };